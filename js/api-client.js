@@ -0,0 +1,270 @@
+// Shared API client
+// Every request to the bitjita proxy and the profession API goes through here so they share
+// one concurrency limit, retry with exponential backoff on 429/5xx, dedupe identical in-flight
+// GETs, cache responses per endpoint and can be cancelled when the user switches views.
+
+const API_MAX_CONCURRENT = 6;
+const API_MAX_RETRIES = 4;
+const API_RETRY_BASE_MS = 500;
+const API_RETRY_MAX_MS = 15000;
+
+// Response cache lifetimes by endpoint (first matching pattern wins, no match = not cached)
+const API_CACHE_RULES = [
+    { pattern: /\/items\/__data\.json/, ttl: 60 * 60 * 1000 },         // Item database
+    { pattern: /\/api\/(items|cargo)\/[^/]+$/, ttl: 60 * 60 * 1000 },  // Recipes
+    { pattern: /\/api\/market\/catalog/, ttl: 5 * 60 * 1000 },         // Market catalog and flags
+    { pattern: /\/api\/market\/(item|cargo)\//, ttl: 60 * 1000 },      // Order books
+    { pattern: /\/market\/item\/[^/]+\/__data\.json/, ttl: 60 * 1000 },
+    { pattern: /\/players\/__data\.json/, ttl: 60 * 1000 },            // Player search
+    { pattern: /\/players\/[^/]+\/__data\.json/, ttl: 5 * 60 * 1000 }  // Player profile
+];
+
+// Whether an error came from a cancelled request (these are expected and shouldn't be reported)
+function isAbortError(error) {
+    return error && error.name === 'AbortError';
+}
+
+function createAbortError() {
+    return new DOMException('Request cancelled', 'AbortError');
+}
+
+// Resolve after `ms`, or reject early if the signal is aborted
+function delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        }, { once: true });
+    });
+}
+
+class ApiClient {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.active = 0;
+        this.queue = []; // Pending slot requests: { resolve, reject, signal }
+        this.inFlight = new Map(); // url -> { promise, controller, waiters }
+        this.cache = new Map(); // url -> { data, expires }
+        this.viewController = new AbortController();
+    }
+
+    // Signal that is aborted the next time the user switches views
+    get viewSignal() {
+        return this.viewController.signal;
+    }
+
+    // Cancel all requests tied to the current view
+    cancelViewRequests() {
+        this.viewController.abort();
+        this.viewController = new AbortController();
+    }
+
+    resolveUrl(path) {
+        return /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`;
+    }
+
+    getCacheTtl(url) {
+        const rule = API_CACHE_RULES.find(r => r.pattern.test(url));
+        return rule ? rule.ttl : 0;
+    }
+
+    clearCache(pattern = null) {
+        if (!pattern) {
+            this.cache.clear();
+            return;
+        }
+        for (const url of this.cache.keys()) {
+            if (pattern.test(url)) this.cache.delete(url);
+        }
+    }
+
+    // GET a JSON endpoint
+    // Options: { signal, ttl } - ttl overrides the endpoint cache rule (0 = always fetch)
+    async getJson(path, options = {}) {
+        const url = this.resolveUrl(path);
+        const ttl = options.ttl ?? this.getCacheTtl(url);
+
+        if (ttl > 0) {
+            const cached = this.cache.get(url);
+            if (cached && cached.expires > Date.now()) {
+                return cached.data;
+            }
+        }
+
+        // Share a single request between identical concurrent callers
+        let entry = this.inFlight.get(url);
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { url, controller, waiters: 0, promise: null };
+            entry.promise = this.execute(url, { method: 'GET' }, controller.signal)
+                .then(data => {
+                    const entryTtl = ttl || this.getCacheTtl(url);
+                    if (entryTtl > 0) {
+                        this.cache.set(url, { data, expires: Date.now() + entryTtl });
+                    }
+                    return data;
+                })
+                .finally(() => {
+                    if (this.inFlight.get(url) === entry) this.inFlight.delete(url);
+                });
+            this.inFlight.set(url, entry);
+        }
+
+        return this.waitFor(entry, options.signal);
+    }
+
+    // GET a SvelteKit __data.json endpoint and decode it
+    async getSvelteKit(path, options = {}) {
+        const json = await this.getJson(path, options);
+        return decodeSvelteKitData(json);
+    }
+
+    // Send a JSON body (POST/PUT/DELETE); never cached or deduplicated
+    async sendJson(path, method, body = null, options = {}) {
+        const url = this.resolveUrl(path);
+        const init = {
+            method,
+            headers: { 'Content-Type': 'application/json', ...options.headers }
+        };
+        if (body !== null) {
+            init.body = JSON.stringify(body);
+        }
+        return this.execute(url, init, options.signal);
+    }
+
+    // Wait on a shared request; the underlying fetch is only aborted once every caller gave up
+    // (it's then dropped from inFlight right away, so a new request for the URL starts fresh)
+    waitFor(entry, signal) {
+        entry.waiters++;
+
+        if (!signal) {
+            return entry.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                entry.waiters--;
+                if (entry.waiters <= 0) {
+                    entry.controller.abort();
+                    if (this.inFlight.get(entry.url) === entry) this.inFlight.delete(entry.url);
+                }
+                reject(createAbortError());
+            };
+
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise.then(resolve, reject).finally(() => {
+                signal.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+
+    // Run a request with the concurrency limit and retries
+    async execute(url, init, signal = null) {
+        for (let attempt = 0; ; attempt++) {
+            let retryDelay = null;
+            let text = null;
+
+            await this.acquireSlot(signal);
+            try {
+                const response = await fetch(url, { ...init, signal });
+
+                if (this.isRetryableStatus(response.status, init.method) && attempt < API_MAX_RETRIES) {
+                    retryDelay = this.getRetryDelay(attempt, response.headers.get('Retry-After'));
+                } else if (!response.ok) {
+                    const error = new Error(`Request failed: ${response.status} ${url}`);
+                    error.status = response.status;
+                    throw error;
+                } else {
+                    this.onResponse(url, response);
+                    text = await response.text();
+                }
+            } catch (error) {
+                // Network failures are retried like 5xx (unless we're offline); HTTP errors and cancellations are not
+                if (isAbortError(error) || error.status || !navigator.onLine || attempt >= API_MAX_RETRIES) {
+                    throw error;
+                }
+                retryDelay = this.getRetryDelay(attempt, null);
+            } finally {
+                this.releaseSlot();
+            }
+
+            if (retryDelay === null) {
+                // Parsed outside the retry handling: refetching won't fix a malformed body
+                return text ? JSON.parse(text) : null;
+            }
+
+            console.warn(`Retrying ${url} in ${retryDelay}ms (attempt ${attempt + 1} of ${API_MAX_RETRIES})`);
+            await delay(retryDelay, signal);
+        }
+    }
+
+    // Hook for observing successful responses (app.js uses it to detect offline cached data)
+    onResponse(url, response) {}
+
+    isRetryableStatus(status, method) {
+        if (status === 429) return true;
+        // Only idempotent requests are retried on server errors
+        return status >= 500 && (method === 'GET' || method === 'DELETE');
+    }
+
+    getRetryDelay(attempt, retryAfter) {
+        const retryAfterSeconds = parseInt(retryAfter);
+        if (!isNaN(retryAfterSeconds)) {
+            return Math.min(retryAfterSeconds * 1000, API_RETRY_MAX_MS);
+        }
+        // Exponential backoff with jitter
+        const base = API_RETRY_BASE_MS * Math.pow(2, attempt);
+        return Math.min(base + Math.random() * base * 0.5, API_RETRY_MAX_MS);
+    }
+
+    acquireSlot(signal) {
+        if (signal?.aborted) {
+            return Promise.reject(createAbortError());
+        }
+
+        if (this.active < API_MAX_CONCURRENT) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                const index = this.queue.indexOf(waiter);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    reject(createAbortError());
+                }
+            };
+            const waiter = {
+                resolve: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                },
+                reject
+            };
+            this.queue.push(waiter);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    releaseSlot() {
+        const next = this.queue.shift();
+        if (next) {
+            // Hand the slot straight to the next waiter
+            next.resolve();
+        } else {
+            this.active--;
+        }
+    }
+}
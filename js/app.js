@@ -3,12 +3,22 @@
 
 const API_BASE = 'https://bcproxy.bitcraft-data.com/proxy';
 const PROFESSION_API = 'https://jkrsrzoom7.execute-api.us-east-1.amazonaws.com/prod/profession-history';
+const PRICE_HISTORY_API = 'https://jkrsrzoom7.execute-api.us-east-1.amazonaws.com/prod/price-history';
+const PLAYER_REGISTRY_API = 'https://jkrsrzoom7.execute-api.us-east-1.amazonaws.com/prod/players';
+const PRICE_ITEMS_API = 'https://jkrsrzoom7.execute-api.us-east-1.amazonaws.com/prod/price-items';
 const VERSION = '1.0045';
 
+// Shared client for all API requests (see js/api-client.js)
+const apiClient = new ApiClient(API_BASE);
+
+// When the service worker answers from its cache (offline), url -> time the data was fetched
+const offlineDataTimes = new Map();
+
 // Current view state
 let currentView = 'inventory';
 
-// Package contents mapping: base item suffix -> quantity per package
+// Built-in package contents: base item suffix -> quantity per package
+// Used as a fallback when a package's recipe can't be looked up (see PackageRegistry)
 // Package names follow pattern: "[Tier Prefix] [Base Item] Package"
 // e.g., "Simple Clay Lump Package" contains 500 "Simple Clay Lump"
 const PACKAGE_CONTENTS = {
@@ -36,12 +46,145 @@ const PACKAGE_CONTENTS = {
     'Stone Carving Package': 100
 };
 
+// Inventory snapshots are kept in IndexedDB so changes can be compared over time
+const SNAPSHOT_DB_NAME = 'bitcraft-inventory';
+const SNAPSHOT_DB_VERSION = 2;
+const SNAPSHOT_STORE = 'snapshots';
+const SNAPSHOT_RETENTION_DAYS = 90;
+
+// Wrap an IndexedDB request in a promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Snapshot Store Class
+// Each record: { id, playerId, username, timestamp, items: [...] }
+class InventorySnapshotStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(SNAPSHOT_DB_NAME, SNAPSHOT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const store = db.objectStoreNames.contains(SNAPSHOT_STORE)
+                    ? request.transaction.objectStore(SNAPSHOT_STORE)
+                    : db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+
+                if (!store.indexNames.contains('playerId')) store.createIndex('playerId', 'playerId');
+                if (!store.indexNames.contains('timestamp')) store.createIndex('timestamp', 'timestamp');
+                // Added in version 2 so the latest snapshot can be read without loading a player's whole history
+                if (!store.indexNames.contains('playerTimestamp')) store.createIndex('playerTimestamp', ['playerId', 'timestamp']);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    async saveSnapshot(playerId, username, items) {
+        const db = await this.open();
+        const record = {
+            playerId,
+            username,
+            timestamp: Date.now(),
+            items: items.map(item => ({
+                name: item.name,
+                tier: item.tier,
+                rarity: item.rarity,
+                count: item.count,
+                location: item.location,
+                claimName: item.claimName || null,
+                baseItem: item.baseItem,
+                tag: item.tag
+            }))
+        };
+
+        // Reloads (and other views fetching the same inventory) shouldn't pile up identical snapshots
+        const latest = await this.getLatestSnapshot(playerId);
+        if (latest && this.getItemsKey(latest.items) === this.getItemsKey(record.items)) {
+            return latest;
+        }
+
+        const tx = db.transaction(SNAPSHOT_STORE, 'readwrite');
+        record.id = await idbRequest(tx.objectStore(SNAPSHOT_STORE).add(record));
+        await this.pruneSnapshots(playerId);
+        return record;
+    }
+
+    // Get a player's most recent snapshot, or null if they have none
+    async getLatestSnapshot(playerId) {
+        const db = await this.open();
+        const tx = db.transaction(SNAPSHOT_STORE, 'readonly');
+        const range = IDBKeyRange.bound([playerId, -Infinity], [playerId, Infinity]);
+        const cursor = await idbRequest(tx.objectStore(SNAPSHOT_STORE).index('playerTimestamp').openCursor(range, 'prev'));
+        return cursor ? cursor.value : null;
+    }
+
+    // Order-independent fingerprint of a snapshot's items
+    getItemsKey(items) {
+        return items
+            .map(item => [item.name, item.tier, item.rarity, item.location, item.claimName || '', item.count].join('|'))
+            .sort()
+            .join('\n');
+    }
+
+    // Drop snapshots older than the retention window for a player
+    async pruneSnapshots(playerId) {
+        const db = await this.open();
+        const cutoff = Date.now() - SNAPSHOT_RETENTION_DAYS * 24 * 3600 * 1000;
+        const tx = db.transaction(SNAPSHOT_STORE, 'readwrite');
+        const store = tx.objectStore(SNAPSHOT_STORE);
+        const records = await idbRequest(store.index('playerId').getAll(playerId));
+
+        for (const record of records) {
+            if (record.timestamp < cutoff) {
+                store.delete(record.id);
+            }
+        }
+    }
+
+    // Get all snapshots for the given players, oldest first
+    async getSnapshots(playerIds) {
+        const db = await this.open();
+        const tx = db.transaction(SNAPSHOT_STORE, 'readonly');
+        const index = tx.objectStore(SNAPSHOT_STORE).index('playerId');
+        const results = await Promise.all(playerIds.map(id => idbRequest(index.getAll(id))));
+        return results.flat().sort((a, b) => a.timestamp - b.timestamp);
+    }
+}
+
+// Units of each item the sale report keeps back, by item name
+const SELL_RESERVES_KEY = 'sellReserves';
+
 class InventoryViewer {
     constructor() {
         this.players = new Map(); // entityId -> { username, items: [] }
         this.itemDatabase = new Map(); // itemId -> { name, tier, rarity, ... }
         this.itemDatabaseLoaded = false;
         this.expandPackages = true; // Whether to add package contents to base item counts
+        this.viewMode = 'items'; // 'items' (current inventory), 'changes' (diff between snapshots) or 'sell' (sale report)
+        this.snapshotStore = new InventorySnapshotStore();
+        this.snapshots = []; // Snapshots for the current players, oldest first
+        this.priceStrategy = 'none'; // 'none', 'cheapestSell', 'medianSell' or 'highestBuy'
+        this.itemPrices = new Map(); // "item:123" -> { cheapestSell, medianSell, highestBuy } or null
+        this.orderBooks = new Map(); // "item:123" -> { sellOrders, buyOrders }, loaded alongside itemPrices
+        this.sellReserves = this.loadSellReserves(); // itemName -> units to keep when selling
+        this.renderedRows = []; // Aggregated items shown in the inventory table (row index -> item)
+        this.pendingPriceKeys = new Set();
         this.init();
     }
 
@@ -65,6 +208,7 @@ class InventoryViewer {
         this.filterTierSelect = document.getElementById('filter-tier');
         this.filterRaritySelect = document.getElementById('filter-rarity');
         this.filterTagSelect = document.getElementById('filter-tag');
+        this.filterLocationSelect = document.getElementById('filter-location');
         this.sortBySelect = document.getElementById('sort-by');
         this.sortOrderSelect = document.getElementById('sort-order');
         this.itemSearchInput = document.getElementById('item-search');
@@ -74,9 +218,18 @@ class InventoryViewer {
         this.statTotal = document.getElementById('stat-total');
         this.refreshBtn = document.getElementById('refresh-btn');
         this.exportBtn = document.getElementById('export-btn');
+        this.packagesBtn = document.getElementById('packages-btn');
+        this.stockRulesBtn = document.getElementById('stock-rules-btn');
+        this.undercutBtn = document.getElementById('undercut-btn');
         this.clearBtn = document.getElementById('clear-btn');
         this.loadingOverlay = document.getElementById('loading-overlay');
         this.expandPackagesCheckbox = document.getElementById('expand-packages');
+        this.viewModeSelect = document.getElementById('view-mode');
+        this.changesFromSelect = document.getElementById('changes-from');
+        this.changesToSelect = document.getElementById('changes-to');
+        this.priceStrategySelect = document.getElementById('price-strategy');
+        this.statValueContainer = document.getElementById('stat-value-container');
+        this.statValue = document.getElementById('stat-value');
     }
 
     setupEventListeners() {
@@ -89,6 +242,7 @@ class InventoryViewer {
         this.filterTierSelect.addEventListener('change', () => { this.render(); this.updateUrl(); });
         this.filterRaritySelect.addEventListener('change', () => { this.render(); this.updateUrl(); });
         this.filterTagSelect.addEventListener('change', () => { this.render(); this.updateUrl(); });
+        this.filterLocationSelect.addEventListener('change', () => { this.render(); this.updateUrl(); });
         this.sortBySelect.addEventListener('change', () => { this.render(); this.updateUrl(); });
         this.sortOrderSelect.addEventListener('change', () => { this.render(); this.updateUrl(); });
         this.itemSearchInput.addEventListener('input', () => { this.render(); this.updateUrl(); });
@@ -97,17 +251,34 @@ class InventoryViewer {
             this.render();
             this.updateUrl();
         });
+        this.viewModeSelect.addEventListener('change', () => {
+            this.viewMode = this.viewModeSelect.value;
+            this.updateUrl();
+            if (this.viewMode === 'changes') {
+                this.loadSnapshots();
+            } else {
+                this.render();
+            }
+        });
+        this.priceStrategySelect.addEventListener('change', () => {
+            this.priceStrategy = this.priceStrategySelect.value;
+            this.render();
+            this.updateUrl();
+        });
+        this.changesFromSelect.addEventListener('change', () => this.render());
+        this.changesToSelect.addEventListener('change', () => this.render());
         this.refreshBtn.addEventListener('click', () => this.refreshAll());
         this.exportBtn.addEventListener('click', () => this.exportCSV());
+        this.packagesBtn.addEventListener('click', () => openPackageEditor());
+        this.stockRulesBtn.addEventListener('click', () => openStockRulesEditor());
+        this.undercutBtn.addEventListener('click', () => openUndercutMonitor());
         this.clearBtn.addEventListener('click', () => this.clearAll());
     }
 
     // Load the item database from bitjita.com
     async loadItemDatabase() {
         try {
-            const response = await fetch(`${API_BASE}/items/__data.json`);
-            const json = await response.json();
-            const decoded = this.decodeSvelteKitData(json);
+            const decoded = await apiClient.getSvelteKit('/items/__data.json');
 
             if (decoded && decoded.items && Array.isArray(decoded.items)) {
                 for (const item of decoded.items) {
@@ -129,6 +300,19 @@ class InventoryViewer {
         }
     }
 
+    // Look up an item ID by its display name in the item database
+    getItemIdByName(name) {
+        if (!this.itemIdsByName || this.itemIdsByName.size === 0) {
+            this.itemIdsByName = new Map();
+            for (const [id, item] of this.itemDatabase) {
+                if (item.name && !this.itemIdsByName.has(item.name)) {
+                    this.itemIdsByName.set(item.name, id);
+                }
+            }
+        }
+        return this.itemIdsByName.get(name) || null;
+    }
+
     // Load settings from URL parameters (inventory-specific)
     loadSettingsFromUrl() {
         const urlParams = new URLSearchParams(window.location.search);
@@ -138,10 +322,13 @@ class InventoryViewer {
         const filterTier = urlParams.get('inv_tier');
         const filterRarity = urlParams.get('inv_rarity');
         const filterTag = urlParams.get('inv_type');
+        const filterLocation = urlParams.get('inv_location');
         const sortBy = urlParams.get('inv_sort');
         const sortOrder = urlParams.get('inv_order');
         const search = urlParams.get('inv_search');
         const expandPkg = urlParams.get('inv_expand');
+        const mode = urlParams.get('inv_mode');
+        const priceStrategy = urlParams.get('inv_value');
 
         // Apply settings to dropdowns
         if (groupBy && this.groupBySelect.querySelector(`option[value="${groupBy}"]`)) {
@@ -169,8 +356,19 @@ class InventoryViewer {
             this.expandPackagesCheckbox.checked = this.expandPackages;
         }
 
-        // Store tag filter to apply after items load (tag options are dynamic)
+        if (priceStrategy && this.priceStrategySelect.querySelector(`option[value="${priceStrategy}"]`)) {
+            this.priceStrategy = priceStrategy;
+            this.priceStrategySelect.value = priceStrategy;
+        }
+
+        if (mode && this.viewModeSelect.querySelector(`option[value="${mode}"]`)) {
+            this.viewMode = mode;
+            this.viewModeSelect.value = mode;
+        }
+
+        // Store tag and location filters to apply after items load (their options are dynamic)
         this.pendingTagFilter = filterTag;
+        this.pendingLocationFilter = filterLocation;
     }
 
     // Load players from URL parameter (e.g., ?players=123,456,789)
@@ -196,22 +394,31 @@ class InventoryViewer {
 
         this.showLoading();
 
-        for (const entityId of entityIds) {
+        // Load all players in parallel, keeping the URL order for display
+        const failed = [];
+        const loaded = await Promise.all(entityIds.map(async (entityId) => {
             try {
                 // First fetch player info to get username
-                const response = await fetch(
-                    `${API_BASE}/players/${entityId}/__data.json?x-sveltekit-invalidated=01`
+                const decoded = await apiClient.getSvelteKit(
+                    `/players/${entityId}/__data.json?x-sveltekit-invalidated=01`
                 );
-                const json = await response.json();
-                const decoded = this.decodeSvelteKitData(json);
 
                 if (decoded && decoded.player) {
                     const username = decoded.player.username || `Player ${entityId}`;
-                    const items = await this.fetchPlayerInventory(entityId);
-                    this.players.set(entityId, { username, items });
+                    const items = await this.fetchPlayerInventory(entityId, username);
+                    return { entityId, username, items };
                 }
+                failed.push(entityId);
             } catch (error) {
                 console.error(`Error loading player ${entityId}:`, error);
+                failed.push(entityId);
+            }
+            return null;
+        }));
+
+        for (const player of loaded) {
+            if (player) {
+                this.players.set(player.entityId, { username: player.username, items: player.items });
             }
         }
 
@@ -228,7 +435,15 @@ class InventoryViewer {
             this.render();
         }
 
+        if (this.viewMode === 'changes') {
+            await this.loadSnapshots();
+        }
+
         this.hideLoading();
+
+        if (failed.length > 0) {
+            alert(`Could not load ${failed.length} player(s): ${failed.join(', ')}`);
+        }
     }
 
     showLoading() {
@@ -239,71 +454,17 @@ class InventoryViewer {
         this.loadingOverlay.classList.add('hidden');
     }
 
-    // Decode SvelteKit __data.json format (devalue format)
-    // In devalue format, all numbers in objects are references to indices in the data array
-    // The actual values are stored in the data array itself
+    // Decode SvelteKit __data.json format (devalue format) - see js/devalue.js
     decodeSvelteKitData(json) {
-        if (!json || !json.nodes) return null;
-
-        // Find the data node (skip null entries)
-        const dataNode = json.nodes.find(n => n && n.type === 'data' && n.data);
-        if (!dataNode) return null;
-
-        const data = dataNode.data;
-        const hydrated = new Array(data.length);
-
-        // Hydrate a value at a given index
-        const hydrate = (index) => {
-            // Special devalue codes (negative numbers)
-            if (index === -1) return undefined;
-            if (index === -3) return NaN;
-            if (index === -4) return Infinity;
-            if (index === -5) return -Infinity;
-            if (index === -6) return -0;
-
-            // Already hydrated
-            if (index in hydrated) {
-                return hydrated[index];
-            }
-
-            const value = data[index];
-
-            // Primitives - return as-is
-            if (typeof value === 'string' || typeof value === 'boolean' || value === null) {
-                hydrated[index] = value;
-                return value;
-            }
-
-            // Numbers in the data array are literal values
-            if (typeof value === 'number') {
-                hydrated[index] = value;
-                return value;
-            }
-
-            // Arrays - hydrate each element (elements are references)
-            if (Array.isArray(value)) {
-                const arr = [];
-                hydrated[index] = arr; // Store early for circular refs
-                for (const ref of value) {
-                    arr.push(hydrate(ref));
-                }
-                return arr;
-            }
-
-            // Objects - hydrate each property value (values are references)
-            if (typeof value === 'object') {
-                const obj = {};
-                hydrated[index] = obj; // Store early for circular refs
-                for (const [key, ref] of Object.entries(value)) {
-                    obj[key] = hydrate(ref);
-                }
-                return obj;
-            }
-
-            return value;
-        };
+        return decodeSvelteKitData(json);
+    }
 
-        return hydrate(0);
+    // Search players by name; returns [{ entityId, username, ... }]
+    async findPlayers(query) {
+        const decoded = await apiClient.getSvelteKit(
+            `/players/__data.json?q=${encodeURIComponent(query)}&x-sveltekit-invalidated=01`
+        );
+        return decoded?.players || [];
     }
 
     async searchPlayer() {
@@ -314,19 +475,15 @@ class InventoryViewer {
         this.searchResults.innerHTML = '';
 
         try {
-            const response = await fetch(
-                `${API_BASE}/players/__data.json?q=${encodeURIComponent(query)}&x-sveltekit-invalidated=01`
-            );
-            const json = await response.json();
-            const decoded = this.decodeSvelteKitData(json);
+            const players = await this.findPlayers(query);
 
-            if (!decoded || !decoded.players || decoded.players.length === 0) {
+            if (players.length === 0) {
                 this.searchResults.innerHTML = '<p class="error-message">No players found.</p>';
                 this.hideLoading();
                 return;
             }
 
-            this.searchResults.innerHTML = decoded.players.map(player => `
+            this.searchResults.innerHTML = players.map(player => `
                 <div class="search-result-item">
                     <span>${this.escapeHtml(player.username)}</span>
                     <button onclick="viewer.addPlayer('${player.entityId}', '${this.escapeHtml(player.username)}')">
@@ -353,7 +510,7 @@ class InventoryViewer {
         this.playerSearchInput.value = '';
 
         try {
-            const items = await this.fetchPlayerInventory(entityId);
+            const items = await this.fetchPlayerInventory(entityId, username);
             this.players.set(entityId, { username, items });
             this.updateUrl();
 
@@ -371,12 +528,10 @@ class InventoryViewer {
         this.hideLoading();
     }
 
-    async fetchPlayerInventory(entityId) {
-        const response = await fetch(
-            `${API_BASE}/players/${entityId}/inventory/__data.json?x-sveltekit-invalidated=001`
-        );
-        const json = await response.json();
-        const decoded = this.decodeSvelteKitData(json);
+    // Fetch a player's inventory and record it as a snapshot
+    async fetchPlayerInventory(entityId, username = null) {
+        const inventoryPath = `/players/${entityId}/inventory/__data.json?x-sveltekit-invalidated=001`;
+        const decoded = await apiClient.getSvelteKit(inventoryPath);
 
         if (!decoded) {
             throw new Error('Failed to decode player data');
@@ -400,6 +555,9 @@ class InventoryViewer {
                 // Skip Wallet and Toolbelt - these are equipped items, not inventory
                 if (skipContainers.has(locationName)) continue;
 
+                // Banks and storages belong to a claim; the personal inventory doesn't
+                const claimName = container.claimName || container.claim?.name || null;
+
                 const pockets = container.pockets || [];
 
                 for (const pocket of pockets) {
@@ -410,6 +568,7 @@ class InventoryViewer {
                     let quantity;
                     let itemEntityId;
                     let itemDetails = null;
+                    let itemType = 'item';
 
                     const contents = pocket.contents;
 
@@ -443,8 +602,11 @@ class InventoryViewer {
                     // If we don't have item details yet, look them up in various places
                     if (!itemDetails && itemEntityId) {
                         // First try the player data's items/cargos lookup
-                        itemDetails = itemsLookup[itemEntityId] || cargosLookup[itemEntityId] ||
-                                      itemsLookup[String(itemEntityId)] || cargosLookup[String(itemEntityId)];
+                        itemDetails = itemsLookup[itemEntityId] || itemsLookup[String(itemEntityId)];
+                        if (!itemDetails) {
+                            itemDetails = cargosLookup[itemEntityId] || cargosLookup[String(itemEntityId)];
+                            if (itemDetails) itemType = 'cargo';
+                        }
 
                         // If not found, try the global item database
                         if (!itemDetails || (!itemDetails.name && !itemDetails.itemName)) {
@@ -456,16 +618,26 @@ class InventoryViewer {
                     }
 
                     if (itemDetails && (itemDetails.name || itemDetails.itemName)) {
-                        this.extractItemFromDetails(itemDetails, quantity, items, entityId, locationName);
+                        this.extractItemFromDetails(itemDetails, quantity, items, entityId, locationName, itemEntityId, itemType, claimName);
                     }
                 }
             }
         }
 
+        // Data served from the offline cache was already recorded when it was fetched
+        if (!offlineDataTimes.has(apiClient.resolveUrl(inventoryPath))) {
+            const snapshotName = username || this.players.get(entityId)?.username || entityId;
+            try {
+                await this.snapshotStore.saveSnapshot(entityId, snapshotName, items);
+            } catch (error) {
+                console.error(`Error saving inventory snapshot for ${snapshotName}:`, error);
+            }
+        }
+
         return items;
     }
 
-    extractItemFromDetails(itemDetails, quantity, items, playerId, location) {
+    extractItemFromDetails(itemDetails, quantity, items, playerId, location, itemId = null, itemType = 'item', claimName = null) {
         if (!itemDetails) return;
 
         // Item name could be in 'name' or 'itemName' field
@@ -499,8 +671,11 @@ class InventoryViewer {
                 count: quantity,
                 playerId,
                 location,
+                claimName,
                 baseItem,
-                tag
+                tag,
+                itemId: itemId != null ? String(itemId) : null,
+                itemType
             });
         }
     }
@@ -776,6 +951,14 @@ class InventoryViewer {
             url.searchParams.delete('inv_type');
         }
 
+        // Filter Location (inventory-specific parameter)
+        const filterLocation = this.filterLocationSelect.value;
+        if (filterLocation !== 'all') {
+            url.searchParams.set('inv_location', filterLocation);
+        } else {
+            url.searchParams.delete('inv_location');
+        }
+
         // Sort By (inventory-specific parameter)
         const sortBy = this.sortBySelect.value;
         if (sortBy !== 'name') {
@@ -807,6 +990,20 @@ class InventoryViewer {
             url.searchParams.delete('inv_expand');
         }
 
+        // Pricing strategy (inventory-specific parameter)
+        if (this.priceStrategy !== 'none') {
+            url.searchParams.set('inv_value', this.priceStrategy);
+        } else {
+            url.searchParams.delete('inv_value');
+        }
+
+        // View mode (inventory-specific parameter)
+        if (this.viewMode !== 'items') {
+            url.searchParams.set('inv_mode', this.viewMode);
+        } else {
+            url.searchParams.delete('inv_mode');
+        }
+
         window.history.replaceState({}, '', url);
     }
 
@@ -814,44 +1011,49 @@ class InventoryViewer {
         if (this.players.size === 0) return;
 
         this.showLoading();
+        const previousStockStatus = stockRules.evaluate(this.getPooledItems());
 
-        for (const [entityId, playerData] of this.players) {
+        // Refresh all players in parallel (the API client limits concurrency)
+        const failed = [];
+        await Promise.all([...this.players].map(async ([entityId, playerData]) => {
             try {
-                const items = await this.fetchPlayerInventory(entityId);
-                playerData.items = items;
+                playerData.items = await this.fetchPlayerInventory(entityId, playerData.username);
             } catch (error) {
                 console.error(`Error refreshing ${playerData.username}:`, error);
+                failed.push(playerData.username);
             }
+        }));
+
+        if (failed.length > 0) {
+            alert(`Could not refresh: ${failed.join(', ')}. Showing their previously loaded inventory.`);
         }
 
-        this.render();
+        this.notifyStockDrops(previousStockStatus);
+
+        if (this.viewMode === 'changes') {
+            await this.loadSnapshots();
+        } else {
+            this.render();
+        }
         this.hideLoading();
     }
 
     // Check if item is a package and return info about its contents
-    // Returns { isPackage: true, baseItemName, quantityPer } or { isPackage: false }
+    // Returns { isPackage: true, baseItemName, quantityPer, source } or { isPackage: false }
+    // (with unresolved: true for packages whose contents are unknown)
     getPackageInfo(itemName) {
-        if (!itemName.endsWith(' Package')) {
-            return { isPackage: false };
-        }
+        return packageRegistry.resolve(itemName);
+    }
 
-        // Find which package type this matches
-        for (const [packageSuffix, quantity] of Object.entries(PACKAGE_CONTENTS)) {
-            if (itemName.endsWith(packageSuffix)) {
-                // Extract the base item name by removing " Package" from the end
-                const baseItemName = itemName.slice(0, -8); // Remove " Package"
-                return {
-                    isPackage: true,
-                    baseItemName,
-                    quantityPer: quantity
-                };
-            }
+    // Derive definitions for packages we can't expand yet, then re-render
+    async resolvePackages() {
+        const changed = await packageRegistry.deriveFromRecipes(this.getAllItems(false));
+        if (changed && currentView === 'inventory') {
+            this.render();
         }
-
-        return { isPackage: false };
     }
 
-    getAllItems() {
+    getAllItems(expandPackages = this.expandPackages) {
         const allItems = [];
         const packageContents = []; // Track expanded package contents separately
 
@@ -866,14 +1068,14 @@ class InventoryViewer {
                 });
 
                 // Track tags for base items (non-packages) so we can use them for expanded contents
-                if (!item.name.endsWith(' Package') && item.tag) {
+                if (!this.getPackageInfo(item.name).isPackage && item.tag) {
                     baseItemTags.set(item.name, item.tag);
                 }
             }
         }
 
         // Second pass: expand packages if enabled
-        if (this.expandPackages) {
+        if (expandPackages) {
             for (const [entityId, playerData] of this.players) {
                 for (const item of playerData.items) {
                     const pkgInfo = this.getPackageInfo(item.name);
@@ -891,6 +1093,7 @@ class InventoryViewer {
                             count: item.count * pkgInfo.quantityPer,
                             playerId: item.playerId,
                             location: item.location,
+                            claimName: item.claimName,
                             baseItem: this.getBaseItemName(pkgInfo.baseItemName),
                             tag: baseItemTag,
                             playerName: playerData.username,
@@ -948,10 +1151,16 @@ class InventoryViewer {
         let items = this.getAllItems();
 
         // If expand packages is enabled, hide the packages themselves (their contents are already added)
+        // Packages we couldn't resolve stay visible so they aren't silently dropped
         if (this.expandPackages) {
-            items = items.filter(i => !i.name.endsWith(' Package'));
+            items = items.filter(i => i.fromPackage || !this.getPackageInfo(i.name).isPackage);
         }
 
+        return this.filterItems(items);
+    }
+
+    // Apply the tier/rarity/type/search filters to a list of items
+    filterItems(items) {
         // Filter by tier
         const tierFilter = this.filterTierSelect.value;
         if (tierFilter !== 'all') {
@@ -970,6 +1179,12 @@ class InventoryViewer {
             items = items.filter(i => i.tag === tagFilter);
         }
 
+        // Filter by container location
+        const locationFilter = this.filterLocationSelect.value;
+        if (locationFilter !== 'all') {
+            items = items.filter(i => this.getLocationLabel(i) === locationFilter);
+        }
+
         // Filter by search term
         const search = this.itemSearchInput.value.toLowerCase().trim();
         if (search) {
@@ -979,41 +1194,69 @@ class InventoryViewer {
         return items;
     }
 
-    aggregateItems(items) {
+    aggregateItems(items, groupBy = this.groupBySelect.value) {
         // Aggregate same items (combine counts) and track contributing players with quantities
         const aggregated = new Map();
 
         for (const item of items) {
-            // Key by name + tier + rarity (and player if grouping by player)
-            const groupBy = this.groupBySelect.value;
-            const key = groupBy === 'player'
-                ? `${item.name}|${item.tier}|${item.rarity}|${item.playerName}`
-                : `${item.name}|${item.tier}|${item.rarity}`;
-
-            if (aggregated.has(key)) {
-                const existing = aggregated.get(key);
-                existing.count += item.count;
-                // Track all contributing players with their quantities
-                if (item.playerName) {
-                    const currentQty = existing.playerQuantities.get(item.playerName) || 0;
-                    existing.playerQuantities.set(item.playerName, currentQty + item.count);
-                }
-            } else {
+            // Key by name + tier + rarity (and player/location if grouping by them)
+            let key = `${item.name}|${item.tier}|${item.rarity}`;
+            if (groupBy === 'player') {
+                key += `|${item.playerName}`;
+            } else if (groupBy === 'location') {
+                key += `|${this.getLocationLabel(item)}`;
+            }
+
+            if (!aggregated.has(key)) {
                 // Initialize with a Map of contributing players and their quantities
-                const newItem = { ...item, playerQuantities: new Map() };
-                if (item.playerName) {
-                    newItem.playerQuantities.set(item.playerName, item.count);
-                }
-                aggregated.set(key, newItem);
+                aggregated.set(key, { ...item, count: 0, playerQuantities: new Map(), sources: new Map() });
+            }
+
+            const existing = aggregated.get(key);
+            existing.count += item.count;
+
+            // Track all contributing players with their quantities
+            if (item.playerName) {
+                const currentQty = existing.playerQuantities.get(item.playerName) || 0;
+                existing.playerQuantities.set(item.playerName, currentQty + item.count);
             }
+
+            // Track every container holding the item (player|claim|container -> source)
+            const sourceKey = `${item.playerName}|${item.claimName || ''}|${item.location}`;
+            if (!existing.sources.has(sourceKey)) {
+                existing.sources.set(sourceKey, {
+                    playerName: item.playerName,
+                    claimName: item.claimName || null,
+                    location: item.location || 'Unknown',
+                    count: 0,
+                    fromPackage: 0
+                });
+            }
+            const source = existing.sources.get(sourceKey);
+            source.count += item.count;
+            if (item.fromPackage) source.fromPackage += item.count;
         }
 
         return Array.from(aggregated.values());
     }
 
+    // Display name for where an item is stored, e.g. "Riverside · Bank"
+    getLocationLabel(item) {
+        const location = item.location || 'Unknown';
+        return item.claimName ? `${item.claimName} · ${location}` : location;
+    }
+
+    // Show every container and claim holding an aggregated item
+    showItemSources(rowId) {
+        const item = this.renderedRows[rowId];
+        if (!item) return;
+        renderItemSourcesModal(item);
+    }
+
     render() {
         this.renderPlayerList();
         this.updateTagFilter();
+        this.updateLocationFilter();
         this.renderInventory();
         this.updateStats();
     }
@@ -1045,6 +1288,23 @@ class InventoryViewer {
         }
     }
 
+    // Populate the location filter dropdown with the containers in the current inventory
+    updateLocationFilter() {
+        const locations = new Set(this.getAllItems(false).map(item => this.getLocationLabel(item)));
+        const sortedLocations = Array.from(locations).sort((a, b) => a.localeCompare(b));
+
+        // Keep current selection if still valid, or apply the one from the URL
+        const currentValue = this.pendingLocationFilter || this.filterLocationSelect.value;
+
+        this.filterLocationSelect.innerHTML = '<option value="all">All Locations</option>' +
+            sortedLocations.map(location => `<option value="${this.escapeHtml(location)}">${this.escapeHtml(location)}</option>`).join('');
+
+        if (locations.has(currentValue)) {
+            this.filterLocationSelect.value = currentValue;
+            this.pendingLocationFilter = null;
+        }
+    }
+
     renderPlayerList() {
         if (this.players.size === 0) {
             this.playerList.innerHTML = '<p class="empty-state">No players added yet. Search for a player above.</p>';
@@ -1067,19 +1327,44 @@ class InventoryViewer {
     }
 
     renderInventory() {
+        this.updateModeControls();
+
         if (this.players.size === 0) {
             this.inventoryContent.innerHTML = '<p class="empty-state">Add a player to view their inventory.</p>';
             return;
         }
 
+        if (this.viewMode === 'changes') {
+            this.renderChanges();
+            return;
+        }
+
+        if (this.viewMode === 'sell') {
+            this.renderSellReport();
+            return;
+        }
+
+        if (this.expandPackages) {
+            this.resolvePackages();
+        }
+
         const items = this.getFilteredItems();
         const aggregated = this.aggregateItems(items);
+        this.renderedRows = []; // Aggregated items by table row, for the location drilldown
+        this.stockStatus = stockRules.evaluate(this.getPooledItems());
 
         if (aggregated.length === 0) {
             this.inventoryContent.innerHTML = '<p class="empty-state">No items match your filters.</p>';
+            this.renderUnresolvedPackages();
+            this.renderStockAlerts();
             return;
         }
 
+        // Lazy-load market prices for valuation
+        if (this.priceStrategy !== 'none') {
+            this.loadItemPrices(aggregated);
+        }
+
         const groupBy = this.groupBySelect.value;
 
         if (groupBy === 'none') {
@@ -1087,6 +1372,133 @@ class InventoryViewer {
         } else {
             this.renderGroupedItems(aggregated, groupBy);
         }
+
+        this.renderUnresolvedPackages();
+        this.renderStockAlerts();
+    }
+
+    renderStockFlag(item) {
+        const flag = this.getStockFlag(item);
+        if (!flag) return '';
+        return ` <span class="stock-flag stock-${flag}">${flag === 'over' ? 'Over' : 'Low'}</span>`;
+    }
+
+    // All players' items with packages unpacked, regardless of the view filters
+    getPooledItems() {
+        return this.getAllItems(true).filter(item => item.fromPackage || !this.getPackageInfo(item.name).isPackage);
+    }
+
+    // 'low' or 'over' if the item falls under a stock rule outside its targets (low wins)
+    getStockFlag(item) {
+        let flag = null;
+        for (const result of this.stockStatus || []) {
+            if (result.status === 'ok' || !stockRules.matches(result.rule, item)) continue;
+            if (result.status !== 'over') return 'low';
+            flag = 'over';
+        }
+        return flag;
+    }
+
+    // Summarize stock rules that are below minimum, missing or over maximum above the inventory table
+    renderStockAlerts() {
+        if (stockRules.rules.length === 0) return;
+        const problems = (this.stockStatus || []).filter(result => result.status !== 'ok');
+
+        const statusLabels = { missing: 'Missing', low: 'Below minimum', over: 'Over maximum' };
+        const summary = problems.length === 0
+            ? `All ${stockRules.rules.length} stock rule${stockRules.rules.length === 1 ? '' : 's'} within targets`
+            : ['missing', 'low', 'over']
+                .map(status => [status, problems.filter(result => result.status === status).length])
+                .filter(([, count]) => count > 0)
+                .map(([status, count]) => `${count} ${statusLabels[status].toLowerCase()}`)
+                .join(', ');
+
+        this.inventoryContent.insertAdjacentHTML('afterbegin', `
+            <div class="stock-alerts ${problems.length > 0 ? 'has-problems' : ''}">
+                <div class="stock-alerts-header">
+                    <span>Stock: ${summary}</span>
+                    <div class="tag-filter-actions">
+                        ${problems.some(result => result.need > 0) ? '<button type="button" class="tag-action-btn" onclick="viewer.exportNeedsCSV()">Export Needs</button>' : ''}
+                        <button type="button" class="tag-action-btn" onclick="openStockRulesEditor()">Edit Stock Rules</button>
+                    </div>
+                </div>
+                ${problems.length > 0 ? `
+                    <table class="inventory-table">
+                        <thead><tr><th>Rule</th><th>Status</th><th>Have</th><th>Min</th><th>Max</th><th>Need</th></tr></thead>
+                        <tbody>
+                            ${problems.map(result => `
+                                <tr>
+                                    <td class="item-name">${this.escapeHtml(result.label)}</td>
+                                    <td><span class="stock-flag stock-${result.status === 'over' ? 'over' : 'low'}">${statusLabels[result.status]}</span></td>
+                                    <td class="count-value">${result.current.toLocaleString()}</td>
+                                    <td class="count-value">${result.rule.min !== null ? result.rule.min.toLocaleString() : '—'}</td>
+                                    <td class="count-value">${result.rule.max !== null ? result.rule.max.toLocaleString() : '—'}</td>
+                                    <td class="count-value">${result.need > 0 ? result.need.toLocaleString() : '—'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            </div>
+        `);
+    }
+
+    exportNeedsCSV() {
+        const needs = stockRules.evaluate(this.getPooledItems()).filter(result => result.need > 0);
+
+        if (needs.length === 0) {
+            alert('Nothing needs restocking.');
+            return;
+        }
+
+        const headers = ['Rule', 'Status', 'Have', 'Min', 'Max', 'Need'];
+        const rows = needs.map(result => [
+            `"${result.label}"`,
+            result.status,
+            result.current,
+            result.rule.min ?? '',
+            result.rule.max ?? '',
+            result.need
+        ].join(','));
+
+        const csv = [headers.join(','), ...rows].join('\n');
+        downloadFile(csv, `bitcraft-needs-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+    }
+
+    // Notify about stock rules that a refresh pushed below their minimum
+    notifyStockDrops(previousStatus) {
+        if (!stockRules.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+
+        const wasBelow = new Set(previousStatus
+            .filter(result => result.status === 'low' || result.status === 'missing')
+            .map(result => result.rule.id));
+        const dropped = stockRules.evaluate(this.getPooledItems())
+            .filter(result => (result.status === 'low' || result.status === 'missing') && !wasBelow.has(result.rule.id));
+
+        if (dropped.length === 0) return;
+
+        new Notification('Bitcraft stock below minimum', {
+            body: dropped.map(result => `${result.label}: ${result.current.toLocaleString()} / ${result.rule.min.toLocaleString()}`).join('\n'),
+            tag: 'bitcraft-stock'
+        });
+    }
+
+    // List packages whose contents are unknown above the inventory table
+    renderUnresolvedPackages() {
+        if (!this.expandPackages) return;
+
+        const unresolved = packageRegistry.getUnresolved(this.getAllItems(false));
+        if (unresolved.length === 0) return;
+
+        this.inventoryContent.insertAdjacentHTML('afterbegin', `
+            <div class="package-warning">
+                <span>${unresolved.length} package${unresolved.length === 1 ? '' : 's'} could not be expanded and ${unresolved.length === 1 ? 'is' : 'are'} counted as-is:
+                ${unresolved.map(name => this.escapeHtml(name)).join(', ')}</span>
+                <button type="button" class="tag-action-btn" onclick="openPackageEditor()">Edit Package Definitions</button>
+            </div>
+        `);
     }
 
     renderItemTable(items, showPlayer = true) {
@@ -1112,6 +1524,9 @@ class InventoryViewer {
             } else if (sortBy === 'count') {
                 comparison = a.count - b.count;
                 if (comparison === 0) comparison = a.name.localeCompare(b.name);
+            } else if (sortBy === 'value') {
+                comparison = (this.getItemValue(a) ?? -1) - (this.getItemValue(b) ?? -1);
+                if (comparison === 0) comparison = a.name.localeCompare(b.name);
             }
 
             // For baseItem grouping, always sort by tier within groups
@@ -1123,6 +1538,7 @@ class InventoryViewer {
         });
 
         const showPlayerColumn = showPlayer && this.players.size > 1 && this.groupBySelect.value !== 'player';
+        const showValueColumn = this.priceStrategy !== 'none';
 
         return `
             <table class="inventory-table">
@@ -1132,16 +1548,18 @@ class InventoryViewer {
                         <th>Tier</th>
                         <th>Rarity</th>
                         <th>Count</th>
+                        ${showValueColumn ? '<th>Value</th>' : ''}
                         ${showPlayerColumn ? '<th>Player</th>' : ''}
                     </tr>
                 </thead>
                 <tbody>
                     ${items.map(item => `
-                        <tr class="rarity-row-${(item.rarity || 'common').toLowerCase()}">
-                            <td class="item-name">${this.escapeHtml(item.name)}</td>
+                        <tr class="rarity-row-${(item.rarity || 'common').toLowerCase()} clickable-row" onclick="viewer.showItemSources(${this.renderedRows.push(item) - 1})" title="Show where this is stored">
+                            <td class="item-name">${this.escapeHtml(item.name)}${this.renderStockFlag(item)}${item.itemId ? ` ${renderOrderBookButton(item.itemId, item.itemType || 'item', item.name, 'tag-action-btn order-book-btn')}` : ''}</td>
                             <td><span class="tier-badge">T${item.tier}</span></td>
                             <td><span class="rarity-${(item.rarity || 'common').toLowerCase()}">${item.rarity || 'Unknown'}</span></td>
                             <td class="count-value">${item.count.toLocaleString()}</td>
+                            ${showValueColumn ? `<td class="price-value">${this.formatValue(this.getItemValue(item))}</td>` : ''}
                             ${showPlayerColumn ? `<td class="player-tags">${this.renderPlayerTags(item.playerQuantities)}</td>` : ''}
                         </tr>
                     `).join('')}
@@ -1165,6 +1583,8 @@ class InventoryViewer {
                 key = item.baseItem || item.name;
             } else if (groupBy === 'tag') {
                 key = item.tag || 'Other';
+            } else if (groupBy === 'location') {
+                key = this.getLocationLabel(item);
             }
 
             if (!groups.has(key)) {
@@ -1196,6 +1616,9 @@ class InventoryViewer {
 
         this.inventoryContent.innerHTML = sortedGroups.map(([groupName, groupItems], index) => {
             const totalCount = groupItems.reduce((sum, i) => sum + i.count, 0);
+            const groupValue = this.priceStrategy !== 'none'
+                ? ` &middot; ${this.formatValue(this.getTotalValue(groupItems))}`
+                : '';
             const groupId = `group-${groupBy}-${index}`;
             return `
                 <div class="inventory-group" data-group-id="${groupId}">
@@ -1204,7 +1627,7 @@ class InventoryViewer {
                             <span class="group-chevron">▼</span>
                             <span class="group-name">${this.escapeHtml(groupName)}</span>
                         </div>
-                        <span class="group-count">${groupItems.length} items (${totalCount.toLocaleString()} total)</span>
+                        <span class="group-count">${groupItems.length} items (${totalCount.toLocaleString()} total)${groupValue}</span>
                     </div>
                     <div class="group-content" id="${groupId}">
                         ${this.renderItemTable(groupItems, groupBy !== 'player')}
@@ -1228,78 +1651,564 @@ class InventoryViewer {
         }
     }
 
-    updateStats() {
-        this.statPlayers.textContent = this.players.size;
+    // Show the snapshot pickers only in changes mode
+    updateModeControls() {
+        const showChanges = this.viewMode === 'changes';
+        document.querySelectorAll('.changes-control').forEach(el => {
+            el.style.display = showChanges ? '' : 'none';
+        });
+    }
 
-        const items = this.getFilteredItems();
-        const aggregated = this.aggregateItems(items);
+    // Load snapshots for the current players and refresh the From/To pickers
+    async loadSnapshots() {
+        try {
+            this.snapshots = await this.snapshotStore.getSnapshots(Array.from(this.players.keys()));
+        } catch (error) {
+            console.error('Error loading inventory snapshots:', error);
+            this.snapshots = [];
+        }
 
-        this.statUnique.textContent = aggregated.length;
-        this.statTotal.textContent = items.reduce((sum, i) => sum + i.count, 0).toLocaleString();
+        this.updateSnapshotSelects();
+        this.render();
     }
 
-    exportCSV() {
-        const items = this.getFilteredItems();
-        const aggregated = this.aggregateItems(items);
+    updateSnapshotSelects() {
+        const currentFrom = this.changesFromSelect.value;
+        const newestFirst = [...this.snapshots].reverse();
 
-        if (aggregated.length === 0) {
-            alert('No items to export.');
-            return;
-        }
+        const options = newestFirst.map(snapshot => {
+            const label = `${new Date(snapshot.timestamp).toLocaleString()} - ${snapshot.username}`;
+            return `<option value="${snapshot.timestamp}">${this.escapeHtml(label)}</option>`;
+        }).join('');
 
-        // Sort by name
-        aggregated.sort((a, b) => a.name.localeCompare(b.name));
+        this.changesFromSelect.innerHTML = options;
+        this.changesToSelect.innerHTML = options;
 
-        const headers = ['Name', 'Tier', 'Rarity', 'Count'];
-        if (this.players.size > 1) {
-            headers.push('Player');
-        }
+        if (newestFirst.length === 0) return;
 
-        const rows = aggregated.map(item => {
-            const row = [
-                `"${item.name}"`,
-                item.tier,
-                item.rarity,
-                item.count
-            ];
-            if (this.players.size > 1) {
-                row.push(`"${item.playerName}"`);
-            }
-            return row.join(',');
-        });
+        // Default range: latest snapshot vs. the newest one taken at least a day earlier
+        const latest = newestFirst[0].timestamp;
+        const dayBefore = newestFirst.find(s => s.timestamp <= latest - 24 * 3600 * 1000) ||
+                          newestFirst[newestFirst.length - 1];
 
-        const csv = [headers.join(','), ...rows].join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `bitcraft-inventory-${new Date().toISOString().split('T')[0]}.csv`;
-        a.click();
-        URL.revokeObjectURL(url);
+        this.changesToSelect.value = String(latest);
+        if (currentFrom && this.changesFromSelect.querySelector(`option[value="${currentFrom}"]`)) {
+            this.changesFromSelect.value = currentFrom;
+        } else {
+            this.changesFromSelect.value = String(dayBefore.timestamp);
+        }
     }
 
-    clearAll() {
-        if (this.players.size === 0) return;
-        if (confirm('Remove all players and clear inventory data?')) {
-            this.players.clear();
-            this.updateUrl();
-            this.render();
+    // Latest snapshot for a player taken at or before the given time
+    getSnapshotAt(playerId, time) {
+        let match = null;
+        for (const snapshot of this.snapshots) {
+            if (snapshot.playerId !== playerId) continue;
+            if (snapshot.timestamp > time) break;
+            match = snapshot;
         }
+        return match;
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+    // Per-item deltas between two points in time, broken down by player and container location
+    computeChanges(fromTime, toTime) {
+        const changes = [];
+        const missingPlayers = [];
 
-    // Render player tags for items with multiple contributors
-    renderPlayerTags(playerQuantities) {
-        if (!playerQuantities || playerQuantities.size === 0) {
-            return '';
-        }
+        for (const [entityId, playerData] of this.players) {
+            const before = this.getSnapshotAt(entityId, fromTime);
+            const after = this.getSnapshotAt(entityId, toTime);
 
-        // Convert Map to sorted array of [player, quantity] entries
+            if (!before || !after) {
+                missingPlayers.push(playerData.username);
+                continue;
+            }
+            if (before.id === after.id) continue;
+
+            const entries = new Map(); // claim|location|name|tier|rarity -> { ..., before, after }
+            const addCounts = (items, field) => {
+                for (const item of items) {
+                    const location = item.location || 'Unknown';
+                    const claimName = item.claimName || null;
+                    const key = `${claimName || ''}|${location}|${item.name}|${item.tier}|${item.rarity}`;
+                    if (!entries.has(key)) {
+                        entries.set(key, {
+                            name: item.name,
+                            tier: item.tier,
+                            rarity: item.rarity,
+                            tag: item.tag,
+                            location,
+                            claimName,
+                            playerId: entityId,
+                            playerName: playerData.username,
+                            before: 0,
+                            after: 0
+                        });
+                    }
+                    entries.get(key)[field] += item.count;
+                }
+            };
+
+            addCounts(before.items, 'before');
+            addCounts(after.items, 'after');
+
+            for (const entry of entries.values()) {
+                const delta = entry.after - entry.before;
+                if (delta !== 0) {
+                    changes.push({ ...entry, delta });
+                }
+            }
+        }
+
+        return { changes, missingPlayers };
+    }
+
+    getSelectedChanges() {
+        const fromTime = parseInt(this.changesFromSelect.value);
+        const toTime = parseInt(this.changesToSelect.value);
+        const result = this.computeChanges(fromTime, toTime);
+        result.changes = this.filterItems(result.changes);
+        return result;
+    }
+
+    renderChanges() {
+        if (this.snapshots.length === 0) {
+            this.inventoryContent.innerHTML = '<p class="empty-state">No snapshots recorded yet. A snapshot is saved every time inventories are loaded or refreshed.</p>';
+            return;
+        }
+
+        const { changes, missingPlayers } = this.getSelectedChanges();
+        const note = missingPlayers.length > 0
+            ? `<p class="changes-note">No snapshot in the selected range for: ${missingPlayers.map(name => this.escapeHtml(name)).join(', ')}</p>`
+            : '';
+
+        if (changes.length === 0) {
+            this.inventoryContent.innerHTML = note + '<p class="empty-state">No changes between the selected snapshots.</p>';
+            return;
+        }
+
+        // Group by player, then by container location
+        const byPlayer = new Map();
+        for (const change of changes) {
+            if (!byPlayer.has(change.playerName)) {
+                byPlayer.set(change.playerName, new Map());
+            }
+            const locations = byPlayer.get(change.playerName);
+            const location = this.getLocationLabel(change);
+            if (!locations.has(location)) {
+                locations.set(location, []);
+            }
+            locations.get(location).push(change);
+        }
+
+        const sortedPlayers = Array.from(byPlayer.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+
+        this.inventoryContent.innerHTML = note + sortedPlayers.map(([playerName, locations], index) => {
+            const playerChanges = Array.from(locations.values()).flat();
+            const deposited = playerChanges.filter(c => c.delta > 0).reduce((sum, c) => sum + c.delta, 0);
+            const withdrawn = playerChanges.filter(c => c.delta < 0).reduce((sum, c) => sum - c.delta, 0);
+            const sortedLocations = Array.from(locations.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+            const groupId = `group-changes-${index}`;
+
+            return `
+                <div class="inventory-group" data-group-id="${groupId}">
+                    <div class="group-header" onclick="viewer.toggleGroup('${groupId}')">
+                        <div class="group-header-content">
+                            <span class="group-chevron">▼</span>
+                            <span class="group-name">${this.escapeHtml(playerName)}</span>
+                        </div>
+                        <span class="group-count">
+                            <span class="delta-positive">+${deposited.toLocaleString()}</span> /
+                            <span class="delta-negative">-${withdrawn.toLocaleString()}</span>
+                        </span>
+                    </div>
+                    <div class="group-content" id="${groupId}">
+                        ${sortedLocations.map(([location, locationChanges]) => `
+                            <div class="location-subheader">${this.escapeHtml(location)}</div>
+                            ${this.renderChangesTable(locationChanges)}
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderChangesTable(changes) {
+        // Largest movements first
+        changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.name.localeCompare(b.name));
+
+        return `
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>Tier</th>
+                        <th>Rarity</th>
+                        <th>Before</th>
+                        <th>After</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${changes.map(change => `
+                        <tr class="rarity-row-${(change.rarity || 'common').toLowerCase()}">
+                            <td class="item-name">${this.escapeHtml(change.name)}</td>
+                            <td><span class="tier-badge">T${change.tier}</span></td>
+                            <td><span class="rarity-${(change.rarity || 'common').toLowerCase()}">${change.rarity || 'Unknown'}</span></td>
+                            <td class="count-value">${change.before.toLocaleString()}</td>
+                            <td class="count-value">${change.after.toLocaleString()}</td>
+                            <td class="count-value ${change.delta > 0 ? 'delta-positive' : 'delta-negative'}">${change.delta > 0 ? '+' : ''}${change.delta.toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    updateStats() {
+        this.statPlayers.textContent = this.players.size;
+
+        const items = this.getFilteredItems();
+        const aggregated = this.aggregateItems(items);
+
+        this.statUnique.textContent = aggregated.length;
+        this.statTotal.textContent = items.reduce((sum, i) => sum + i.count, 0).toLocaleString();
+
+        // Overall value of the filtered inventory
+        this.statValueContainer.style.display = this.priceStrategy !== 'none' ? '' : 'none';
+        if (this.priceStrategy !== 'none') {
+            this.statValue.textContent = this.formatValue(this.getTotalValue(aggregated));
+        }
+    }
+
+    // Key used to cache prices for an item (package contents are looked up by name)
+    getPriceKey(item) {
+        const itemId = item.itemId || this.getItemIdByName(item.name);
+        return itemId ? `${item.itemType || 'item'}:${itemId}` : null;
+    }
+
+    // Fetch order books for items that don't have prices yet, then re-render
+    async loadItemPrices(items) {
+        const keys = new Set();
+        for (const item of items) {
+            const key = this.getPriceKey(item);
+            if (key && !this.itemPrices.has(key) && !this.pendingPriceKeys.has(key)) {
+                keys.add(key);
+            }
+        }
+
+        if (keys.size === 0) return;
+        keys.forEach(key => this.pendingPriceKeys.add(key));
+
+        // Fetch in batches to avoid overwhelming the API
+        const keyList = Array.from(keys);
+        const batchSize = 10;
+        for (let i = 0; i < keyList.length; i += batchSize) {
+            const batch = keyList.slice(i, i + batchSize);
+            await Promise.all(batch.map(async (key) => {
+                const [itemType, itemId] = key.split(':');
+                try {
+                    const book = await marketViewer.fetchOrderBook(itemId, itemType);
+                    this.itemPrices.set(key, marketViewer.summarizeOrderBook(book));
+                    this.orderBooks.set(key, book);
+                } catch (error) {
+                    console.error(`Error fetching price for ${key}:`, error);
+                    this.itemPrices.set(key, null);
+                    this.orderBooks.set(key, null);
+                }
+                this.pendingPriceKeys.delete(key);
+            }));
+        }
+
+        if (currentView === 'inventory') {
+            this.render();
+        }
+    }
+
+    // Total value of an item stack under the selected pricing strategy
+    // Returns undefined while the price is loading and null when there is no price
+    getItemValue(item) {
+        const key = this.getPriceKey(item);
+        if (!key) return null;
+        if (!this.itemPrices.has(key)) return undefined;
+
+        const unitPrice = this.itemPrices.get(key)?.[this.priceStrategy];
+        return unitPrice != null ? unitPrice * item.count : null;
+    }
+
+    getTotalValue(items) {
+        let total = 0;
+        for (const item of items) {
+            const value = this.getItemValue(item);
+            if (value === undefined) return undefined;
+            total += value || 0;
+        }
+        return total;
+    }
+
+    formatValue(value) {
+        if (value === undefined) return '<span class="loading-text">...</span>';
+        if (value === null) return '—';
+        return Math.round(value).toLocaleString();
+    }
+
+    loadSellReserves() {
+        try {
+            return new Map(Object.entries(JSON.parse(localStorage.getItem(SELL_RESERVES_KEY)) || {}));
+        } catch (error) {
+            console.error('Error reading sell reserves:', error);
+            return new Map();
+        }
+    }
+
+    // Units of an item to keep out of the sale report (0 or empty clears it)
+    setSellReserve(itemName, value) {
+        const reserve = parseInt(value);
+        if (reserve > 0) {
+            this.sellReserves.set(itemName, reserve);
+        } else {
+            this.sellReserves.delete(itemName);
+        }
+        localStorage.setItem(SELL_RESERVES_KEY, JSON.stringify(Object.fromEntries(this.sellReserves)));
+        this.render();
+    }
+
+    // Plan how to sell an item stack: fill buy orders best price first, then list the rest at
+    // the cheapest sell price. Returns undefined while the order book is loading.
+    planSale(item) {
+        const key = this.getPriceKey(item);
+        if (key && !this.orderBooks.has(key)) return undefined;
+        const book = key ? this.orderBooks.get(key) : null;
+
+        const reserve = this.sellReserves.get(item.name) || 0;
+        const sellable = Math.max(0, item.count - reserve);
+        const plan = { reserve, sellable, filled: 0, fillRevenue: 0, listed: 0, listPrice: null, listRevenue: 0, total: 0 };
+
+        let remaining = sellable;
+        for (const order of book?.buyOrders || []) {
+            if (remaining <= 0) break;
+            const quantity = Math.min(remaining, order.quantity);
+            plan.filled += quantity;
+            plan.fillRevenue += quantity * order.price;
+            remaining -= quantity;
+        }
+
+        if (remaining > 0 && book?.sellOrders.length > 0) {
+            plan.listed = remaining;
+            plan.listPrice = book.sellOrders[0].price;
+            plan.listRevenue = remaining * plan.listPrice;
+        }
+
+        plan.total = plan.fillRevenue + plan.listRevenue;
+        return plan;
+    }
+
+    // Items as they are stored (packages aren't expanded, since the package is what gets sold),
+    // pooled across players and locations, with their sale plans
+    getSellRows() {
+        const items = this.aggregateItems(this.filterItems(this.getAllItems(false)), 'none');
+        this.loadItemPrices(items);
+        return items.map(item => ({ item, plan: this.planSale(item) }));
+    }
+
+    // "What can I sell?" report, sorted by potential income
+    renderSellReport() {
+        const rows = this.getSellRows();
+        if (rows.length === 0) {
+            this.inventoryContent.innerHTML = '<p class="empty-state">No items match your filters.</p>';
+            return;
+        }
+
+        const loading = rows.some(row => row.plan === undefined);
+        rows.sort((a, b) => (b.plan?.total || 0) - (a.plan?.total || 0) || a.item.name.localeCompare(b.item.name));
+
+        const planned = rows.filter(row => row.plan);
+        const fillTotal = planned.reduce((sum, row) => sum + row.plan.fillRevenue, 0);
+        const listTotal = planned.reduce((sum, row) => sum + row.plan.listRevenue, 0);
+        const formatRevenue = (value) => value > 0 ? Math.round(value).toLocaleString() : '—';
+
+        this.inventoryContent.innerHTML = `
+            <div class="sell-summary">
+                <span><span class="stat-label">Fill Buy Orders</span> <span class="price-value">${Math.round(fillTotal).toLocaleString()}</span></span>
+                <span><span class="stat-label">List at Cheapest Sell</span> <span class="price-value">${Math.round(listTotal).toLocaleString()}</span></span>
+                <span><span class="stat-label">Potential Income</span> <span class="price-value">${Math.round(fillTotal + listTotal).toLocaleString()}</span></span>
+                ${loading ? '<span class="loading-text">Loading order books...</span>' : ''}
+            </div>
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>Tier</th>
+                        <th>Owned</th>
+                        <th>Keep</th>
+                        <th>Fill Buy Orders</th>
+                        <th>Income</th>
+                        <th>List at Cheapest</th>
+                        <th>Income</th>
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(({ item, plan }) => `
+                        <tr class="rarity-row-${(item.rarity || 'common').toLowerCase()}">
+                            <td class="item-name">${this.escapeHtml(item.name)}</td>
+                            <td><span class="tier-badge">T${item.tier}</span></td>
+                            <td class="count-value">${item.count.toLocaleString()}</td>
+                            <td><input type="number" class="sell-reserve" min="0" value="${this.sellReserves.get(item.name) || ''}" placeholder="0" data-reserve-name="${escapeAttr(item.name)}"></td>
+                            ${plan === undefined ? '<td colspan="5"><span class="loading-text">...</span></td>' : `
+                                <td class="count-value">${plan.filled > 0 ? `${plan.filled.toLocaleString()} @ ~${Math.round(plan.fillRevenue / plan.filled).toLocaleString()}` : '—'}</td>
+                                <td class="price-value">${formatRevenue(plan.fillRevenue)}</td>
+                                <td class="count-value">${plan.listed > 0 ? `${plan.listed.toLocaleString()} @ ${plan.listPrice.toLocaleString()}` : '—'}</td>
+                                <td class="price-value">${formatRevenue(plan.listRevenue)}</td>
+                                <td class="price-value">${formatRevenue(plan.total)}</td>
+                            `}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.inventoryContent.querySelector('table').addEventListener('change', (e) => {
+            const input = e.target.closest('[data-reserve-name]');
+            if (input) this.setSellReserve(input.dataset.reserveName, input.value);
+        });
+    }
+
+    exportCSV() {
+        if (this.viewMode === 'changes') {
+            this.exportChangesCSV();
+            return;
+        }
+
+        if (this.viewMode === 'sell') {
+            this.exportSellCSV();
+            return;
+        }
+
+        const items = this.getFilteredItems();
+        const aggregated = this.aggregateItems(items);
+
+        if (aggregated.length === 0) {
+            alert('No items to export.');
+            return;
+        }
+
+        // Sort by name
+        aggregated.sort((a, b) => a.name.localeCompare(b.name));
+
+        const includeValue = this.priceStrategy !== 'none';
+        const headers = ['Name', 'Tier', 'Rarity', 'Count'];
+        if (includeValue) {
+            headers.push('Value');
+        }
+        if (this.players.size > 1) {
+            headers.push('Player');
+        }
+        headers.push('Locations');
+
+        const rows = aggregated.map(item => {
+            const row = [
+                `"${item.name}"`,
+                item.tier,
+                item.rarity,
+                item.count
+            ];
+            if (includeValue) {
+                const value = this.getItemValue(item);
+                row.push(value != null ? Math.round(value) : '');
+            }
+            if (this.players.size > 1) {
+                row.push(`"${item.playerName}"`);
+            }
+            const locations = Array.from(item.sources.values())
+                .map(source => `${this.getLocationLabel(source)}: ${source.count}`);
+            row.push(`"${locations.join('; ')}"`);
+            return row.join(',');
+        });
+
+        const csv = [headers.join(','), ...rows].join('\n');
+        downloadFile(csv, `bitcraft-inventory-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+    }
+
+    exportSellCSV() {
+        const rows = this.getSellRows().filter(row => row.plan && row.plan.total > 0);
+        if (rows.length === 0) {
+            alert('Nothing to sell yet. Wait for order books to load or adjust your filters.');
+            return;
+        }
+
+        rows.sort((a, b) => b.plan.total - a.plan.total);
+        const headers = ['Name', 'Tier', 'Rarity', 'Owned', 'Keep', 'Fill Buy Orders', 'Buy Order Income', 'List Quantity', 'List Price', 'Listing Income', 'Total'];
+        const lines = rows.map(({ item, plan }) => [
+            `"${item.name}"`,
+            item.tier,
+            item.rarity,
+            item.count,
+            plan.reserve,
+            plan.filled,
+            Math.round(plan.fillRevenue),
+            plan.listed,
+            plan.listPrice ?? '',
+            Math.round(plan.listRevenue),
+            Math.round(plan.total)
+        ].join(','));
+
+        const csv = [headers.join(','), ...lines].join('\n');
+        downloadFile(csv, `bitcraft-sell-report-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+    }
+
+    exportChangesCSV() {
+        const { changes } = this.getSelectedChanges();
+
+        if (changes.length === 0) {
+            alert('No changes to export.');
+            return;
+        }
+
+        changes.sort((a, b) =>
+            a.playerName.localeCompare(b.playerName) ||
+            this.getLocationLabel(a).localeCompare(this.getLocationLabel(b)) ||
+            a.name.localeCompare(b.name)
+        );
+
+        const headers = ['Player', 'Location', 'Name', 'Tier', 'Rarity', 'Before', 'After', 'Change'];
+        const rows = changes.map(change => [
+            `"${change.playerName}"`,
+            `"${this.getLocationLabel(change)}"`,
+            `"${change.name}"`,
+            change.tier,
+            change.rarity,
+            change.before,
+            change.after,
+            change.delta
+        ].join(','));
+
+        const csv = [headers.join(','), ...rows].join('\n');
+        downloadFile(csv, `bitcraft-inventory-changes-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+    }
+
+    clearAll() {
+        if (this.players.size === 0) return;
+        if (confirm('Remove all players and clear inventory data?')) {
+            this.players.clear();
+            this.updateUrl();
+            this.render();
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Render player tags for items with multiple contributors
+    renderPlayerTags(playerQuantities) {
+        if (!playerQuantities || playerQuantities.size === 0) {
+            return '';
+        }
+
+        // Convert Map to sorted array of [player, quantity] entries
         const playerList = Array.from(playerQuantities.entries())
             .sort((a, b) => a[0].localeCompare(b[0]));
 
@@ -1325,9 +2234,45 @@ class MarketViewer {
         this.searchTerm = '';
         this.regionFilter = '';
         this.sellerFilter = '';
+        this.mode = 'listings'; // 'listings' or 'arbitrage'
+        this.buyOnly = false;
+        this.arbitrageLoadId = 0;
+        this.tableItems = []; // Filtered items behind the virtualized listings table
+        this.priceController = null; // Aborts price loads for the previous filter selection
+        this.pendingPriceItems = new Set();
+        this.priceLoadTimer = null;
+        this.recordedPrices = null; // "itemType:itemId" keys the poller records price history for
         this.loadFromUrl();
     }
 
+    // Items in the price registry; history only exists for these, so Chart is only offered for them
+    async loadRecordedPrices() {
+        try {
+            const data = await apiClient.getJson(PRICE_ITEMS_API);
+            this.recordedPrices = new Set((data?.items || []).map(item => `${item.itemType}:${item.itemId}`));
+        } catch (error) {
+            console.error('Error loading recorded price items:', error);
+            this.recordedPrices = new Set();
+        }
+        return this.recordedPrices;
+    }
+
+    hasPriceHistory(itemId, itemType = 'item') {
+        return this.recordedPrices?.has(`${this.normalizeItemType(itemType)}:${itemId}`) || false;
+    }
+
+    // Add an item to the price registry; the poller starts recording it on its next cycle
+    async recordPrices(itemId, itemType, name) {
+        await sendRegistryWrite(PRICE_ITEMS_API, 'POST', { itemId: String(itemId), itemType: this.normalizeItemType(itemType), name });
+        return this.loadRecordedPrices();
+    }
+
+    // Remove an item from the price registry (history already recorded is kept)
+    async stopRecordingPrices(itemId, itemType) {
+        await sendRegistryWrite(`${PRICE_ITEMS_API}?itemId=${encodeURIComponent(itemId)}&itemType=${this.normalizeItemType(itemType)}`, 'DELETE');
+        return this.loadRecordedPrices();
+    }
+
     loadFromUrl() {
         const params = new URLSearchParams(window.location.search);
 
@@ -1365,6 +2310,11 @@ class MarketViewer {
 
         const seller = params.get('mkt_seller');
         if (seller) this.sellerFilter = seller;
+
+        const mode = params.get('mkt_mode');
+        if (mode === 'arbitrage') this.mode = mode;
+
+        this.buyOnly = params.get('mkt_buyonly') === '1';
     }
 
     updateUrl() {
@@ -1410,6 +2360,12 @@ class MarketViewer {
         if (this.sellerFilter) params.set('mkt_seller', this.sellerFilter);
         else params.delete('mkt_seller');
 
+        if (this.mode !== 'listings') params.set('mkt_mode', this.mode);
+        else params.delete('mkt_mode');
+
+        if (this.buyOnly) params.set('mkt_buyonly', '1');
+        else params.delete('mkt_buyonly');
+
         // Update URL without reload
         const newUrl = params.toString() ? `${window.location.pathname}?${params}` : window.location.pathname;
         window.history.pushState({}, '', newUrl);
@@ -1418,14 +2374,10 @@ class MarketViewer {
     async fetchMarketData() {
         try {
             // Fetch catalog metadata and active-order flags in parallel
-            const [catalogRes, flagsRes] = await Promise.all([
-                fetch(`${API_BASE}/api/market/catalog`),
-                fetch(`${API_BASE}/api/market/catalog/flags`)
+            const [catalogJson, flagsJson] = await Promise.all([
+                apiClient.getJson('/api/market/catalog'),
+                apiClient.getJson('/api/market/catalog/flags')
             ]);
-            if (!catalogRes.ok) throw new Error(`Catalog fetch failed: ${catalogRes.status}`);
-            if (!flagsRes.ok) throw new Error(`Flags fetch failed: ${flagsRes.status}`);
-
-            const [catalogJson, flagsJson] = await Promise.all([catalogRes.json(), flagsRes.json()]);
 
             // Build lookup: id -> catalog item
             const catalogMap = new Map();
@@ -1433,10 +2385,20 @@ class MarketViewer {
                 catalogMap.set(String(item.id), item);
             }
 
-            // Only include items with active sell orders (flags endpoint)
-            const sellEntries = flagsJson.sell || [];
-            this.items = sellEntries.map(([itemId, itemType]) => {
-                const id = String(itemId);
+            // Include items with active sell or buy orders (flags endpoint)
+            const entries = new Map();
+            const addEntries = (flagEntries, side) => {
+                for (const [itemId, itemType] of (flagEntries || [])) {
+                    const id = String(itemId);
+                    const key = `${this.normalizeItemType(itemType)}:${id}`;
+                    if (!entries.has(key)) entries.set(key, { id, itemType, hasSell: false, hasBuy: false });
+                    entries.get(key)[side] = true;
+                }
+            };
+            addEntries(flagsJson.sell, 'hasSell');
+            addEntries(flagsJson.buy, 'hasBuy');
+
+            this.items = Array.from(entries.values()).map(({ id, itemType, hasSell, hasBuy }) => {
                 const meta = catalogMap.get(id);
                 if (!meta) return null;
                 return {
@@ -1446,16 +2408,20 @@ class MarketViewer {
                     tier: meta.tier ?? 0,
                     rarity: meta.rarityStr || 'Common',
                     tag: meta.tag || 'Unknown',
+                    hasSell,
+                    hasBuy,
                     price: null,
                     quantity: null,
                     seller: null,
                     regionName: null,
                     regionId: null,
+                    bestBid: null,
+                    bidDepth: null,
                     priceLoaded: false
                 };
             }).filter(Boolean);
 
-            console.log(`Market: ${this.items.length} items with active sell orders`);
+            console.log(`Market: ${this.items.length} items with active orders (${this.items.filter(i => !i.hasSell).length} buy-only)`);
             return this.items;
         } catch (error) {
             console.error('Error fetching market data:', error);
@@ -1463,57 +2429,312 @@ class MarketViewer {
         }
     }
 
-    async fetchItemPrice(itemId) {
+    // Top of the book for an item: cheapest sell (ask) and highest buy (bid), plus the full book
+    async fetchItemPrice(itemId, itemType = 'item', signal = null) {
         try {
-            const response = await fetch(`${API_BASE}/market/item/${itemId}/__data.json?hasOrders=true&hasSellOrders=true&x-sveltekit-invalidated=001`);
-            const json = await response.json();
-            const decoded = viewer.decodeSvelteKitData(json);
-            if (!decoded) return null;
-
-            const sellOrders = decoded.marketItem?.sellOrders;
-            if (!Array.isArray(sellOrders) || sellOrders.length === 0) return null;
-
-            const sorted = sellOrders
-                .map(o => ({ price: parseFloat(o.priceThreshold), quantity: parseInt(o.quantity) || 1, seller: o.ownerUsername || '', regionName: o.regionName || '', regionId: o.regionId || null }))
-                .filter(o => !isNaN(o.price) && o.price > 0)
-                .sort((a, b) => a.price - b.price);
+            const book = await this.fetchOrderBook(itemId, itemType, signal);
+            if (book.sellOrders.length === 0 && book.buyOrders.length === 0) return null;
+
+            const result = {
+                price: null,
+                quantity: null,
+                seller: null,
+                regionName: null,
+                regionId: null,
+                bestBid: null,
+                bidDepth: 0,
+                orderBook: { sellOrders: book.sellOrders, buyOrders: book.buyOrders }
+            };
 
-            if (sorted.length === 0) return null;
+            if (book.sellOrders.length > 0) {
+                const cheapest = book.sellOrders[0].price;
+                const atCheapest = book.sellOrders.filter(o => o.price === cheapest);
+                const first = atCheapest[0];
+                result.price = cheapest;
+                result.quantity = atCheapest.reduce((s, o) => s + o.quantity, 0);
+                result.seller = first.seller;
+                result.regionName = first.regionName;
+                result.regionId = first.regionId;
+            }
 
-            const cheapest = sorted[0].price;
-            const atCheapest = sorted.filter(o => o.price === cheapest);
-            const quantity = atCheapest.reduce((s, o) => s + o.quantity, 0);
-            const first = atCheapest[0];
+            if (book.buyOrders.length > 0) {
+                result.bestBid = book.buyOrders[0].price;
+                // Bid depth: total units wanted across all buy orders
+                result.bidDepth = book.buyOrders.reduce((s, o) => s + o.quantity, 0);
+            }
 
-            return { price: cheapest, quantity, seller: first.seller, regionName: first.regionName, regionId: first.regionId };
+            return result;
         } catch (error) {
+            // Cancelled loads are retried next time the item is shown
+            if (isAbortError(error)) throw error;
             console.error(`Error fetching price for item ${itemId}:`, error);
             return null;
         }
     }
 
-    async loadPricesForVisibleItems(items) {
-        // Only fetch prices for items that don't have them yet
-        const itemsNeedingPrices = items.filter(item => !item.priceLoaded);
-
-        if (itemsNeedingPrices.length === 0) {
-            return;
+    // Fetch the full order book for an item (falls back to the cargo endpoint)
+    async fetchOrderBook(itemId, itemType = 'item', signal = null) {
+        let data;
+        try {
+            data = await apiClient.getJson(`/api/market/${itemType === 'cargo' ? 'cargo' : 'item'}/${itemId}`, { signal });
+        } catch (error) {
+            if (error.status !== 404 || itemType === 'cargo') throw error;
+            data = await apiClient.getJson(`/api/market/cargo/${itemId}`, { signal });
         }
 
-        // Fetch prices in batches to avoid overwhelming the API
-        const batchSize = 10;
-        for (let i = 0; i < itemsNeedingPrices.length; i += batchSize) {
-            const batch = itemsNeedingPrices.slice(i, i + batchSize);
-            await Promise.all(batch.map(async (item) => {
-                const priceData = await this.fetchItemPrice(item.id);
+        return {
+            item: data.item || null,
+            sellOrders: this.parseOrders(data.sellOrders).sort((a, b) => a.price - b.price),
+            buyOrders: this.parseOrders(data.buyOrders).sort((a, b) => b.price - a.price)
+        };
+    }
+
+    // The catalog flags report item types as 'item'/'cargo' or their numeric enum (1 = cargo)
+    normalizeItemType(itemType) {
+        return itemType === 1 || String(itemType).toLowerCase() === 'cargo' ? 'cargo' : 'item';
+    }
+
+    parseOrders(orders) {
+        return (orders || []).map(order => ({
+            price: parseFloat(order.priceThreshold),
+            quantity: parseInt(order.quantity) || 0,
+            seller: order.ownerUsername || '',
+            // Entity IDs come back as strings or numbers depending on the endpoint
+            ownerEntityId: order.ownerEntityId != null ? String(order.ownerEntityId) : null,
+            regionName: order.regionName || '',
+            regionId: order.regionId || null,
+            claimName: order.claimName || '',
+            claimLocationX: order.claimLocationX,
+            claimLocationZ: order.claimLocationZ
+        })).filter(order => !isNaN(order.price) && order.price > 0);
+    }
+
+    // Aggregate orders (already sorted best-first) into price levels with cumulative depth
+    buildDepthLadder(orders) {
+        const levels = [];
+        let cumulative = 0;
+        for (const order of orders) {
+            let level = levels[levels.length - 1];
+            if (!level || level.price !== order.price) {
+                level = { price: order.price, quantity: 0, orders: 0, cumulative: 0 };
+                levels.push(level);
+            }
+            level.quantity += order.quantity;
+            level.orders++;
+            cumulative += order.quantity;
+            level.cumulative = cumulative;
+        }
+        return levels;
+    }
+
+    // Per-region totals and best prices for both sides of a book
+    summarizeBookByRegion(book) {
+        const regions = new Map();
+        const getRegion = (order) => {
+            const key = String(order.regionId ?? order.regionName);
+            if (!regions.has(key)) {
+                regions.set(key, {
+                    regionName: order.regionName,
+                    regionId: order.regionId,
+                    sellOrders: 0, sellQuantity: 0, cheapestSell: null,
+                    buyOrders: 0, buyQuantity: 0, highestBuy: null
+                });
+            }
+            return regions.get(key);
+        };
+
+        for (const order of book.sellOrders) {
+            const region = getRegion(order);
+            region.sellOrders++;
+            region.sellQuantity += order.quantity;
+            if (region.cheapestSell === null || order.price < region.cheapestSell) region.cheapestSell = order.price;
+        }
+        for (const order of book.buyOrders) {
+            const region = getRegion(order);
+            region.buyOrders++;
+            region.buyQuantity += order.quantity;
+            if (region.highestBuy === null || order.price > region.highestBuy) region.highestBuy = order.price;
+        }
+
+        return Array.from(regions.values())
+            .sort((a, b) => (b.sellQuantity + b.buyQuantity) - (a.sellQuantity + a.buyQuantity));
+    }
+
+    // Sellers with their order count, units listed and cheapest price
+    summarizeSellers(sellOrders) {
+        const sellers = new Map();
+        for (const order of sellOrders) {
+            const key = order.ownerEntityId || order.seller;
+            if (!sellers.has(key)) {
+                sellers.set(key, { seller: order.seller, orders: 0, quantity: 0, cheapest: order.price, regions: new Set() });
+            }
+            const entry = sellers.get(key);
+            entry.orders++;
+            entry.quantity += order.quantity;
+            entry.cheapest = Math.min(entry.cheapest, order.price);
+            if (order.regionName) entry.regions.add(order.regionName);
+        }
+        return Array.from(sellers.values()).sort((a, b) => a.cheapest - b.cheapest || b.quantity - a.quantity);
+    }
+
+    // Unit prices used for valuation: cheapest sell, median sell and highest buy
+    summarizeOrderBook(book) {
+        const sellOrders = book.sellOrders;
+        const cheapestSell = sellOrders.length > 0 ? sellOrders[0].price : null;
+        const highestBuy = book.buyOrders.length > 0 ? book.buyOrders[0].price : null;
+
+        // Quantity-weighted median so one tiny order can't skew the price
+        let medianSell = null;
+        const totalUnits = sellOrders.reduce((sum, o) => sum + o.quantity, 0);
+        if (totalUnits > 0) {
+            let seen = 0;
+            for (const order of sellOrders) {
+                seen += order.quantity;
+                if (seen >= totalUnits / 2) {
+                    medianSell = order.price;
+                    break;
+                }
+            }
+        } else if (sellOrders.length > 0) {
+            medianSell = sellOrders[Math.floor(sellOrders.length / 2)].price;
+        }
+
+        return { cheapestSell, medianSell, highestBuy };
+    }
+
+    // Cancel price loads started for the previous filter selection
+    cancelPriceLoads() {
+        this.priceController?.abort();
+        const controller = new AbortController();
+        this.priceController = controller;
+
+        // Requests are also cancelled if the user leaves the view
+        const viewSignal = apiClient.viewSignal;
+        const onViewAbort = () => controller.abort();
+        viewSignal.addEventListener('abort', onViewAbort, { once: true });
+        controller.signal.addEventListener('abort', () => viewSignal.removeEventListener('abort', onViewAbort), { once: true });
+    }
+
+    // Fetch prices for items that don't have them (and aren't already loading)
+    // onItemLoaded is called after each item so the table can update as prices arrive
+    async loadPricesForVisibleItems(items, onItemLoaded = () => {}) {
+        if (!this.priceController) this.cancelPriceLoads();
+        const signal = this.priceController.signal;
+        const itemsNeedingPrices = items.filter(item => !item.priceLoaded && !this.pendingPriceItems.has(item));
+
+        if (itemsNeedingPrices.length === 0) {
+            return;
+        }
+
+        itemsNeedingPrices.forEach(item => this.pendingPriceItems.add(item));
+
+        // The API client limits concurrency
+        await Promise.all(itemsNeedingPrices.map(async (item) => {
+            try {
+                const priceData = await this.fetchItemPrice(item.id, this.normalizeItemType(item.itemType), signal);
                 item.price = priceData?.price ?? null;
                 item.quantity = priceData?.quantity ?? null;
                 item.seller = priceData?.seller ?? null;
                 item.regionName = priceData?.regionName ?? null;
                 item.regionId = priceData?.regionId ?? null;
+                item.bestBid = priceData?.bestBid ?? null;
+                item.bidDepth = priceData?.bidDepth ?? null;
+                if (priceData) item.orderBook = priceData.orderBook;
                 item.priceLoaded = true;
-            }));
+            } finally {
+                // Cancelled items are picked up again the next time they're visible
+                this.pendingPriceItems.delete(item);
+            }
+            onItemLoaded(item);
+        }));
+    }
+
+    // Load the full order book (both sides, every region) for items that don't have one yet
+    async loadOrderBooks(items) {
+        const signal = apiClient.viewSignal;
+        await Promise.all(items.filter(item => !item.orderBook).map(async (item) => {
+            try {
+                const book = await this.fetchOrderBook(item.id, this.normalizeItemType(item.itemType), signal);
+                item.orderBook = { sellOrders: book.sellOrders, buyOrders: book.buyOrders };
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                console.error(`Error fetching order book for item ${item.id}:`, error);
+                item.orderBook = { sellOrders: [], buyOrders: [] };
+            }
+        }));
+    }
+
+    // Cross-region opportunities: buy from sell orders in one region and fill buy orders in another.
+    // Each region pair is matched level by level (cheapest sells against highest buys) while the
+    // buy price is above the sell price, so quantity and profit reflect what can actually be traded.
+    findArbitrageOpportunities(items) {
+        const regionKey = (order) => String(order.regionId ?? order.regionName);
+        const groupByRegion = (orders) => {
+            const groups = new Map();
+            for (const order of orders) {
+                if (order.quantity <= 0) continue;
+                const key = regionKey(order);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(order);
+            }
+            return groups;
+        };
+
+        const regionFilter = this.regionFilter.toLowerCase();
+        const sellerFilter = this.sellerFilter.toLowerCase();
+        const opportunities = [];
+
+        for (const item of items) {
+            if (!item.orderBook) continue;
+
+            // Order books are already sorted (sells ascending, buys descending)
+            const sellsByRegion = groupByRegion(item.orderBook.sellOrders);
+            const buysByRegion = groupByRegion(item.orderBook.buyOrders);
+
+            for (const [sellRegion, sells] of sellsByRegion) {
+                for (const [buyRegion, buys] of buysByRegion) {
+                    if (sellRegion === buyRegion || buys[0].price <= sells[0].price) continue;
+
+                    const sellRemaining = sells.map(o => o.quantity);
+                    const buyRemaining = buys.map(o => o.quantity);
+                    let quantity = 0;
+                    let profit = 0;
+                    let si = 0;
+                    let bi = 0;
+                    while (si < sells.length && bi < buys.length && buys[bi].price > sells[si].price) {
+                        const units = Math.min(sellRemaining[si], buyRemaining[bi]);
+                        quantity += units;
+                        profit += units * (buys[bi].price - sells[si].price);
+                        sellRemaining[si] -= units;
+                        buyRemaining[bi] -= units;
+                        if (sellRemaining[si] === 0) si++;
+                        if (buyRemaining[bi] === 0) bi++;
+                    }
+
+                    const opportunity = {
+                        item,
+                        buyFrom: sells[0],
+                        sellTo: buys[0],
+                        margin: buys[0].price - sells[0].price,
+                        quantity,
+                        profit
+                    };
+
+                    if (regionFilter && ![opportunity.buyFrom.regionName, opportunity.sellTo.regionName]
+                        .some(name => (name || '').toLowerCase().includes(regionFilter))) continue;
+                    if (sellerFilter && !(opportunity.buyFrom.seller || '').toLowerCase().includes(sellerFilter)) continue;
+
+                    opportunities.push(opportunity);
+                }
+            }
         }
+
+        return opportunities.sort((a, b) => b.profit - a.profit);
+    }
+
+    // Ask minus bid, or null unless both sides have orders
+    getSpread(item) {
+        return item.price != null && item.bestBid != null ? item.price - item.bestBid : null;
     }
 
     getAvailableTags() {
@@ -1553,43 +2774,64 @@ class MarketViewer {
         return Array.from(tags).sort();
     }
 
-    getFilteredItems() {
+    // Catalog filters shared by the market table and the profitability view
+    // tags: Set of tags (required), rarity: minimum rarity or 'all', tier: exact tier or null, search: name substring
+    filterCatalog(items, { tags, rarity = 'all', tier = null, search = '' }) {
         // Require at least one tag to be selected
-        if (this.selectedTags.size === 0) {
+        if (tags.size === 0) {
             return [];
         }
 
         // Filter by selected tags (multi-select)
-        let filtered = this.items.filter(item => this.selectedTags.has(item.tag));
+        let filtered = items.filter(item => tags.has(item.tag));
 
         // Filter by rarity (selected rarity or above)
-        if (this.selectedRarity !== 'all') {
+        if (rarity !== 'all') {
             const rarityOrder = { 'Common': 1, 'Uncommon': 2, 'Rare': 3, 'Epic': 4, 'Legendary': 5, 'Mythic': 6 };
-            const selectedRarityLevel = rarityOrder[this.selectedRarity] || 0;
+            const selectedRarityLevel = rarityOrder[rarity] || 0;
             filtered = filtered.filter(item => {
                 const itemRarityLevel = rarityOrder[item.rarity] || 0;
                 return itemRarityLevel >= selectedRarityLevel;
             });
         }
 
+        if (tier !== null) {
+            filtered = filtered.filter(item => item.tier === tier);
+        }
+
         // Filter by search term
-        if (this.searchTerm) {
-            const search = this.searchTerm.toLowerCase();
-            filtered = filtered.filter(item => item.name.toLowerCase().includes(search));
+        if (search) {
+            const term = search.toLowerCase();
+            filtered = filtered.filter(item => item.name.toLowerCase().includes(term));
         }
 
-        if (this.regionFilter) {
+        return filtered;
+    }
+
+    getFilteredItems() {
+        let filtered = this.filterCatalog(this.items, {
+            tags: this.selectedTags,
+            rarity: this.selectedRarity,
+            search: this.searchTerm
+        });
+
+        // In arbitrage mode region/seller filters apply to the opportunities instead of the cheapest listing
+        if (this.regionFilter && this.mode !== 'arbitrage') {
             const r = this.regionFilter.toLowerCase();
             filtered = filtered.filter(item => item.regionName && item.regionName.toLowerCase().includes(r));
         }
 
-        if (this.sellerFilter) {
+        if (this.sellerFilter && this.mode !== 'arbitrage') {
             const s = this.sellerFilter.toLowerCase();
             filtered = filtered.filter(item => item.seller && item.seller.toLowerCase().includes(s));
         }
 
-        // Only show items with active sell orders
-        filtered = filtered.filter(item => !item.priceLoaded || item.price !== null);
+        // Default view lists items for sale; the buy-only toggle shows items that only have buy demand
+        if (this.buyOnly) {
+            filtered = filtered.filter(item => item.hasBuy && !item.hasSell && (!item.priceLoaded || item.bestBid !== null));
+        } else {
+            filtered = filtered.filter(item => item.hasSell && (!item.priceLoaded || item.price !== null));
+        }
 
         // Sort items
         filtered.sort((a, b) => {
@@ -1604,6 +2846,12 @@ class MarketViewer {
                 comparison = (rarityOrder[a.rarity] || 0) - (rarityOrder[b.rarity] || 0);
             } else if (this.sortBy === 'price') {
                 comparison = (a.price ?? Infinity) - (b.price ?? Infinity);
+            } else if (this.sortBy === 'bid') {
+                comparison = (a.bestBid ?? -Infinity) - (b.bestBid ?? -Infinity);
+            } else if (this.sortBy === 'spread') {
+                comparison = (this.getSpread(a) ?? Infinity) - (this.getSpread(b) ?? Infinity);
+            } else if (this.sortBy === 'bidDepth') {
+                comparison = (b.bidDepth ?? 0) - (a.bidDepth ?? 0);
             } else if (this.sortBy === 'quantity') {
                 comparison = (b.quantity ?? 0) - (a.quantity ?? 0);
             } else if (this.sortBy === 'seller') {
@@ -1640,27 +2888,18 @@ class PlayerMarketViewer {
         this.sellOrdersSort = { column: 'itemName', direction: 'asc' };
         this.buyOrdersSort = { column: 'itemName', direction: 'asc' };
         this.cheapestCache = {}; // Cache to store cheapest price for each item
+        this.sellLadders = {}; // itemId -> parsed sell orders from the market, for price suggestions
     }
 
-    async fetchMarketDetailsForItem(itemId, itemTag) {
+    async fetchMarketDetailsForItem(itemId, itemTag, signal = null) {
         // Try 'item' first, fallback to 'cargo' if 404
-        let response = await fetch(
-            `${API_BASE}/api/market/item/${itemId}`
-        );
-
-        if (response.status === 404) {
+        try {
+            return await apiClient.getJson(`/api/market/item/${itemId}`, { signal });
+        } catch (error) {
+            if (error.status !== 404) throw error;
             // Try cargo instead
-            response = await fetch(
-                `${API_BASE}/api/market/cargo/${itemId}`
-            );
+            return await apiClient.getJson(`/api/market/cargo/${itemId}`, { signal });
         }
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch market details: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data;
     }
 
     isPlayerCheapestSeller(order) {
@@ -1684,56 +2923,61 @@ class PlayerMarketViewer {
         };
     }
 
-    async fetchPlayerMarketData(playerId) {
-        const response = await fetch(
-            `${API_BASE}/players/${playerId}/market/__data.json?x-sveltekit-invalidated=001`
+    // Fetch a player's sell and buy orders without touching the viewer state
+    async fetchPlayerOrders(playerId, signal = null) {
+        const data = await apiClient.getSvelteKit(
+            `/players/${playerId}/market/__data.json?x-sveltekit-invalidated=001`,
+            { signal }
         );
 
-        if (!response.ok) {
-            throw new Error(`Failed to fetch market data: ${response.status}`);
-        }
-
-        const json = await response.json();
-        const data = viewer.decodeSvelteKitData(json);
-
         if (!data) {
             throw new Error('No market data returned');
         }
 
+        // Response shape: { marketOrders: { sellOrders: [...], buyOrders: [...] } }
+        const orders = data.marketOrders || data;
+        return {
+            sellOrders: (orders.sellOrders || []).map(order => ({ ...this.parseOrder(order), isCheapest: null })),
+            buyOrders: (orders.buyOrders || []).map(order => this.parseOrder(order))
+        };
+    }
+
+    async fetchPlayerMarketData(playerId) {
+        const orders = await this.fetchPlayerOrders(playerId);
+        this.sellLadders = {};
+
         // Store player info — playerId comes from the caller, not the response
         this.selectedPlayer = {
             id: playerId,
             username: viewer.players.get(playerId)?.username || playerId
         };
 
-        // Response shape: { marketOrders: { sellOrders: [...], buyOrders: [...] } }
-        const orders = data.marketOrders || data;
-        this.parseSellOrders(orders.sellOrders || []);
-        this.parseBuyOrders(orders.buyOrders || []);
+        this.sellOrders = orders.sellOrders;
+        this.buyOrders = orders.buyOrders;
 
-        return data;
+        // Calculate cheapest for each unique item (isCheapest is filled in once market data is fetched)
+        this.calculateCheapestOrders();
+
+        return orders;
     }
 
-    parseSellOrders(sellOrders) {
-        this.sellOrders = sellOrders.map(order => ({
+    parseOrder(order) {
+        return {
             entityId: order.entityId,
             itemId: order.itemId,
             itemName: order.itemName || 'Unknown',
             itemTier: order.tier ?? order.itemTier,
             itemRarity: order.rarityStr || order.itemRarityStr || 'Common',
             itemTag: order.tag || order.itemTag,
+            itemType: marketViewer.normalizeItemType(order.itemType ?? 'item'),
             quantity: parseInt(order.quantity) || 0,
             price: parseInt(order.priceThreshold) || 0,
             claimName: order.claimName,
             claimLocationX: order.claimLocationX,
             claimLocationZ: order.claimLocationZ,
             regionName: order.regionName,
-            regionId: order.regionId,
-            isCheapest: null // Will be determined when market data is fetched
-        }));
-
-        // Calculate cheapest for each unique item
-        this.calculateCheapestOrders();
+            regionId: order.regionId
+        };
     }
 
     async calculateCheapestOrders() {
@@ -1753,6 +2997,7 @@ class PlayerMarketViewer {
                 const itemTag = itemGroups[itemId][0]?.itemTag;
                 const marketData = await this.fetchMarketDetailsForItem(itemId, itemTag);
                 const allSellOrders = marketData.sellOrders || [];
+                this.sellLadders[itemId] = marketViewer.parseOrders(allSellOrders);
 
                 // Find the cheapest price across all sellers
                 let cheapestPrice = Infinity;
@@ -1782,22 +3027,42 @@ class PlayerMarketViewer {
         renderPlayerMarketOrders();
     }
 
-    parseBuyOrders(buyOrders) {
-        this.buyOrders = buyOrders.map(order => ({
-            entityId: order.entityId,
-            itemId: order.itemId,
-            itemName: order.itemName || 'Unknown',
-            itemTier: order.tier ?? order.itemTier,
-            itemRarity: order.rarityStr || order.itemRarityStr || 'Common',
-            itemTag: order.tag || order.itemTag,
-            quantity: parseInt(order.quantity) || 0,
-            price: parseInt(order.priceThreshold) || 0,
-            claimName: order.claimName,
-            claimLocationX: order.claimLocationX,
-            claimLocationZ: order.claimLocationZ,
-            regionName: order.regionName,
-            regionId: order.regionId
-        }));
+    // Suggested price for one of the selected player's sell orders (null until its ladder is loaded)
+    getPriceSuggestion(order) {
+        const ladder = this.sellLadders[order.itemId];
+        return ladder ? priceSuggester.suggest(ladder, order, this.selectedPlayer?.id) : null;
+    }
+
+    // Repricing checklist for the selected player's sell orders
+    exportRepricingCSV() {
+        if (this.sellOrders.length === 0) {
+            alert('No sell orders to export.');
+            return;
+        }
+
+        const headers = ['Item', 'Tier', 'Quantity', 'Location', 'Region', 'Current Price', 'Suggested Price', 'Change', 'Lowest Competitor', 'Competitor Price', 'Units Ahead Now', 'Units Ahead at Suggested', 'Action'];
+        const rows = this.getSortedSellOrders().map(order => {
+            const suggestion = this.getPriceSuggestion(order);
+            const action = !suggestion ? 'Unknown' : suggestion.change < 0 ? 'Lower' : suggestion.change > 0 ? 'Raise' : 'Keep';
+            return [
+                `"${order.itemName}"`,
+                order.itemTier ?? '',
+                order.quantity,
+                `"${order.claimName || ''}"`,
+                `"${order.regionName || ''}"`,
+                order.price,
+                suggestion?.price ?? '',
+                suggestion?.change ?? '',
+                `"${suggestion?.competitor?.seller || ''}"`,
+                suggestion?.competitor?.price ?? '',
+                suggestion?.ahead ?? '',
+                suggestion?.aheadAtSuggested ?? '',
+                action
+            ].join(',');
+        });
+
+        const csv = [headers.join(','), ...rows].join('\n');
+        downloadFile(csv, `bitcraft-repricing-${this.selectedPlayer?.username || 'player'}-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
     }
 
     sortOrders(orders, column, direction) {
@@ -1853,6 +3118,93 @@ class PlayerMarketViewer {
 
 const playerMarketViewer = new PlayerMarketViewer();
 
+const PROFESSION_NAMES = [
+    'carpentry', 'farming', 'fishing', 'foraging',
+    'forestry', 'hunting', 'leatherworking', 'masonry',
+    'mining', 'scholar', 'smithing', 'tailoring'
+];
+
+const PROFESSION_COLORS = [
+    '#3b82f6', '#10b981', '#f59e0b', '#ef4444',
+    '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16',
+    '#f97316', '#6366f1', '#14b8a6', '#a855f7'
+];
+
+// Skill XP curve: LEVEL_XP_TABLE[level] is the total XP needed to reach that level.
+// Each level costs LEVEL_XP_GROWTH times the one before it, starting at LEVEL_XP_BASE for level 2.
+// The game's own level table isn't available to this app, so these constants approximate it and
+// every level, XP-to-next figure and level-up date built on them is labelled as an estimate.
+const MAX_SKILL_LEVEL = 100;
+const LEVEL_XP_BASE = 640;
+const LEVEL_XP_GROWTH = 1.07;
+const LEVEL_XP_TABLE = (() => {
+    const table = [0, 0];
+    for (let level = 2; level <= MAX_SKILL_LEVEL; level++) {
+        table[level] = table[level - 1] + Math.round(LEVEL_XP_BASE * Math.pow(LEVEL_XP_GROWTH, level - 2));
+    }
+    return table;
+})();
+
+// Projections use the XP/min over this many of the most recent chart buckets
+const LEVEL_RATE_BUCKETS = 12;
+
+// Idle gaps (minutes) offered for splitting XP history into play sessions
+const SESSION_GAP_OPTIONS = [10, 15, 30, 60];
+const DEFAULT_SESSION_GAP = 15;
+const MAX_SESSIONS_SHOWN = 100;
+// Resolution sessions and the heatmap are computed at (finer than the chart for 24h+ ranges)
+const ACTIVITY_BUCKET_SECONDS = 300;
+// Most points the profession history API returns (its MAX_POINTS_LIMIT); larger requests get a 400
+const MAX_HISTORY_POINTS = 10000;
+
+// Heatmap rows, Monday first (values are Date.getDay() indexes)
+const HEATMAP_DAYS = [
+    { day: 1, label: 'Mon' }, { day: 2, label: 'Tue' }, { day: 3, label: 'Wed' }, { day: 4, label: 'Thu' },
+    { day: 5, label: 'Fri' }, { day: 6, label: 'Sat' }, { day: 0, label: 'Sun' }
+];
+
+// Level reached with `xp` total XP, and progress towards the next one
+function getSkillLevel(xp) {
+    let level = 1;
+    while (level < MAX_SKILL_LEVEL && xp >= LEVEL_XP_TABLE[level + 1]) {
+        level++;
+    }
+    if (level === MAX_SKILL_LEVEL) {
+        return { level, progress: 1, xpToNext: 0 };
+    }
+    const levelStart = LEVEL_XP_TABLE[level];
+    const levelEnd = LEVEL_XP_TABLE[level + 1];
+    return {
+        level,
+        progress: (xp - levelStart) / (levelEnd - levelStart),
+        xpToNext: levelEnd - xp
+    };
+}
+
+// Shared secret the registry API requires for changing tracked players and price items
+const REGISTRY_SECRET_KEY = 'registrySecret';
+
+// Registry writes carry the shared secret; it's asked for once and kept in this browser
+async function sendRegistryWrite(path, method, body = null) {
+    let secret = localStorage.getItem(REGISTRY_SECRET_KEY);
+    if (!secret) {
+        secret = (prompt('Enter the tracking secret to change what the poller records:') || '').trim();
+        if (!secret) throw new Error('a tracking secret is required');
+        localStorage.setItem(REGISTRY_SECRET_KEY, secret);
+    }
+
+    try {
+        return await apiClient.sendJson(path, method, body, { headers: { 'X-Registry-Secret': secret } });
+    } catch (error) {
+        // Forget a rejected secret so the next attempt asks again
+        if (error.status === 401) {
+            localStorage.removeItem(REGISTRY_SECRET_KEY);
+            error.message = 'the tracking secret was rejected';
+        }
+        throw error;
+    }
+}
+
 class ProfessionHistoryViewer {
     constructor() {
         this.selectedPlayer = null;
@@ -1862,25 +3214,30 @@ class ProfessionHistoryViewer {
         this.pieChartInstance = null;
         this.timeRange = 1; // hours (default to 1 hour)
         this.interval = 'raw';
-        this.visibleProfessions = new Set([
-            'carpentry', 'farming', 'fishing', 'foraging',
-            'forestry', 'hunting', 'leatherworking', 'masonry',
-            'mining', 'scholar', 'smithing', 'tailoring'
-        ]);
-        this.playerNames = {
-            '648518346386713124': 'Bulge',
-            '648518346396632661': 'LiverWurst',
-            '360287970289767980': 'OracleDelphi',
-            '216172782249268159': 'Goal',
-            '144115188155088129': 'Storm8',
-            '432345564400733908': 'OracleSCV',
-            '504403158317668275': 'OrcPeon',
-            '648518346371588437': 'OnyxxynO',
-            '576460752432286687': 'deirdresm',
-            '504403158276537417': 'WinterAurelius',
-            '648518346352847871': 'Andromedia',
-            '648518346363192336': 'Zephrim'
-        };
+        this.visibleProfessions = new Set(PROFESSION_NAMES);
+        this.trackedPlayers = []; // [{ playerId, username, addedAt }] from the player registry
+        this.mode = 'single'; // 'single' or 'compare'
+        this.comparePlayers = new Set(); // Player IDs overlaid in compare mode
+        this.compareProfession = 'total'; // A profession key, or 'total' for all professions summed
+        this.compareRenderId = 0;
+        this.renderId = 0; // Single-player renders, so a slow response can't overwrite a newer one
+        this.targetLevel = null; // Level to project a date for, besides the next one
+        this.sessionGapMinutes = DEFAULT_SESSION_GAP; // Longer gaps without XP end a session
+        this.historyPoints = []; // Unbucketed points from the last single-player fetch
+        this.loadCompareFromUrl();
+    }
+
+    loadCompareFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('prof_mode') === 'compare') this.mode = 'compare';
+        const players = params.get('compare');
+        if (players) players.split(',').filter(Boolean).forEach(id => this.comparePlayers.add(id));
+        const profession = params.get('prof');
+        if (profession && PROFESSION_NAMES.includes(profession)) this.compareProfession = profession;
+        const target = parseInt(params.get('target_level'));
+        if (target >= 2 && target <= MAX_SKILL_LEVEL) this.targetLevel = target;
+        const gap = parseInt(params.get('session_gap'));
+        if (SESSION_GAP_OPTIONS.includes(gap)) this.sessionGapMinutes = gap;
     }
 
     updateUrl() {
@@ -1890,24 +3247,61 @@ class ProfessionHistoryViewer {
             params.set('player', this.selectedPlayer);
         }
         params.set('hours', this.timeRange);
+        if (this.targetLevel) params.set('target_level', this.targetLevel);
+        else params.delete('target_level');
+        if (this.sessionGapMinutes !== DEFAULT_SESSION_GAP) params.set('session_gap', this.sessionGapMinutes);
+        else params.delete('session_gap');
+        if (this.mode === 'compare') {
+            params.set('prof_mode', 'compare');
+            params.set('compare', Array.from(this.comparePlayers).join(','));
+            if (this.compareProfession !== 'total') params.set('prof', this.compareProfession);
+            else params.delete('prof');
+        } else {
+            params.delete('prof_mode');
+            params.delete('compare');
+            params.delete('prof');
+        }
         const newUrl = `${window.location.pathname}?${params.toString()}`;
         window.history.replaceState({}, '', newUrl);
     }
 
-    async fetchHistory(playerId, hours = 24, interval = 'raw') {
+    // Players the poller records, from the registry on the profession API
+    async loadTrackedPlayers() {
+        const data = await apiClient.getJson(PLAYER_REGISTRY_API, { signal: apiClient.viewSignal });
+        this.trackedPlayers = data?.players || [];
+        return this.trackedPlayers;
+    }
+
+    // Add a player to the registry; the poller starts recording them on its next cycle
+    async trackPlayer(playerId, username) {
+        await sendRegistryWrite(PLAYER_REGISTRY_API, 'POST', { playerId, username });
+        return this.loadTrackedPlayers();
+    }
+
+    // Remove a player from the registry (history already recorded is kept)
+    async untrackPlayer(playerId) {
+        await sendRegistryWrite(`${PLAYER_REGISTRY_API}?playerId=${encodeURIComponent(playerId)}`, 'DELETE');
+        return this.loadTrackedPlayers();
+    }
+
+    getPlayerName(playerId) {
+        return this.trackedPlayers.find(player => player.playerId === playerId)?.username || playerId;
+    }
+
+    // With maxPoints the API buckets the series itself (last value per bucket) to at most that many points
+    async fetchHistory(playerId, hours = 24, interval = 'raw', maxPoints = null) {
         const endTime = Math.floor(Date.now() / 1000);
         const startTime = endTime - (hours * 3600);
 
-        const url = `${PROFESSION_API}?playerId=${playerId}&startTime=${startTime}&endTime=${endTime}&interval=${interval}`;
+        let url = `${PROFESSION_API}?playerId=${playerId}&startTime=${startTime}&endTime=${endTime}&interval=${interval}`;
+        if (maxPoints) {
+            url += `&maxPoints=${maxPoints}`;
+        }
 
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
-            }
-            return await response.json();
+            return await apiClient.getJson(url, { signal: apiClient.viewSignal });
         } catch (error) {
-            console.error('Error fetching profession history:', error);
+            if (!isAbortError(error)) console.error('Error fetching profession history:', error);
             throw error;
         }
     }
@@ -1915,7 +3309,12 @@ class ProfessionHistoryViewer {
     async render(playerId = null) {
         if (playerId) {
             this.selectedPlayer = playerId;
-            this.selectedPlayerName = this.playerNames[playerId] || playerId;
+            this.selectedPlayerName = this.getPlayerName(playerId);
+        }
+
+        if (this.mode === 'compare') {
+            await this.renderComparison();
+            return;
         }
 
         if (!this.selectedPlayer) {
@@ -1925,15 +3324,34 @@ class ProfessionHistoryViewer {
 
         this.updateUrl();
 
+        const renderId = ++this.renderId;
+        const isCurrent = () => renderId === this.renderId && this.mode !== 'compare';
         try {
-            const data = await this.fetchHistory(this.selectedPlayer, this.timeRange, this.interval);
+            const maxPoints = this.getMaxPoints();
+            // Sessions need 5-minute resolution; ranges up to 6 hours already chart at it.
+            // The activity series is optional, so the chart still renders if only it fails
+            const activityMaxPoints = this.getMaxPoints(ACTIVITY_BUCKET_SECONDS);
+            const [data, activity] = await Promise.all([
+                this.fetchHistory(this.selectedPlayer, this.timeRange, this.interval, maxPoints),
+                activityMaxPoints > maxPoints
+                    ? this.fetchHistory(this.selectedPlayer, this.timeRange, this.interval, activityMaxPoints)
+                        .catch(error => {
+                            if (isAbortError(error)) throw error;
+                            return null;
+                        })
+                    : null
+            ]);
+            if (!isCurrent()) return;
+            this.historyPoints = (activity || data).data || [];
             this.renderChart(data);
         } catch (error) {
+            // Cancelled because the user switched views, or a newer render took over
+            if (isAbortError(error) || !isCurrent()) return;
             this.renderError(error.message);
         }
     }
 
-    renderEmptyState() {
+    renderEmptyState(message = 'Select a player to view data') {
         const chartCanvas = document.getElementById('profession-chart');
         if (chartCanvas) {
             chartCanvas.style.display = 'none';
@@ -1944,7 +3362,7 @@ class ProfessionHistoryViewer {
         }
         const messageDiv = document.getElementById('profession-message');
         if (messageDiv) {
-            messageDiv.innerHTML = '<span style="color: var(--text-muted); font-size: 0.875rem;">Select a player to view data</span>';
+            messageDiv.innerHTML = `<span style="color: var(--text-muted); font-size: 0.875rem;">${message}</span>`;
         }
     }
 
@@ -1977,38 +3395,10 @@ class ProfessionHistoryViewer {
         const ctx = chartCanvas.getContext('2d');
 
         const professions = Array.from(this.visibleProfessions);
-        const colors = [
-            '#3b82f6', '#10b981', '#f59e0b', '#ef4444',
-            '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16',
-            '#f97316', '#6366f1', '#14b8a6', '#a855f7'
-        ];
+        const colors = PROFESSION_COLORS;
 
-        // Bucket raw data to match the chart's visual tick interval exactly —
-        // one bucket per tick means every bar slot is filled with no gaps.
-        //   ≤6h  → 5-min buckets  (stepSize:5 minutes)
-        //   24h  → 1-hour buckets (stepSize:1 hour)
-        //   7d+  → 1-day buckets  (stepSize:1 day)
-        const BUCKET_SECONDS = this.timeRange <= 6 ? 300 : (this.timeRange > 168 ? 86400 : 3600);
-        const bucketMap = new Map();
-        for (const point of data.data) {
-            const bucket = Math.floor(point.timestamp / BUCKET_SECONDS) * BUCKET_SECONDS;
-            if (!bucketMap.has(bucket) || point.timestamp >= bucketMap.get(bucket).timestamp) {
-                bucketMap.set(bucket, { ...point, timestamp: bucket });
-            }
-        }
-        const chartData = Array.from(bucketMap.values()).sort((a, b) => a.timestamp - b.timestamp);
-
-        // Format bucket timestamps as readable labels for the category axis
-        const formatLabel = (ts) => {
-            const d = new Date(ts * 1000);
-            const hh = d.getHours().toString().padStart(2, '0');
-            const mm = d.getMinutes().toString().padStart(2, '0');
-            const time = `${hh}:${mm}`;
-            if (this.timeRange <= 6) return time;
-            const date = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-            return this.timeRange > 168 ? date : `${date} ${time}`;
-        };
-        const labels = chartData.map(p => formatLabel(p.timestamp));
+        const chartData = data.data;
+        const labels = chartData.map(p => this.formatBucketLabel(p.timestamp));
 
         // Create line datasets for total XP (index-aligned with labels)
         const lineDatasets = professions.map((prof, i) => ({
@@ -2179,60 +3569,343 @@ class ProfessionHistoryViewer {
                         borderWidth: 1,
                         filter: function(tooltipItem) {
                             return tooltipItem.parsed.y !== 0;
+                        },
+                        callbacks: {
+                            // Total XP lines also show the level it works out to
+                            label: (context) => {
+                                const value = context.parsed.y.toLocaleString(undefined, { maximumFractionDigits: 1 });
+                                if (context.dataset.type !== 'line') return `${context.dataset.label}: ${value}`;
+                                return `${context.dataset.label}: Est. level ${getSkillLevel(context.parsed.y).level} (${value} XP)`;
+                            }
                         }
                     }
                 }
             }
         });
 
-        const bucketedData = { ...data, data: chartData };
-
         // Render summary chart
-        this.renderSummaryChart(bucketedData);
+        this.renderSummaryChart(data);
 
         // Render pie chart
-        this.renderPieChart(bucketedData);
+        this.renderPieChart(data);
 
         // Update stats display
-        this.updateStatsDisplay(bucketedData);
+        this.updateStatsDisplay(data);
+
+        // Levels and projections from the recent XP/min
+        this.renderLevels(chartData, xpRatesPerLabel);
+
+        // Sessions and the heatmap (from the finer series fetched in render)
+        this.renderActivity();
     }
 
-    renderSummaryChart(data) {
+    // Chart resolution for the time range; one bucket per tick means every bar slot is filled.
+    //   ≤6h  → 5-min buckets
+    //   24h  → 1-hour buckets
+    //   7d+  → 1-day buckets
+    getBucketSeconds() {
+        return this.timeRange <= 6 ? 300 : (this.timeRange > 168 ? 86400 : 3600);
+    }
+
+    // Points to ask the API for so it buckets the range at `bucketSeconds`
+    // (capped at the API's limit, where long ranges come back in coarser buckets)
+    getMaxPoints(bucketSeconds = this.getBucketSeconds()) {
+        return Math.min(Math.ceil(this.timeRange * 3600 / bucketSeconds), MAX_HISTORY_POINTS);
+    }
+
+    // Format bucket timestamps as readable labels for the category axis
+    formatBucketLabel(ts) {
+        const d = new Date(ts * 1000);
+        const hh = d.getHours().toString().padStart(2, '0');
+        const mm = d.getMinutes().toString().padStart(2, '0');
+        const time = `${hh}:${mm}`;
+        if (this.timeRange <= 6) return time;
+        const date = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return this.timeRange > 168 ? date : `${date} ${time}`;
+    }
+
+    // XP for one profession at a data point, or the sum of all professions for 'total'
+    getProfessionXp(point, profession) {
+        if (profession === 'total') {
+            return PROFESSION_NAMES.reduce((sum, prof) => sum + (point[prof] || 0), 0);
+        }
+        return point[profession] || 0;
+    }
+
+    getProfessionLabel(profession) {
+        return profession === 'total' ? 'All Professions' : profession.charAt(0).toUpperCase() + profession.slice(1);
+    }
+
+    // Compare mode: overlay the selected players' XP gains for one profession
+    async renderComparison() {
+        this.updateUrl();
+
+        const playerIds = Array.from(this.comparePlayers)
+            .filter(id => this.trackedPlayers.some(player => player.playerId === id));
+        if (playerIds.length === 0) {
+            this.renderEmptyState('Select players to compare');
+            this.renderComparisonTable([]);
+            return;
+        }
+
+        const renderId = ++this.compareRenderId;
+        const maxPoints = this.getMaxPoints();
+        const results = await Promise.allSettled(playerIds.map(id => this.fetchHistory(id, this.timeRange, this.interval, maxPoints)));
+        // Cancelled because the user switched views, or a newer render took over
+        if (results.some(result => result.status === 'rejected' && isAbortError(result.reason))) return;
+        if (renderId !== this.compareRenderId || this.mode !== 'compare') return;
+
+        const failed = [];
+        const series = [];
+        results.forEach((result, index) => {
+            const playerId = playerIds[index];
+            if (result.status === 'rejected') {
+                failed.push(this.getPlayerName(playerId));
+                return;
+            }
+            series.push({
+                playerId,
+                name: this.getPlayerName(playerId),
+                color: PROFESSION_COLORS[index % PROFESSION_COLORS.length],
+                points: result.value?.data || []
+            });
+        });
+
+        this.renderComparisonCharts(series);
+        this.renderComparisonTable(this.getComparisonRanking(series));
+
+        const messageDiv = document.getElementById('profession-message');
+        if (messageDiv && failed.length > 0) {
+            messageDiv.innerHTML = `<span style="color: var(--error); font-size: 0.875rem;">Could not load: ${failed.map(name => escapeHtml(name)).join(', ')}</span>`;
+        }
+    }
+
+    renderComparisonCharts(series) {
+        const chartCanvas = document.getElementById('profession-chart');
         const summaryCanvas = document.getElementById('profession-summary-chart');
-        if (!summaryCanvas) return;
+        if (!chartCanvas || !summaryCanvas) return;
 
+        chartCanvas.style.display = 'block';
         summaryCanvas.style.display = 'block';
+        const messageDiv = document.getElementById('profession-message');
+        if (messageDiv) {
+            messageDiv.innerHTML = '';
+        }
 
-        const ctx = summaryCanvas.getContext('2d');
+        const profession = this.compareProfession;
+        const professionLabel = this.getProfessionLabel(profession);
 
-        const professions = Array.from(this.visibleProfessions);
-        const colors = [
-            '#3b82f6', '#10b981', '#f59e0b', '#ef4444',
-            '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16',
-            '#f97316', '#6366f1', '#14b8a6', '#a855f7'
-        ];
+        // Every player shares one time axis; gaps before a player's first point stay empty
+        const timestamps = Array.from(new Set(series.flatMap(s => s.points.map(p => p.timestamp)))).sort((a, b) => a - b);
+        const labels = timestamps.map(ts => this.formatBucketLabel(ts));
 
-        if (this.summaryChartInstance) {
-            this.summaryChartInstance.destroy();
-        }
+        const gainsByPlayer = series.map(s => {
+            const byTime = new Map(s.points.map(p => [p.timestamp, this.getProfessionXp(p, profession)]));
+            const start = s.points.length > 0 ? this.getProfessionXp(s.points[0], profession) : 0;
+            let last = null;
+            return timestamps.map(ts => {
+                if (byTime.has(ts)) last = byTime.get(ts);
+                return last === null ? null : last - start;
+            });
+        });
 
-        // Calculate total gains (last - first data point)
-        let gains = [];
-        if (data.data.length >= 2) {
-            const firstPoint = data.data[0];
-            const lastPoint = data.data[data.data.length - 1];
+        // XP/min between consecutive buckets for each player
+        const ratesByPlayer = series.map(s => {
+            const rates = new Map();
+            for (let i = 1; i < s.points.length; i++) {
+                const minutes = (s.points[i].timestamp - s.points[i - 1].timestamp) / 60;
+                const xp = this.getProfessionXp(s.points[i], profession) - this.getProfessionXp(s.points[i - 1], profession);
+                rates.set(s.points[i].timestamp, minutes > 0 ? xp / minutes : 0);
+            }
+            return timestamps.map(ts => rates.get(ts) ?? 0);
+        });
 
-            gains = professions.map((prof, index) => ({
-                profession: prof,
-                gain: (lastPoint[prof] || 0) - (firstPoint[prof] || 0),
-                color: colors[index % colors.length]
-            })).filter(item => item.gain > 0)
-              .sort((a, b) => b.gain - a.gain);
+        const axisOptions = (title) => ({
+            x: {
+                type: 'category',
+                grid: { color: '#374151' },
+                ticks: { color: '#9ca3af', maxRotation: 45, autoSkip: true, maxTicksLimit: 12 }
+            },
+            y: {
+                type: 'linear',
+                title: { display: true, text: title, color: '#9ca3af' },
+                beginAtZero: true,
+                grid: { color: '#374151' },
+                ticks: { color: '#9ca3af' }
+            }
+        });
+        const pluginOptions = (title) => ({
+            legend: {
+                position: 'top',
+                labels: { color: '#9ca3af', usePointStyle: true, padding: 15 }
+            },
+            title: {
+                display: true,
+                text: title,
+                color: '#f3f4f6',
+                font: { size: 16, weight: 'bold' }
+            },
+            tooltip: {
+                backgroundColor: '#1f2937',
+                titleColor: '#f3f4f6',
+                bodyColor: '#d1d5db',
+                borderColor: '#4b5563',
+                borderWidth: 1
+            }
+        });
+
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
         }
+        this.chartInstance = new Chart(chartCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: series.map((s, i) => ({
+                    label: s.name,
+                    data: gainsByPlayer[i],
+                    borderColor: s.color,
+                    backgroundColor: s.color + '20',
+                    borderWidth: 2,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    spanGaps: true
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                scales: axisOptions('XP Gained Since Start of Range'),
+                plugins: pluginOptions(`${professionLabel} XP Gained - Player Comparison`)
+            }
+        });
 
-        // If no gains or insufficient data, show empty state with message
-        if (gains.length === 0) {
-            this.summaryChartInstance = new Chart(ctx, {
+        if (this.summaryChartInstance) {
+            this.summaryChartInstance.destroy();
+        }
+        this.summaryChartInstance = new Chart(summaryCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: series.map((s, i) => ({
+                    label: s.name,
+                    data: ratesByPlayer[i],
+                    backgroundColor: s.color + '80',
+                    borderColor: s.color,
+                    borderWidth: 1
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: axisOptions('XP per Minute'),
+                plugins: pluginOptions(`${professionLabel} XP/min`)
+            }
+        });
+    }
+
+    // Players ranked by XP gained over the range
+    getComparisonRanking(series) {
+        const profession = this.compareProfession;
+        return series.map(s => {
+            const first = s.points[0];
+            const last = s.points[s.points.length - 1];
+            if (!first || !last) {
+                return { ...s, gained: 0, rate: 0, peakRate: 0, current: null };
+            }
+
+            let peakRate = 0;
+            for (let i = 1; i < s.points.length; i++) {
+                const minutes = (s.points[i].timestamp - s.points[i - 1].timestamp) / 60;
+                const xp = this.getProfessionXp(s.points[i], profession) - this.getProfessionXp(s.points[i - 1], profession);
+                if (minutes > 0) peakRate = Math.max(peakRate, xp / minutes);
+            }
+
+            const gained = this.getProfessionXp(last, profession) - this.getProfessionXp(first, profession);
+            const minutes = (last.timestamp - first.timestamp) / 60;
+            return {
+                ...s,
+                gained,
+                rate: minutes > 0 ? gained / minutes : 0,
+                peakRate,
+                current: this.getProfessionXp(last, profession)
+            };
+        }).sort((a, b) => b.gained - a.gained || a.name.localeCompare(b.name));
+    }
+
+    renderComparisonTable(ranking) {
+        const container = document.getElementById('profession-compare-table');
+        if (!container) return;
+
+        if (ranking.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const formatRate = (rate) => rate.toLocaleString(undefined, { maximumFractionDigits: 1 });
+        container.innerHTML = `
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>Rank</th>
+                        <th>Player</th>
+                        <th>${this.getProfessionLabel(this.compareProfession)} XP Gained</th>
+                        <th>Avg XP/min</th>
+                        <th>Peak XP/min</th>
+                        <th>Current XP</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ranking.map((row, index) => `
+                        <tr>
+                            <td class="count-value">${index + 1}</td>
+                            <td class="item-name"><span class="compare-swatch" style="background: ${row.color};"></span>${escapeHtml(row.name)}</td>
+                            <td class="count-value ${row.gained > 0 ? 'delta-positive' : ''}">${row.gained > 0 ? '+' : ''}${row.gained.toLocaleString()}</td>
+                            <td class="count-value">${formatRate(row.rate)}</td>
+                            <td class="count-value">${formatRate(row.peakRate)}</td>
+                            <td class="count-value">${row.current != null ? row.current.toLocaleString() : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderSummaryChart(data) {
+        const summaryCanvas = document.getElementById('profession-summary-chart');
+        if (!summaryCanvas) return;
+
+        summaryCanvas.style.display = 'block';
+
+        const ctx = summaryCanvas.getContext('2d');
+
+        const professions = Array.from(this.visibleProfessions);
+        const colors = PROFESSION_COLORS;
+
+        if (this.summaryChartInstance) {
+            this.summaryChartInstance.destroy();
+        }
+
+        // Calculate total gains (last - first data point)
+        let gains = [];
+        if (data.data.length >= 2) {
+            const firstPoint = data.data[0];
+            const lastPoint = data.data[data.data.length - 1];
+
+            gains = professions.map((prof, index) => ({
+                profession: prof,
+                gain: (lastPoint[prof] || 0) - (firstPoint[prof] || 0),
+                color: colors[index % colors.length]
+            })).filter(item => item.gain > 0)
+              .sort((a, b) => b.gain - a.gain);
+        }
+
+        // If no gains or insufficient data, show empty state with message
+        if (gains.length === 0) {
+            this.summaryChartInstance = new Chart(ctx, {
                 type: 'bar',
                 data: {
                     labels: ['No Data'],
@@ -2385,11 +4058,7 @@ class ProfessionHistoryViewer {
         const ctx = pieCanvas.getContext('2d');
 
         const professions = Array.from(this.visibleProfessions);
-        const colors = [
-            '#3b82f6', '#10b981', '#f59e0b', '#ef4444',
-            '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16',
-            '#f97316', '#6366f1', '#14b8a6', '#a855f7'
-        ];
+        const colors = PROFESSION_COLORS;
 
         // Get current totals from last data point
         if (data.data.length === 0) {
@@ -2506,13 +4175,293 @@ class ProfessionHistoryViewer {
         xpGainedDisplay.textContent = totalGained >= 0 ? `+${totalGained.toLocaleString()}` : totalGained.toLocaleString();
     }
 
+    // Time-weighted XP/min over the most recent buckets of the rates computed in renderChart
+    getRecentRate(chartData, rates) {
+        let xp = 0;
+        let minutes = 0;
+        for (let i = Math.max(1, chartData.length - LEVEL_RATE_BUCKETS); i < chartData.length; i++) {
+            const bucketMinutes = (chartData[i].timestamp - chartData[i - 1].timestamp) / 60;
+            xp += rates[i] * bucketMinutes;
+            minutes += bucketMinutes;
+        }
+        return minutes > 0 ? Math.max(0, xp / minutes) : 0;
+    }
+
+    // When `xpNeeded` more XP will be earned at `rate` XP/min (null without recent progress)
+    projectDate(xpNeeded, rate) {
+        if (xpNeeded <= 0) return new Date();
+        if (rate <= 0) return null;
+        return new Date(Date.now() + (xpNeeded / rate) * 60000);
+    }
+
+    formatProjection(date) {
+        if (!date) return '<span class="editor-note">No recent XP</span>';
+        const minutes = Math.max(0, (date.getTime() - Date.now()) / 60000);
+        const wait = minutes < 60 ? `${Math.ceil(minutes)}m`
+            : minutes < 48 * 60 ? `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`
+            : `${Math.round(minutes / 1440)}d`;
+        const when = date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        return `${when} <span class="editor-note">(in ${wait})</span>`;
+    }
+
+    // Level, progress and projected level-up dates per profession, highest level first
+    renderLevels(chartData, xpRatesPerLabel) {
+        const container = document.getElementById('profession-levels');
+        if (!container) return;
+
+        const lastPoint = chartData[chartData.length - 1];
+        if (!lastPoint) {
+            container.innerHTML = '<p class="editor-note">No XP recorded in this time range.</p>';
+            return;
+        }
+
+        const target = this.targetLevel;
+        const rows = Array.from(this.visibleProfessions).map(prof => {
+            const xp = lastPoint[prof] || 0;
+            const rate = this.getRecentRate(chartData, xpRatesPerLabel[prof]);
+            return { prof, xp, rate, ...getSkillLevel(xp) };
+        }).sort((a, b) => b.level - a.level || b.progress - a.progress);
+
+        const formatRate = (rate) => rate.toLocaleString(undefined, { maximumFractionDigits: 1 });
+        container.innerHTML = `
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>Profession</th>
+                        <th title="Estimated from an approximate XP curve">Est. Level</th>
+                        <th>Progress</th>
+                        <th>XP to Next</th>
+                        <th>Recent XP/min</th>
+                        <th>Next Level</th>
+                        ${target ? `<th>Level ${target}</th>` : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => {
+                        const maxed = row.level === MAX_SKILL_LEVEL;
+                        const targetCell = !target ? ''
+                            : row.level >= target ? '<td><span class="editor-note">Reached</span></td>'
+                            : `<td>${this.formatProjection(this.projectDate(LEVEL_XP_TABLE[target] - row.xp, row.rate))}</td>`;
+                        return `
+                            <tr>
+                                <td class="item-name">${this.getProfessionLabel(row.prof)}</td>
+                                <td class="count-value">${row.level}</td>
+                                <td>
+                                    <div class="level-progress">
+                                        <div class="market-progress-bar"><div style="width: ${(row.progress * 100).toFixed(1)}%;"></div></div>
+                                        <span>${Math.floor(row.progress * 100)}%</span>
+                                    </div>
+                                </td>
+                                <td class="count-value">${maxed ? '—' : row.xpToNext.toLocaleString()}</td>
+                                <td class="count-value">${formatRate(row.rate)}</td>
+                                <td>${maxed ? '<span class="editor-note">Max level</span>' : this.formatProjection(this.projectDate(row.xpToNext, row.rate))}</td>
+                                ${targetCell}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            <p class="editor-note">Levels, XP to next and level-up dates are estimates: they use an approximate XP curve, not the game's own level table.</p>
+        `;
+    }
+
+    // Stretches between consecutive points where any visible profession gained XP
+    // A stretch longer than the idle gap only counts its last `gap` minutes, since the player
+    // could have been idle for most of it (e.g. the poller missed some cycles)
+    getActivityIntervals(points, gapSeconds) {
+        const professions = Array.from(this.visibleProfessions);
+        const intervals = [];
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1];
+            const current = points[i];
+            const xp = {};
+            let total = 0;
+            professions.forEach(prof => {
+                const gained = (current[prof] || 0) - (previous[prof] || 0);
+                if (gained > 0) {
+                    xp[prof] = gained;
+                    total += gained;
+                }
+            });
+            if (total > 0) {
+                intervals.push({ start: Math.max(previous.timestamp, current.timestamp - gapSeconds), end: current.timestamp, xp, total });
+            }
+        }
+        return intervals;
+    }
+
+    // Merge activity separated by less than the idle gap into sessions, newest first
+    detectSessions(points, gapMinutes = this.sessionGapMinutes) {
+        const gapSeconds = gapMinutes * 60;
+        const sessions = [];
+        let session = null;
+
+        for (const interval of this.getActivityIntervals(points, gapSeconds)) {
+            if (!session || interval.start - session.end > gapSeconds) {
+                session = { start: interval.start, end: interval.end, xp: {}, total: 0 };
+                sessions.push(session);
+            }
+            session.end = interval.end;
+            session.total += interval.total;
+            for (const [prof, gained] of Object.entries(interval.xp)) {
+                session.xp[prof] = (session.xp[prof] || 0) + gained;
+            }
+        }
+
+        return sessions.reverse();
+    }
+
+    // Active minutes per local day of week and hour: grid[day][hour], day from Date.getDay()
+    getActivityHeatmap(points, gapMinutes = this.sessionGapMinutes) {
+        const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+        for (const interval of this.getActivityIntervals(points, gapMinutes * 60)) {
+            // Split the interval at hour boundaries so each cell gets its share
+            let time = interval.start * 1000;
+            const end = interval.end * 1000;
+            while (time < end) {
+                const date = new Date(time);
+                const nextHour = new Date(date);
+                nextHour.setMinutes(60, 0, 0);
+                const sliceEnd = Math.min(nextHour.getTime(), end);
+                grid[date.getDay()][date.getHours()] += (sliceEnd - time) / 60000;
+                time = sliceEnd;
+            }
+        }
+        return grid;
+    }
+
+    renderActivity() {
+        const sessionsContainer = document.getElementById('profession-sessions');
+        const heatmapContainer = document.getElementById('profession-heatmap');
+        if (!sessionsContainer || !heatmapContainer) return;
+
+        const points = this.historyPoints;
+        const sessions = this.detectSessions(points);
+        const heading = (text) => `<h3 style="font-size: 0.875rem; font-weight: 600; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em; margin: 0;">${text}</h3>`;
+        const formatMinutes = (minutes) => minutes < 60
+            ? `${Math.round(minutes)}m`
+            : `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`;
+        const formatTime = (ts) => new Date(ts * 1000).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+        const totalMinutes = sessions.reduce((sum, session) => sum + (session.end - session.start) / 60, 0);
+        const gapSelect = `
+            <div class="control-group">
+                <label>Idle Gap:</label>
+                <select onchange="professionViewer.setSessionGap(this.value)">
+                    ${SESSION_GAP_OPTIONS.map(minutes => `<option value="${minutes}" ${minutes === this.sessionGapMinutes ? 'selected' : ''}>${minutes} min</option>`).join('')}
+                </select>
+            </div>
+        `;
+
+        sessionsContainer.innerHTML = `
+            <div class="activity-header">
+                ${heading(`Play Sessions (${sessions.length})`)}
+                ${gapSelect}
+            </div>
+            ${sessions.length === 0 ? '<p class="editor-note">No XP gained in this time range.</p>' : `
+                <div class="activity-summary">
+                    <span>Play time: <strong>${formatMinutes(totalMinutes)}</strong></span>
+                    <span>Average session: <strong>${formatMinutes(totalMinutes / sessions.length)}</strong></span>
+                    <span>XP/hour overall: <strong>${totalMinutes > 0 ? Math.round(sessions.reduce((sum, session) => sum + session.total, 0) / (totalMinutes / 60)).toLocaleString() : '—'}</strong></span>
+                </div>
+                <table class="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>Started</th>
+                            <th>Duration</th>
+                            <th>Professions Trained</th>
+                            <th>XP Gained</th>
+                            <th>XP/hour</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sessions.slice(0, MAX_SESSIONS_SHOWN).map(session => {
+                            const minutes = (session.end - session.start) / 60;
+                            const trained = Object.entries(session.xp)
+                                .sort((a, b) => b[1] - a[1])
+                                .map(([prof, xp]) => `${this.getProfessionLabel(prof)} <span class="editor-note">(${xp.toLocaleString()})</span>`)
+                                .join(', ');
+                            return `
+                                <tr>
+                                    <td>${formatTime(session.start)}</td>
+                                    <td class="count-value">${formatMinutes(minutes)}</td>
+                                    <td>${trained}</td>
+                                    <td class="count-value delta-positive">+${session.total.toLocaleString()}</td>
+                                    <td class="count-value">${minutes > 0 ? Math.round(session.total / (minutes / 60)).toLocaleString() : '—'}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                ${sessions.length > MAX_SESSIONS_SHOWN ? `<p class="editor-note">Showing the ${MAX_SESSIONS_SHOWN} most recent sessions.</p>` : ''}
+            `}
+        `;
+
+        const grid = this.getActivityHeatmap(points);
+        const maxMinutes = Math.max(...grid.flat());
+        heatmapContainer.innerHTML = `
+            <div class="activity-header">
+                ${heading('Activity by Hour')}
+                ${this.timeRange < 168 ? '<span class="editor-note">Pick 7 or 30 days for a fuller picture</span>' : ''}
+            </div>
+            <table class="activity-heatmap">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${Array.from({ length: 24 }, (_, hour) => `<th>${hour % 3 === 0 ? hour.toString().padStart(2, '0') : ''}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${HEATMAP_DAYS.map(({ day, label }) => `
+                        <tr>
+                            <th>${label}</th>
+                            ${grid[day].map((minutes, hour) => `
+                                <td style="background: ${minutes > 0 ? `rgba(59, 130, 246, ${(0.15 + 0.85 * minutes / maxMinutes).toFixed(2)})` : 'var(--bg-primary)'};"
+                                    title="${label} ${hour.toString().padStart(2, '0')}:00 - ${Math.round(minutes)} active min"></td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    setSessionGap(minutes) {
+        const gap = parseInt(minutes);
+        this.sessionGapMinutes = SESSION_GAP_OPTIONS.includes(gap) ? gap : DEFAULT_SESSION_GAP;
+        this.updateUrl();
+        this.renderActivity();
+    }
+
+    setTargetLevel(level) {
+        const target = parseInt(level);
+        this.targetLevel = target >= 2 && target <= MAX_SKILL_LEVEL ? target : null;
+        if (this.selectedPlayer) {
+            this.render();
+        }
+    }
+
     updateTimeRange(hours) {
         this.timeRange = hours;
-        if (this.selectedPlayer) {
+        if (this.selectedPlayer || this.mode === 'compare') {
             this.render();
         }
     }
 
+    setMode(mode) {
+        this.mode = mode;
+        // Start a comparison with every tracked player
+        if (mode === 'compare' && this.comparePlayers.size === 0) {
+            this.trackedPlayers.forEach(player => this.comparePlayers.add(player.playerId));
+        }
+        if (this.pieChartInstance) {
+            this.pieChartInstance.destroy();
+            this.pieChartInstance = null;
+        }
+        updateProfessionModeControls();
+        this.render();
+    }
+
     toggleProfession(profession) {
         if (this.visibleProfessions.has(profession)) {
             this.visibleProfessions.delete(profession);
@@ -2527,658 +4476,1905 @@ class ProfessionHistoryViewer {
 
 const professionViewer = new ProfessionHistoryViewer();
 
-// View Navigation Setup
-function setupNavigation() {
-    const navLinks = document.querySelectorAll('.nav-link');
+// Recipe Book Class
+// Fetches and caches crafting recipes for items and cargo
+class RecipeBook {
+    constructor() {
+        this.entries = new Map(); // "item:123" / "cargo:456" -> Promise<{ id, type, name, tier, tag, recipes }>
+    }
 
-    navLinks.forEach(link => {
-        link.addEventListener('click', (e) => {
-            e.preventDefault();
-            const view = link.dataset.view;
-            switchView(view, true); // true = user clicked, clear params
-        });
-    });
+    // Normalize an item stack (the API may use camelCase or snake_case fields)
+    parseStack(stack) {
+        const rawType = stack.itemType ?? stack.item_type ?? 'item';
+        const isCargo = rawType === 1 || String(rawType).toLowerCase() === 'cargo';
+        return {
+            id: String(stack.itemId ?? stack.item_id ?? stack.id),
+            type: isCargo ? 'cargo' : 'item',
+            quantity: parseInt(stack.quantity) || 1
+        };
+    }
 
-    // Load view from URL parameter
-    const urlParams = new URLSearchParams(window.location.search);
-    const viewParam = urlParams.get('view');
-    if (viewParam && (viewParam === 'inventory' || viewParam === 'market' || viewParam === 'player-market' || viewParam === 'profession-history')) {
-        switchView(viewParam, false); // false = from URL, preserve params
+    parseRecipe(recipe) {
+        const consumed = recipe.consumedItemStacks || recipe.consumed_item_stacks || [];
+        const crafted = recipe.craftedItemStacks || recipe.crafted_item_stacks || [];
+        return {
+            id: recipe.id,
+            name: recipe.name || '',
+            inputs: consumed.map(stack => this.parseStack(stack)),
+            outputs: crafted.map(stack => this.parseStack(stack)),
+            actionsRequired: parseInt(recipe.actionsRequired ?? recipe.actions_required) || 1
+        };
     }
-}
 
-async function switchView(view, clearParams = false) {
-    currentView = view;
+    getEntry(id, type = 'item') {
+        const key = `${type}:${id}`;
+        if (!this.entries.has(key)) {
+            // Drop failed lookups from the cache so they can be retried
+            this.entries.set(key, this.fetchEntry(String(id), type).catch(error => {
+                this.entries.delete(key);
+                throw error;
+            }));
+        }
+        return this.entries.get(key);
+    }
 
-    // Update active link
-    document.querySelectorAll('.nav-link').forEach(link => {
-        link.classList.toggle('active', link.dataset.view === view);
-    });
+    async fetchEntry(id, type) {
+        const data = await apiClient.getJson(`/api/${type === 'cargo' ? 'cargo' : 'items'}/${id}`);
+        const meta = data.item || data.cargo || data;
+        const dbItem = type === 'item' ? viewer.itemDatabase.get(id) : null;
+
+        // Only keep recipes that actually produce this item
+        const recipes = (data.craftingRecipes || data.recipes || [])
+            .map(recipe => this.parseRecipe(recipe))
+            .filter(recipe => recipe.outputs.some(output => output.id === id && output.type === type));
+
+        return {
+            id,
+            type,
+            name: meta.name || dbItem?.name || `Unknown ${type} ${id}`,
+            tier: meta.tier ?? dbItem?.tier ?? null,
+            tag: meta.tag || dbItem?.tag || null,
+            recipes
+        };
+    }
+}
 
-    // Update URL without reload
-    const url = new URL(window.location);
-    if (clearParams) {
-        // Clear all parameters when user clicks navigation
-        url.search = '';
+// Crafting Planner Class
+// Expands a target item's recipe tree and covers each requirement from pooled inventory
+const PLANNER_MAX_DEPTH = 12;
+
+class CraftingPlanner {
+    constructor() {
+        this.recipeBook = new RecipeBook();
+        this.lastPlan = null;
     }
-    url.searchParams.set('view', view);
-    window.history.pushState({}, '', url);
 
-    // Show/hide appropriate sections
-    const playerManagement = document.querySelector('.player-management');
-    const viewControlsSection = document.querySelector('.view-controls');
-    const marketControlsSection = document.querySelector('.market-controls');
-    const footer = document.querySelector('footer');
+    // Pooled inventory by item name with per-player holdings (packages unpacked)
+    buildPool() {
+        const pool = new Map(); // name -> { remaining, surplus, holders: Map playerName -> qty }
 
-    if (view === 'inventory') {
-        // Show inventory sections
-        if (playerManagement) playerManagement.style.display = '';
+        for (const item of viewer.getAllItems(true)) {
+            // Skip the packages themselves; their contents were already added by getAllItems
+            if (!item.fromPackage && viewer.getPackageInfo(item.name).isPackage) continue;
 
-        // Remove market controls if present
-        if (marketControlsSection) {
-            marketControlsSection.remove();
+            if (!pool.has(item.name)) {
+                pool.set(item.name, { remaining: 0, surplus: 0, holders: new Map() });
+            }
+            const entry = pool.get(item.name);
+            entry.remaining += item.count;
+            entry.holders.set(item.playerName, (entry.holders.get(item.playerName) || 0) + item.count);
         }
 
-        // Show inventory controls if they exist (they might have been hidden)
-        if (viewControlsSection) {
-            viewControlsSection.style.display = '';
-        }
+        return pool;
+    }
 
-        footer.style.display = 'flex';
+    async plan(itemId, quantity) {
+        const pool = this.buildPool();
+        const plan = {
+            target: null,
+            allocations: new Map(), // playerName -> Map itemName -> qty
+            shortfall: new Map(), // itemName -> qty
+            crafts: new Map(), // itemName -> { crafts, produced, recipe }
+            tree: null
+        };
 
-        // Destroy profession charts if they exist
-        if (professionViewer.chartInstance) {
-            professionViewer.chartInstance.destroy();
-            professionViewer.chartInstance = null;
-        }
-        if (professionViewer.summaryChartInstance) {
-            professionViewer.summaryChartInstance.destroy();
-            professionViewer.summaryChartInstance = null;
-        }
-        if (professionViewer.pieChartInstance) {
-            professionViewer.pieChartInstance.destroy();
-            professionViewer.pieChartInstance = null;
-        }
+        const target = await this.recipeBook.getEntry(itemId, 'item');
+        plan.target = { name: target.name, quantity };
+        plan.tree = await this.require(target, quantity, pool, plan, []);
 
-        // Check if we need to restore inventory view from player-market, market, or profession-history
-        const inventoryDisplay = document.querySelector('.inventory-display');
-        const hasPlayerMarketContent = inventoryDisplay && inventoryDisplay.querySelector('#player-market-content');
-        const hasMarketContent = inventoryDisplay && inventoryDisplay.querySelector('#market-content');
-        const hasProfessionContent = inventoryDisplay && inventoryDisplay.querySelector('#profession-history-content');
+        this.lastPlan = plan;
+        return plan;
+    }
 
-        // Restore original inventory HTML if it was replaced by market or profession view
-        if (originalInventoryHTML) {
-            if (inventoryDisplay && (hasMarketContent || hasProfessionContent)) {
-                // Replace market/profession display with inventory display
-                inventoryDisplay.outerHTML = originalInventoryHTML.inventoryDisplay;
-            }
+    // Take up to `quantity` of an item from the pool: crafted surplus first, then the largest holders
+    takeFromPool(name, quantity, pool, plan) {
+        const entry = pool.get(name);
+        if (!entry) return 0;
 
-            // Restore view controls if we stored them
-            if (originalInventoryHTML.viewControls) {
-                const existingViewControls = document.querySelector('.view-controls');
-                if (!existingViewControls) {
-                    // Insert the view-controls section
-                    const inventoryDisplaySection = document.querySelector('.inventory-display');
-                    if (inventoryDisplaySection) {
-                        inventoryDisplaySection.insertAdjacentHTML('beforebegin', originalInventoryHTML.viewControls);
-                    }
-                }
-            }
+        let taken = Math.min(entry.surplus, quantity);
+        entry.surplus -= taken;
 
-            // Clear the stored HTML so we can capture fresh state next time
-            originalInventoryHTML = null;
+        const holders = Array.from(entry.holders.entries()).sort((a, b) => b[1] - a[1]);
+        for (const [playerName, held] of holders) {
+            if (taken >= quantity) break;
+            const take = Math.min(held, quantity - taken);
+            if (take <= 0) continue;
 
-            // Re-setup DOM elements and event listeners after HTML restoration
-            viewer.setupDomElements();
-            viewer.setupEventListeners();
+            entry.holders.set(playerName, held - take);
+            entry.remaining -= take;
+            taken += take;
 
-            // Re-render inventory
-            viewer.render();
-        } else if (hasPlayerMarketContent || hasProfessionContent) {
-            // Coming from player-market or profession-history view, just re-render inventory
-            viewer.setupDomElements();
-            viewer.render();
+            if (!plan.allocations.has(playerName)) {
+                plan.allocations.set(playerName, new Map());
+            }
+            const playerAllocations = plan.allocations.get(playerName);
+            playerAllocations.set(name, (playerAllocations.get(name) || 0) + take);
         }
-    } else if (view === 'market') {
-        if (playerManagement) playerManagement.style.display = 'none';
 
-        // Hide inventory controls
-        if (viewControlsSection) {
-            viewControlsSection.style.display = 'none';
-        }
+        return taken;
+    }
 
-        // Destroy profession charts if they exist
-        if (professionViewer.chartInstance) {
-            professionViewer.chartInstance.destroy();
-            professionViewer.chartInstance = null;
-        }
-        if (professionViewer.summaryChartInstance) {
-            professionViewer.summaryChartInstance.destroy();
-            professionViewer.summaryChartInstance = null;
-        }
-        if (professionViewer.pieChartInstance) {
-            professionViewer.pieChartInstance.destroy();
-            professionViewer.pieChartInstance = null;
-        }
+    // Resolve a requirement: use inventory first, then craft the remainder, recursing into inputs
+    async require(entry, quantity, pool, plan, path) {
+        const node = {
+            name: entry.name,
+            required: quantity,
+            fromInventory: this.takeFromPool(entry.name, quantity, pool, plan),
+            crafts: 0,
+            missing: 0,
+            children: []
+        };
 
-        // Market controls will be shown by renderMarketView
-        footer.style.display = 'none';
-        await renderMarketView();
-    } else if (view === 'player-market') {
-        // Show player management for player selection
-        if (playerManagement) playerManagement.style.display = '';
+        const needed = quantity - node.fromInventory;
+        if (needed <= 0) return node;
 
-        // Hide inventory controls
-        if (viewControlsSection) {
-            viewControlsSection.style.display = 'none';
-        }
+        const entryKey = `${entry.type}:${entry.id}`;
+        const choice = path.length < PLANNER_MAX_DEPTH
+            ? await this.chooseRecipe(entry, [...path, entryKey])
+            : null;
 
-        // Remove market controls if present
-        if (marketControlsSection) {
-            marketControlsSection.remove();
+        // Raw material (or no usable recipe): record the shortfall
+        if (!choice) {
+            node.missing = needed;
+            plan.shortfall.set(entry.name, (plan.shortfall.get(entry.name) || 0) + needed);
+            return node;
         }
 
-        // Destroy profession charts if they exist
-        if (professionViewer.chartInstance) {
-            professionViewer.chartInstance.destroy();
-            professionViewer.chartInstance = null;
-        }
-        if (professionViewer.summaryChartInstance) {
-            professionViewer.summaryChartInstance.destroy();
-            professionViewer.summaryChartInstance = null;
-        }
-        if (professionViewer.pieChartInstance) {
-            professionViewer.pieChartInstance.destroy();
-            professionViewer.pieChartInstance = null;
+        const output = choice.recipe.outputs.find(o => o.id === entry.id && o.type === entry.type);
+        const perCraft = output?.quantity || 1;
+        node.crafts = Math.ceil(needed / perCraft);
+
+        // Leftover output from rounding up can cover later requirements for the same item
+        const surplus = node.crafts * perCraft - needed;
+        if (surplus > 0) {
+            if (!pool.has(entry.name)) {
+                pool.set(entry.name, { remaining: 0, surplus: 0, holders: new Map() });
+            }
+            pool.get(entry.name).surplus += surplus;
         }
 
-        footer.style.display = 'none';
-        await renderPlayerMarketView();
-    } else if (view === 'profession-history') {
-        // Hide player management (using dropdown instead)
-        if (playerManagement) playerManagement.style.display = 'none';
+        const crafted = plan.crafts.get(entry.name) || { crafts: 0, produced: 0, recipe: choice.recipe.name };
+        crafted.crafts += node.crafts;
+        crafted.produced += node.crafts * perCraft;
+        plan.crafts.set(entry.name, crafted);
 
-        // Hide inventory controls
-        if (viewControlsSection) {
-            viewControlsSection.style.display = 'none';
+        for (let i = 0; i < choice.recipe.inputs.length; i++) {
+            const input = choice.recipe.inputs[i];
+            node.children.push(await this.require(
+                choice.inputEntries[i],
+                input.quantity * node.crafts,
+                pool,
+                plan,
+                [...path, entryKey]
+            ));
         }
 
-        // Remove market controls if present
-        if (marketControlsSection) {
-            marketControlsSection.remove();
+        return node;
+    }
+
+    // Pick the first recipe that doesn't loop back into the current branch or unpack a package
+    async chooseRecipe(entry, path) {
+        for (const recipe of entry.recipes) {
+            if (recipe.inputs.some(input => path.includes(`${input.type}:${input.id}`))) continue;
+
+            try {
+                const inputEntries = await Promise.all(
+                    recipe.inputs.map(input => this.recipeBook.getEntry(input.id, input.type))
+                );
+
+                // Package contents are already counted in the pool, so skip unpack recipes
+                const unpacks = !entry.name.endsWith(' Package') &&
+                                inputEntries.some(input => input.name.endsWith(' Package'));
+                if (unpacks) continue;
+
+                return { recipe, inputEntries };
+            } catch (error) {
+                console.error(`Error loading recipe inputs for ${entry.name}:`, error);
+            }
         }
 
-        footer.style.display = 'none';
-        await renderProfessionHistoryView();
+        return null;
     }
 }
 
-// Store original inventory HTML so we can restore it
-let originalInventoryHTML = null;
+const craftingPlanner = new CraftingPlanner();
 
-async function renderMarketView() {
-    const main = document.querySelector('main');
+// Profitability Calculator
+// Prices every recipe for a set of market items: inputs at the cheapest sell order (or from the
+// pooled inventory at a chosen cost basis) against the output's best bid and best ask
+const PROFIT_MAX_ITEMS = 100;
 
-    // Check if market view is already rendered
-    const existingMarketControls = document.querySelector('.market-controls');
-    const existingMarketContent = document.getElementById('market-content');
+class ProfitabilityCalculator {
+    constructor(recipeBook) {
+        this.recipeBook = recipeBook;
+        this.lastResults = null; // null until the first analysis
+        this.lastOptions = null; // Options the last results were costed with
+    }
 
-    if (existingMarketControls && existingMarketContent) {
-        // Market view already exists, just ensure tags are populated and refresh the data
-        const tags = marketViewer.getAvailableTags();
-        const tagContainer = document.getElementById('tag-filter-container');
+    // Unit prices for an item from its order book (all null when there are no orders)
+    getPrices(id, type, cache, signal) {
+        const key = `${type}:${id}`;
+        if (!cache.has(key)) {
+            cache.set(key, marketViewer.fetchOrderBook(id, type, signal)
+                .then(book => marketViewer.summarizeOrderBook(book))
+                .catch(error => {
+                    if (isAbortError(error)) throw error;
+                    return { cheapestSell: null, medianSell: null, highestBuy: null };
+                }));
+        }
+        return cache.get(key);
+    }
 
-        // Re-render tags if container is empty
-        if (tagContainer && tagContainer.children.length === 0) {
-            renderTagFilters(tags);
-            setupMarketEventListeners();
+    // options: { costSource: 'market' | 'inventory', costBasis: 'zero' | 'cheapestSell' | 'medianSell' | 'highestBuy' }
+    async analyze(items, options, onProgress = null) {
+        const signal = apiClient.viewSignal;
+        const pool = options.costSource === 'inventory' ? craftingPlanner.buildPool() : null;
+        const priceCache = new Map();
+        const perItem = new Array(items.length).fill([]);
+        let done = 0;
+
+        await Promise.all(items.map(async (item, index) => {
+            try {
+                perItem[index] = await this.analyzeItem(item, priceCache, signal);
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                console.error(`Error analyzing recipes for ${item.name}:`, error);
+            }
+            onProgress?.(++done, items.length);
+        }));
+
+        const results = perItem.flat();
+        results.forEach(result => this.applyCosts(result, pool, options.costBasis));
+
+        this.lastResults = results;
+        this.lastOptions = options;
+        return results;
+    }
+
+    // Fill in input costs and margins. Each recipe is costed against the whole inventory pool,
+    // as if it were the only thing crafted, so its cost doesn't depend on which other items are
+    // being compared; stock is only reserved between inputs of the same recipe.
+    applyCosts(result, pool, costBasis) {
+        const used = new Map(); // name -> units this recipe already takes from the pool
+        for (const input of result.inputs) {
+            const stock = pool?.get(input.name);
+            const alreadyUsed = used.get(input.name) || 0;
+            input.fromInventory = !!stock && stock.remaining - alreadyUsed >= input.quantity;
+
+            input.unitCost = input.prices.cheapestSell;
+            if (input.fromInventory) {
+                used.set(input.name, alreadyUsed + input.quantity);
+                input.unitCost = costBasis === 'zero' ? 0 : (input.prices[costBasis] ?? input.prices.cheapestSell);
+            }
         }
 
-        renderMarketTable();
-        document.getElementById('loading-overlay').classList.add('hidden');
-        return;
+        result.missingPrices = result.inputs.filter(input => input.unitCost == null).map(input => input.name);
+        result.inputCost = result.missingPrices.length === 0
+            ? result.inputs.reduce((sum, input) => sum + input.unitCost * input.quantity, 0)
+            : null;
+        const margin = (unitPrice) => unitPrice != null && result.inputCost !== null
+            ? unitPrice * result.outputQuantity - result.inputCost
+            : null;
+        result.marginBid = margin(result.bestBid);
+        result.marginAsk = margin(result.bestAsk);
     }
 
-    // Store the original inventory sections before replacing them (only once)
-    if (!originalInventoryHTML) {
-        const inventoryDisplay = document.querySelector('.inventory-display');
-        const viewControls = document.querySelector('.view-controls');
+    // Recipes for an item with input and output prices; costs are filled in by applyCosts
+    async analyzeItem(item, priceCache, signal) {
+        // Packing recipes just bundle the same goods
+        if (item.name.endsWith(' Package')) return [];
 
-        if (inventoryDisplay) {
-            originalInventoryHTML = {
-                inventoryDisplay: inventoryDisplay.outerHTML,
-                viewControls: viewControls ? viewControls.outerHTML : null
-            };
+        const type = marketViewer.normalizeItemType(item.itemType);
+        const entry = await this.recipeBook.getEntry(item.id, type);
+        if (entry.recipes.length === 0) return [];
+
+        const outputPrices = await this.getPrices(item.id, type, priceCache, signal);
+        const results = [];
+
+        for (const recipe of entry.recipes) {
+            const inputEntries = await Promise.all(
+                recipe.inputs.map(input => this.recipeBook.getEntry(input.id, input.type))
+            );
+            // Skip unpack recipes
+            if (inputEntries.some(input => input.name.endsWith(' Package'))) continue;
+
+            const inputs = await Promise.all(recipe.inputs.map(async (input, i) => ({
+                name: inputEntries[i].name,
+                quantity: input.quantity,
+                prices: await this.getPrices(input.id, input.type, priceCache, signal)
+            })));
+
+            results.push({
+                item,
+                recipe,
+                inputs,
+                outputQuantity: recipe.outputs.find(o => o.id === item.id && o.type === type)?.quantity || 1,
+                bestBid: outputPrices.highestBuy,
+                bestAsk: outputPrices.cheapestSell,
+                actions: recipe.actionsRequired
+            });
         }
+
+        return results;
     }
 
-    // Show loading
-    document.getElementById('loading-overlay').classList.remove('hidden');
+    // Rank results; sellAt: 'bid' | 'ask', rankBy: 'margin' | 'perAction'
+    rank(results, sellAt, rankBy) {
+        const score = (result) => {
+            const margin = sellAt === 'bid' ? result.marginBid : result.marginAsk;
+            if (margin === null) return -Infinity;
+            return rankBy === 'perAction' ? margin / result.actions : margin;
+        };
+        return [...results].sort((a, b) => score(b) - score(a) || a.item.name.localeCompare(b.item.name));
+    }
+}
 
-    try {
-        // Fetch market data if not already loaded
-        if (marketViewer.items.length === 0) {
-            await marketViewer.fetchMarketData();
-        }
+const profitabilityCalculator = new ProfitabilityCalculator(craftingPlanner.recipeBook);
 
-        const tags = marketViewer.getAvailableTags();
+// Shopping List Optimizer
+// Fills a list of items to buy from every sell order on the market, either as cheaply as possible
+// or visiting as few claims as possible, optionally restricted to a single region
+const SHOPPING_LIST_KEY = 'shoppingList';
 
-        // Find and replace inventory display section
-        const inventoryDisplay = document.querySelector('.inventory-display');
+class ShoppingListOptimizer {
+    constructor() {
+        this.lines = this.load(); // [{ name, quantity }]
+        this.needs = null; // Last loaded lines with their market item and sell orders
+    }
 
-        if (inventoryDisplay && !document.querySelector('.market-controls')) {
-            inventoryDisplay.outerHTML = `
-                <section class="market-controls">
-                    <div class="controls-header" data-collapse-target="market-controls">
-                        <div style="display: flex; align-items: center;">
-                            <h2>Market Filters</h2>
-                        </div>
-                        <div class="stats-inline">
-                            <div class="stat-inline">
-                                <span class="stat-value" id="market-stat-total">0</span>
-                                <span class="stat-label">Total</span>
-                            </div>
-                            <div class="stat-inline">
-                                <span class="stat-value" id="market-stat-filtered">0</span>
-                                <span class="stat-label">Filtered</span>
-                            </div>
-                            <div class="stat-inline">
-                                <span class="stat-value" id="market-stat-available">0</span>
-                                <span class="stat-label">Available</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="tag-filter-section">
-                        <div class="tag-filter-header">
-                            <label>Item Types:</label>
-                            <div class="tag-filter-actions">
-                                <button type="button" id="select-all-tags" class="tag-action-btn">Select All</button>
-                                <button type="button" id="clear-all-tags" class="tag-action-btn">Clear All</button>
-                            </div>
-                        </div>
-                        <div id="tag-filter-container" class="tag-pill-container"></div>
-                    </div>
-                    <div class="controls-row">
-                        <div class="control-group">
-                            <label>Rarity (or above):</label>
-                            <select id="market-rarity-filter">
-                                <option value="all">All Rarities</option>
-                                <option value="Common">Common+</option>
-                                <option value="Uncommon">Uncommon+</option>
-                                <option value="Rare">Rare+</option>
-                                <option value="Epic">Epic+</option>
-                                <option value="Legendary">Legendary+</option>
-                                <option value="Mythic">Mythic</option>
-                            </select>
-                        </div>
-                        <div class="control-group">
-                            <label>Sort By:</label>
-                            <select id="market-sort-by">
-                                <option value="name">Name</option>
-                                <option value="tier">Tier</option>
-                                <option value="rarity">Rarity</option>
-                                <option value="price">Lowest Sell</option>
-                                <option value="quantity">Available</option>
-                                <option value="seller">Seller</option>
-                                <option value="region">Region</option>
-                            </select>
-                        </div>
-                        <div class="control-group">
-                            <label>Order:</label>
-                            <select id="market-sort-order">
-                                <option value="asc">Ascending</option>
-                                <option value="desc">Descending</option>
-                            </select>
-                        </div>
-                        <div class="control-group">
-                            <label>Search:</label>
-                            <input type="text" id="market-search" placeholder="Search items...">
-                        </div>
-                        <div class="control-group">
-                            <label>Region:</label>
-                            <input type="text" id="market-region-filter" placeholder="Filter by region...">
-                        </div>
-                        <div class="control-group">
-                            <label>Seller:</label>
-                            <input type="text" id="market-seller-filter" placeholder="Filter by seller...">
-                        </div>
-                    </div>
-                </section>
-                <section class="inventory-display">
-                    <div id="market-content"></div>
-                </section>
-            `;
+    load() {
+        try {
+            const lines = JSON.parse(localStorage.getItem(SHOPPING_LIST_KEY));
+            return Array.isArray(lines) ? lines : [];
+        } catch (error) {
+            console.error('Error reading shopping list:', error);
+            return [];
         }
+    }
 
-        // Render tag filter checkboxes
-        renderTagFilters(tags);
+    // Parse "100 Rough Plank", "100 x Rough Plank" or "Rough Plank, 100" lines
+    parse(text) {
+        const lines = [];
+        const invalid = [];
+        for (const raw of text.split('\n').map(line => line.trim()).filter(Boolean)) {
+            const match = raw.match(/^(\d+)\s*x?\s+(.+)$/i) || raw.match(/^(.+?)\s*[,;:]\s*(\d+)$/);
+            if (!match) {
+                invalid.push(raw);
+                continue;
+            }
+            const [quantity, name] = /^\d+$/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+            if (!(parseInt(quantity) > 0)) continue;
 
-        // Setup event listeners
-        setupMarketEventListeners();
+            // Repeated items are combined so their orders aren't counted twice
+            const existing = lines.find(line => line.name.toLowerCase() === name.trim().toLowerCase());
+            if (existing) existing.quantity += parseInt(quantity);
+            else lines.push({ name: name.trim(), quantity: parseInt(quantity) });
+        }
+        return { lines, invalid };
+    }
 
-        // Initial render
-        renderMarketTable();
+    setLines(lines) {
+        this.lines = lines;
+        localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(lines));
+    }
 
-    } catch (error) {
-        const inventoryDisplay = document.querySelector('.inventory-display') || document.querySelector('.market-filters');
-        if (inventoryDisplay) {
-            inventoryDisplay.innerHTML = `<p class="error-message">Error loading market data: ${error.message}</p>`;
-        }
-    } finally {
-        document.getElementById('loading-overlay').classList.add('hidden');
+    toText() {
+        return this.lines.map(line => `${line.quantity} ${line.name}`).join('\n');
     }
-}
 
-// Player Market View Rendering
-async function renderPlayerMarketView() {
-    const inventoryDisplay = document.querySelector('.inventory-display');
+    // Look up each line in the market catalog and fetch its sell orders
+    async loadOrders() {
+        const signal = apiClient.viewSignal;
+        this.needs = await Promise.all(this.lines.map(async (line) => {
+            const name = line.name.toLowerCase();
+            const item = marketViewer.items.find(i => i.name.toLowerCase() === name && i.hasSell) ||
+                         marketViewer.items.find(i => i.name.toLowerCase() === name);
+            if (!item) {
+                return { ...line, item: null, orders: [] };
+            }
 
-    if (!inventoryDisplay) {
-        console.error('Inventory display section not found');
-        return;
+            const book = await marketViewer.fetchOrderBook(item.id, marketViewer.normalizeItemType(item.itemType), signal);
+            return { ...line, item, orders: book.sellOrders.filter(order => order.quantity > 0) };
+        }));
+        return this.needs;
     }
 
-    // Check if player-market content already exists
-    const existingMarketContent = document.getElementById('player-market-content');
+    getRegions() {
+        const regions = new Map();
+        for (const need of this.needs || []) {
+            for (const order of need.orders) {
+                if (order.regionName) regions.set(String(order.regionId ?? order.regionName), order.regionName);
+            }
+        }
+        return Array.from(regions.entries()).sort((a, b) => a[1].localeCompare(b[1]));
+    }
 
-    // Only replace content if it doesn't exist or if there's no selected player
-    if (!existingMarketContent) {
-        // Replace content with player market view
-        inventoryDisplay.innerHTML = `
-            <div id="player-market-content" style="background: var(--bg-secondary); padding: 1rem; border-radius: 12px; border: 1px solid var(--border-subtle); box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);">
-                <p style="text-align: center; color: var(--text-muted); padding: 2rem;">
-                    Select a player from above to view their market orders.
-                </p>
-            </div>
-        `;
+    claimKey(order) {
+        return [order.claimName, order.regionId, order.claimLocationX, order.claimLocationZ].join('|');
     }
 
-    // Check URL for player parameter (from bookmark)
-    const urlParams = new URLSearchParams(window.location.search);
-    let urlPlayerIds = [];
+    // options: { region: 'any' | 'auto' | regionKey, minimizeClaims }
+    optimize(options) {
+        if (options.region === 'auto') {
+            // Try every region and keep the one that fills the most, then costs the least
+            const candidates = this.getRegions().map(([key]) => this.optimize({ ...options, region: key }));
+            candidates.sort((a, b) => b.filled - a.filled || a.totalCost - b.totalCost || a.claims.length - b.claims.length);
+            return candidates[0] || this.optimize({ ...options, region: 'any' });
+        }
 
-    // Check for 'player' (singular) parameter
-    const playerParam = urlParams.get('player');
-    if (playerParam) {
-        urlPlayerIds.push(playerParam);
+        const needs = (this.needs || []).map(need => ({
+            ...need,
+            orders: options.region === 'any'
+                ? need.orders
+                : need.orders.filter(order => String(order.regionId ?? order.regionName) === options.region)
+        }));
+
+        const picks = options.minimizeClaims ? this.fillFewestClaims(needs) : this.fillCheapest(needs);
+        const result = this.summarize(needs, picks);
+        result.region = options.region;
+
+        // Show what visiting fewer claims costs compared to the cheapest fill
+        if (options.minimizeClaims) {
+            result.cheapestCost = this.summarize(needs, this.fillCheapest(needs)).totalCost;
+        }
+        return result;
     }
 
-    // Also check for 'players' (plural) parameter used by inventory view
-    const playersParam = urlParams.get('players');
-    if (playersParam) {
-        urlPlayerIds = playersParam.split(',').map(id => id.trim()).filter(id => id);
+    // Cheapest orders first for each item
+    fillCheapest(needs) {
+        const picks = [];
+        for (const need of needs) {
+            let remaining = need.quantity;
+            for (const order of [...need.orders].sort((a, b) => a.price - b.price)) {
+                if (remaining <= 0) break;
+                const quantity = Math.min(remaining, order.quantity);
+                picks.push({ need, order, quantity });
+                remaining -= quantity;
+            }
+        }
+        return picks;
     }
 
-    // If URL has player IDs, load them
-    if (urlPlayerIds.length > 0) {
-        document.getElementById('loading-overlay').classList.remove('hidden');
+    // Greedy set cover: repeatedly visit the claim that covers the most outstanding units
+    // (ties go to the cheaper claim), buying its cheapest orders first
+    fillFewestClaims(needs) {
+        const remaining = new Map(needs.map(need => [need, need.quantity]));
+        const claims = new Map(); // claimKey -> [{ need, order }]
+        for (const need of needs) {
+            for (const order of need.orders) {
+                const key = this.claimKey(order);
+                if (!claims.has(key)) claims.set(key, []);
+                claims.get(key).push({ need, order });
+            }
+        }
 
-        // Load all players from URL
-        for (const playerId of urlPlayerIds) {
-            if (!viewer.players.has(playerId)) {
-                try {
-                    const response = await fetch(`${API_BASE}/players/${playerId}/__data.json?x-sveltekit-invalidated=01`);
-                    const data = await response.json();
-                    const playerData = data.player;
-
-                    if (playerData) {
-                        const username = playerData.character?.name || 'Unknown Player';
-                        const items = await viewer.fetchPlayerInventory(playerId);
-                        viewer.players.set(playerId, { username, items });
-                    }
-                } catch (error) {
-                    console.error('Error loading player from URL:', error);
+        const takeFromClaim = (entries, commit) => {
+            const left = new Map(remaining);
+            const taken = [];
+            for (const { need, order } of [...entries].sort((a, b) => a.order.price - b.order.price)) {
+                const quantity = Math.min(left.get(need), order.quantity);
+                if (quantity <= 0) continue;
+                left.set(need, left.get(need) - quantity);
+                taken.push({ need, order, quantity });
+            }
+            if (commit) {
+                for (const [need, quantity] of left) remaining.set(need, quantity);
+            }
+            return taken;
+        };
+
+        const picks = [];
+        while (claims.size > 0 && Array.from(remaining.values()).some(quantity => quantity > 0)) {
+            let best = null;
+            for (const [key, entries] of claims) {
+                const taken = takeFromClaim(entries, false);
+                const units = taken.reduce((sum, pick) => sum + pick.quantity, 0);
+                const cost = taken.reduce((sum, pick) => sum + pick.quantity * pick.order.price, 0);
+                if (units > 0 && (!best || units > best.units || (units === best.units && cost < best.cost))) {
+                    best = { key, units, cost };
                 }
             }
+            if (!best) break;
+
+            picks.push(...takeFromClaim(claims.get(best.key), true));
+            claims.delete(best.key);
+        }
+        return picks;
+    }
+
+    // Group picks into a per-claim pickup list
+    summarize(needs, picks) {
+        const claims = new Map();
+        for (const pick of picks) {
+            const key = this.claimKey(pick.order);
+            if (!claims.has(key)) {
+                claims.set(key, {
+                    claimName: pick.order.claimName || 'Unknown claim',
+                    regionName: pick.order.regionName,
+                    regionId: pick.order.regionId,
+                    x: pick.order.claimLocationX,
+                    z: pick.order.claimLocationZ,
+                    picks: [],
+                    subtotal: 0
+                });
+            }
+            const claim = claims.get(key);
+            claim.picks.push(pick);
+            claim.subtotal += pick.quantity * pick.order.price;
         }
 
-        viewer.renderPlayerList();
+        const bought = new Map();
+        for (const pick of picks) bought.set(pick.need, (bought.get(pick.need) || 0) + pick.quantity);
 
-        // Load market data for the first player
-        await loadPlayerMarketData(urlPlayerIds[0]);
+        const unfilled = needs
+            .map(need => ({ name: need.item?.name || need.name, missing: need.quantity - (bought.get(need) || 0), unknown: !need.item }))
+            .filter(entry => entry.missing > 0);
 
-        document.getElementById('loading-overlay').classList.add('hidden');
-    } else if (viewer.players.size > 0 && !playerMarketViewer.selectedPlayer) {
-        // No URL parameter, but players are loaded - load the first one
-        const firstPlayerId = viewer.players.keys().next().value;
-        await loadPlayerMarketData(firstPlayerId);
-    } else if (viewer.players.size > 0 && playerMarketViewer.selectedPlayer) {
-        // If a player is already selected, re-render their data
-        await loadPlayerMarketData(playerMarketViewer.selectedPlayer.id);
+        return {
+            claims: Array.from(claims.values()).sort((a, b) => b.subtotal - a.subtotal),
+            totalCost: picks.reduce((sum, pick) => sum + pick.quantity * pick.order.price, 0),
+            filled: picks.reduce((sum, pick) => sum + pick.quantity, 0),
+            unfilled
+        };
     }
 }
 
-async function loadPlayerMarketData(playerId) {
-    document.getElementById('loading-overlay').classList.remove('hidden');
+const shoppingListOptimizer = new ShoppingListOptimizer();
+
+// Package Registry
+// Resolves what a package unpacks into. Sources, highest priority first:
+// user overrides (localStorage), definitions derived from the package's crafting recipe,
+// then the built-in PACKAGE_CONTENTS suffix table.
+const PACKAGE_OVERRIDES_KEY = 'packageOverrides';
+const PACKAGE_DERIVED_KEY = 'packageDerived';
+
+class PackageRegistry {
+    constructor(recipeBook) {
+        this.recipeBook = recipeBook;
+        this.overrides = this.loadDefinitions(PACKAGE_OVERRIDES_KEY); // packageName -> { baseItemName, quantityPer }
+        this.derived = this.loadDefinitions(PACKAGE_DERIVED_KEY);
+        this.attempted = new Set(); // Package names we've tried to derive this session
+    }
 
-    try {
-        // Fetch player market data - this also sets playerMarketViewer.selectedPlayer
-        await playerMarketViewer.fetchPlayerMarketData(playerId);
+    loadDefinitions(storageKey) {
+        try {
+            return new Map(Object.entries(JSON.parse(localStorage.getItem(storageKey)) || {}));
+        } catch (error) {
+            console.error(`Error reading ${storageKey}:`, error);
+            return new Map();
+        }
+    }
 
-        // Update player list to show selected state
-        viewer.renderPlayerList();
+    saveDefinitions(storageKey, definitions) {
+        localStorage.setItem(storageKey, JSON.stringify(Object.fromEntries(definitions)));
+    }
 
-        // Render the market orders
-        renderPlayerMarketOrders();
-    } catch (error) {
-        console.error('Error loading player market data:', error);
-        const content = document.getElementById('player-market-content');
-        if (content) {
-            content.innerHTML = `<p class="error-message">Error loading market data: ${error.message}</p>`;
+    // Returns { isPackage: true, baseItemName, quantityPer, source } when the contents are known,
+    // { isPackage: false, unresolved: true } for a package we can't expand, or { isPackage: false }
+    resolve(itemName) {
+        const override = this.overrides.get(itemName);
+        if (override) {
+            return { isPackage: true, ...override, source: 'override' };
         }
-    } finally {
-        document.getElementById('loading-overlay').classList.add('hidden');
-    }
-}
 
-function renderPlayerMarketOrders() {
-    const content = document.getElementById('player-market-content');
-    if (!content) return;
+        if (!itemName.endsWith(' Package')) {
+            return { isPackage: false };
+        }
 
-    const player = playerMarketViewer.selectedPlayer;
-    const sellOrders = playerMarketViewer.getSortedSellOrders();
-    const buyOrders = playerMarketViewer.getSortedBuyOrders();
+        const derived = this.derived.get(itemName);
+        if (derived) {
+            return { isPackage: true, ...derived, source: 'derived' };
+        }
 
-    content.innerHTML = `
-        <div style="margin-bottom: 1.5rem;">
-            <h2 style="font-size: 1rem; font-weight: 600; color: var(--text-primary); margin-bottom: 1rem;">
-                Market Orders for ${escapeHtml(player.username)}
-            </h2>
-        </div>
+        // Find which package type this matches
+        for (const [packageSuffix, quantity] of Object.entries(PACKAGE_CONTENTS)) {
+            if (itemName.endsWith(packageSuffix)) {
+                return {
+                    isPackage: true,
+                    baseItemName: itemName.slice(0, -8), // Remove " Package"
+                    quantityPer: quantity,
+                    source: 'default'
+                };
+            }
+        }
 
-        <!-- Sell Orders Section -->
-        <div style="margin-bottom: 2rem;">
-            <div class="section-header" style="margin-bottom: 0.75rem;">
-                <h3 style="font-size: 0.875rem; font-weight: 600; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em; margin: 0;">
-                    Sell Orders (${playerMarketViewer.sellOrders.length})
-                </h3>
-            </div>
-            ${playerMarketViewer.sellOrders.length > 0 ? renderOrdersTable(sellOrders, 'sell') : '<p style="color: var(--text-muted); padding: 1rem; text-align: center;">No sell orders</p>'}
-        </div>
+        return { isPackage: false, unresolved: true };
+    }
 
-        <!-- Buy Orders Section -->
-        <div>
-            <div class="section-header" style="margin-bottom: 0.75rem;">
-                <h3 style="font-size: 0.875rem; font-weight: 600; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em; margin: 0;">
-                    Buy Orders (${playerMarketViewer.buyOrders.length})
-                </h3>
-            </div>
-            ${playerMarketViewer.buyOrders.length > 0 ? renderOrdersTable(buyOrders, 'buy') : '<p style="color: var(--text-muted); padding: 1rem; text-align: center;">No buy orders</p>'}
-        </div>
-    `;
+    // Package names in the given items whose contents are unknown
+    getUnresolved(items) {
+        const names = new Set();
+        for (const item of items) {
+            if (!item.fromPackage && this.resolve(item.name).unresolved) {
+                names.add(item.name);
+            }
+        }
+        return Array.from(names).sort((a, b) => a.localeCompare(b));
+    }
 
-    // Setup sort handlers after rendering
-    setupPlayerMarketSortHandlers();
-}
+    // Look up packing recipes for packages that aren't derived yet
+    // A packing recipe consumes a single stack of the base item and produces the package.
+    // Returns true if any new definitions were found.
+    async deriveFromRecipes(items) {
+        const pending = new Map();
+        for (const item of items) {
+            if (item.fromPackage || !item.itemId || !item.name.endsWith(' Package')) continue;
+            if (this.overrides.has(item.name) || this.derived.has(item.name) || this.attempted.has(item.name)) continue;
+            pending.set(item.name, item);
+        }
 
-function renderOrdersTable(orders, type) {
-    const sortState = type === 'sell' ? playerMarketViewer.sellOrdersSort : playerMarketViewer.buyOrdersSort;
-    const isSellOrders = type === 'sell';
+        if (pending.size === 0) return false;
 
-    const getSortIndicator = (column) => {
-        if (sortState.column === column) {
-            return sortState.direction === 'asc' ? ' ▲' : ' ▼';
+        let changed = false;
+        await Promise.all(Array.from(pending.values()).map(async (item) => {
+            this.attempted.add(item.name);
+            try {
+                const entry = await this.recipeBook.getEntry(item.itemId, item.itemType || 'item');
+                for (const recipe of entry.recipes) {
+                    const output = recipe.outputs.find(o => o.id === entry.id && o.type === entry.type);
+                    if (recipe.inputs.length !== 1 || !output) continue;
+
+                    const input = recipe.inputs[0];
+                    const inputEntry = await this.recipeBook.getEntry(input.id, input.type);
+                    const quantityPer = input.quantity / output.quantity;
+                    if (!inputEntry.name || !Number.isInteger(quantityPer) || quantityPer < 1) continue;
+
+                    this.derived.set(item.name, { baseItemName: inputEntry.name, quantityPer });
+                    changed = true;
+                    break;
+                }
+            } catch (error) {
+                console.error(`Error deriving package contents for ${item.name}:`, error);
+            }
+        }));
+
+        if (changed) {
+            this.saveDefinitions(PACKAGE_DERIVED_KEY, this.derived);
         }
-        return '';
-    };
+        return changed;
+    }
 
-    return `
-        <table class="inventory-table">
-            <thead>
-                <tr>
-                    <th class="sortable-header" data-sort="itemName" data-type="${type}" style="cursor: pointer;">Item${getSortIndicator('itemName')}</th>
-                    <th class="sortable-header" data-sort="itemTier" data-type="${type}" style="cursor: pointer;">Tier${getSortIndicator('itemTier')}</th>
-                    <th class="sortable-header" data-sort="itemRarity" data-type="${type}" style="cursor: pointer;">Rarity${getSortIndicator('itemRarity')}</th>
-                    <th class="sortable-header" data-sort="quantity" data-type="${type}" style="cursor: pointer;">Quantity${getSortIndicator('quantity')}</th>
-                    <th class="sortable-header" data-sort="price" data-type="${type}" style="cursor: pointer;">Price${getSortIndicator('price')}</th>
-                    <th class="sortable-header" data-sort="totalValue" data-type="${type}" style="cursor: pointer;">Total Value${getSortIndicator('totalValue')}</th>
-                    ${isSellOrders ? '<th>Cheapest?</th>' : ''}
-                    <th class="sortable-header" data-sort="claimName" data-type="${type}" style="cursor: pointer;">Location${getSortIndicator('claimName')}</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${orders.map(order => {
-                    const rarity = (order.itemRarity || 'common').toLowerCase();
-                    const cheapestIndicator = isSellOrders && order.isCheapest !== null
-                        ? (order.isCheapest ? '<span style="color: #22c55e; font-weight: 600;">✓</span>' : '<span style="color: var(--text-muted);">✗</span>')
-                        : (isSellOrders ? '<span style="color: var(--text-muted);">...</span>' : '');
+    setOverride(packageName, baseItemName, quantityPer) {
+        this.overrides.set(packageName, { baseItemName, quantityPer });
+        this.saveDefinitions(PACKAGE_OVERRIDES_KEY, this.overrides);
+    }
 
-                    return `
-                        <tr class="rarity-row-${rarity} ${isSellOrders ? 'market-row-clickable' : ''}"
-                            ${isSellOrders ? `onclick="showMarketDetails('${order.itemId}')" style="cursor: pointer;"` : ''}>
-                            <td class="item-name">${escapeHtml(order.itemName)}</td>
-                            <td><span class="tier-badge">T${order.itemTier}</span></td>
-                            <td><span class="rarity-${rarity}">${order.itemRarity || 'Common'}</span></td>
-                            <td>${order.quantity.toLocaleString()}</td>
-                            <td>${order.price.toLocaleString()}</td>
-                            <td style="font-weight: 500;">${(order.quantity * order.price).toLocaleString()}</td>
-                            ${isSellOrders ? `<td style="text-align: center;">${cheapestIndicator}</td>` : ''}
-                            <td>${order.claimName ? `<span style="font-weight: 500;">${escapeHtml(order.claimName)}</span>${order.regionName ? `<span style="font-size: 0.75rem; color: var(--text-muted);"> - ${escapeHtml(order.regionName)}</span>` : ''}` : 'N/A'}</td>
-                        </tr>
-                    `;
-                }).join('')}
-            </tbody>
-        </table>
-    `;
-}
+    removeOverride(packageName) {
+        this.overrides.delete(packageName);
+        this.saveDefinitions(PACKAGE_OVERRIDES_KEY, this.overrides);
+    }
 
-function setupPlayerMarketSortHandlers() {
-    document.querySelectorAll('.sortable-header').forEach(header => {
-        header.addEventListener('click', () => {
-            const column = header.dataset.sort;
-            const type = header.dataset.type;
-            const sortState = type === 'sell' ? playerMarketViewer.sellOrdersSort : playerMarketViewer.buyOrdersSort;
+    exportOverrides() {
+        return JSON.stringify(Object.fromEntries(this.overrides), null, 2);
+    }
 
-            // Toggle direction if same column, otherwise reset to ascending
-            if (sortState.column === column) {
-                sortState.direction = sortState.direction === 'asc' ? 'desc' : 'asc';
-            } else {
-                sortState.column = column;
-                sortState.direction = 'asc';
-            }
+    // Merge overrides from exported JSON; returns the number imported
+    // Every definition is checked before any is applied, so a bad file leaves the overrides unchanged
+    importOverrides(json) {
+        const parsed = JSON.parse(json);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('Expected an object of package definitions');
+        }
 
-            // Re-render the orders
-            renderPlayerMarketOrders();
+        const imported = Object.entries(parsed).map(([packageName, definition]) => {
+            const quantityPer = parseInt(definition?.quantityPer);
+            if (!definition?.baseItemName || !(quantityPer > 0)) {
+                throw new Error(`Invalid definition for "${packageName}"`);
+            }
+            return [packageName, { baseItemName: String(definition.baseItemName), quantityPer }];
         });
-    });
+
+        for (const [packageName, definition] of imported) {
+            this.overrides.set(packageName, definition);
+        }
+
+        this.saveDefinitions(PACKAGE_OVERRIDES_KEY, this.overrides);
+        return imported.length;
+    }
 }
 
-// Market Details Modal
-async function showMarketDetails(itemId) {
-    // Show loading overlay
-    document.getElementById('loading-overlay').classList.remove('hidden');
+const packageRegistry = new PackageRegistry(craftingPlanner.recipeBook);
 
-    try {
-        const playerOrder = playerMarketViewer.sellOrders.find(o => o.itemId === itemId);
+// Stock Rules
+// Target stock levels for the pooled inventory of all players. A rule matches items by any
+// combination of name, tier and tag, and compares the combined count of everything it matches
+// against its minimum and maximum.
+const STOCK_RULES_KEY = 'stockRules';
+const STOCK_NOTIFY_KEY = 'stockNotify';
 
-        if (!playerOrder) {
-            throw new Error('Player order not found');
+class StockRules {
+    constructor() {
+        this.rules = this.load(); // [{ id, name, tier, tag, min, max }]
+        this.notify = localStorage.getItem(STOCK_NOTIFY_KEY) === 'true';
+    }
+
+    load() {
+        try {
+            const rules = JSON.parse(localStorage.getItem(STOCK_RULES_KEY));
+            return Array.isArray(rules) ? rules : [];
+        } catch (error) {
+            console.error('Error reading stock rules:', error);
+            return [];
         }
+    }
 
-        const marketData = await playerMarketViewer.fetchMarketDetailsForItem(itemId, playerOrder.itemTag);
+    save() {
+        localStorage.setItem(STOCK_RULES_KEY, JSON.stringify(this.rules));
+    }
 
-        // Get all sell orders sorted by price
-        const allSellOrders = (marketData.sellOrders || []).map(order => ({
-            ...order,
-            price: parseInt(order.priceThreshold) || 0,
-            quantity: parseInt(order.quantity) || 0,
-            claimName: order.claimName || '',
-            regionName: order.regionName || '',
-            isPlayer: order.ownerEntityId === playerMarketViewer.selectedPlayer?.id
-        })).sort((a, b) => a.price - b.price);
+    addRule({ name = null, tier = null, tag = null, min = null, max = null }) {
+        if (!name && tier === null && !tag) {
+            throw new Error('A rule needs an item name, tier or tag');
+        }
+        if (min === null && max === null) {
+            throw new Error('A rule needs a minimum or maximum');
+        }
+        if (min !== null && max !== null && max < min) {
+            throw new Error('Maximum must be at least the minimum');
+        }
 
-        const playerPrice = playerOrder.price;
+        const rule = { id: Date.now().toString(36), name, tier, tag, min, max };
+        this.rules.push(rule);
+        this.save();
+        return rule;
+    }
 
-        // Separate into cheaper, same price, and more expensive
-        const cheaperOrders = allSellOrders
-            .filter(o => o.price < playerPrice)
-            .slice(-5); // Take last 5 (closest to player's price)
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.save();
+    }
 
-        const samePriceOrders = allSellOrders
-            .filter(o => o.price === playerPrice && !o.isPlayer);
+    setNotify(enabled) {
+        this.notify = enabled;
+        localStorage.setItem(STOCK_NOTIFY_KEY, enabled);
+    }
 
-        const moreExpensiveOrders = allSellOrders
-            .filter(o => o.price > playerPrice)
-            .slice(0, 5); // Take first 5 (closest to player's price)
+    matches(rule, item) {
+        if (rule.name && item.name.toLowerCase() !== rule.name.toLowerCase()) return false;
+        if (rule.tier !== null && item.tier !== rule.tier) return false;
+        if (rule.tag && (item.tag || '').toLowerCase() !== rule.tag.toLowerCase()) return false;
+        return true;
+    }
 
-        // Render the modal
-        renderMarketDetailsModal(marketData.item, playerOrder, cheaperOrders, samePriceOrders, moreExpensiveOrders);
-    } catch (error) {
-        console.error('Error loading market details:', error);
-        alert(`Failed to load market details: ${error.message}`);
-    } finally {
-        document.getElementById('loading-overlay').classList.add('hidden');
+    describe(rule) {
+        const parts = [];
+        if (rule.tier !== null) parts.push(`T${rule.tier}`);
+        if (rule.name) parts.push(rule.name);
+        if (rule.tag) parts.push(rule.name ? `(${rule.tag})` : `${rule.tag} (any)`);
+        return parts.join(' ');
     }
-}
 
-function renderMarketDetailsModal(item, playerOrder, cheaperOrders, samePriceOrders, moreExpensiveOrders) {
-    // Create modal if it doesn't exist
-    let modal = document.getElementById('market-details-modal');
-    if (!modal) {
-        modal = document.createElement('div');
-        modal.id = 'market-details-modal';
-        modal.className = 'modal';
-        document.body.appendChild(modal);
+    // Check every rule against pooled items
+    // Returns [{ rule, label, current, status: 'missing' | 'low' | 'over' | 'ok', need }]
+    // where need is how many to gather to get back up to the maximum (or minimum if no maximum)
+    evaluate(items) {
+        return this.rules.map(rule => {
+            const current = items
+                .filter(item => this.matches(rule, item))
+                .reduce((sum, item) => sum + item.count, 0);
+
+            let status = 'ok';
+            if (rule.min !== null && current < rule.min) {
+                status = current === 0 ? 'missing' : 'low';
+            } else if (rule.max !== null && current > rule.max) {
+                status = 'over';
+            }
+
+            const target = rule.max ?? rule.min;
+            const need = status === 'missing' || status === 'low' ? target - current : 0;
+
+            return { rule, label: this.describe(rule), current, status, need };
+        });
     }
+}
 
-    modal.innerHTML = `
-        <div class="modal-content" onclick="event.stopPropagation()">
-            <div class="modal-header">
-                <h3>${escapeHtml(playerOrder.itemName)} - Market Comparison</h3>
-                <button class="modal-close" onclick="closeMarketDetailsModal()">&times;</button>
-            </div>
-            <div class="modal-body">
-                <div class="market-section-label player-section">Your Order</div>
-                <div class="market-order player-order">
-                    <div class="market-order-seller">You</div>
-                    <div class="market-order-quantity">Qty: ${playerOrder.quantity.toLocaleString()}</div>
-                    <div class="market-order-price">${playerOrder.price.toLocaleString()}</div>
-                    <div class="market-order-location">${playerOrder.claimName ? `<span style="font-weight: 500;">${escapeHtml(playerOrder.claimName)}</span>${playerOrder.regionName ? `<span style="color: var(--text-muted);"> - ${escapeHtml(playerOrder.regionName)}</span>` : ''}` : 'N/A'}</div>
-                </div>
+const stockRules = new StockRules();
 
-                ${samePriceOrders.length > 0 ? `
-                    <div class="market-section-label" style="margin-top: 1rem; color: var(--warning);">Same Price (${samePriceOrders.length})</div>
-                    ${samePriceOrders.map(order => `
-                        <div class="market-order" style="border-left: 3px solid var(--warning);">
-                            <div class="market-order-seller">${escapeHtml(order.ownerUsername || 'Unknown')}</div>
-                            <div class="market-order-quantity">Qty: ${order.quantity.toLocaleString()}</div>
-                            <div class="market-order-price" style="color: var(--warning);">${order.price.toLocaleString()}</div>
-                            <div class="market-order-location">${order.claimName ? `<span style="font-weight: 500;">${escapeHtml(order.claimName)}</span>${order.regionName ? `<span style="color: var(--text-muted);"> - ${escapeHtml(order.regionName)}</span>` : ''}` : 'N/A'}</div>
-                        </div>
-                    `).join('')}
-                ` : ''}
+// Undercut Monitor
+// Periodically re-checks every sell order of the tracked players against the item's full order
+// book and records an alert whenever an order that was the cheapest listing no longer is.
+const UNDERCUT_SETTINGS_KEY = 'undercutSettings';
+const UNDERCUT_ALERTS_KEY = 'undercutAlerts';
+const UNDERCUT_STATUS_KEY = 'undercutStatus';
+const UNDERCUT_MAX_ALERTS = 200;
 
-                ${cheaperOrders.length > 0 ? `
-                    <div class="market-section-label cheaper-section" style="margin-top: 1rem;">Cheaper Orders (${cheaperOrders.length})</div>
-                    ${cheaperOrders.map(order => `
-                        <div class="market-order cheaper">
-                            <div class="market-order-seller">${escapeHtml(order.ownerUsername || 'Unknown')}</div>
-                            <div class="market-order-quantity">Qty: ${order.quantity.toLocaleString()}</div>
-                            <div class="market-order-price">${order.price.toLocaleString()}</div>
-                            <div class="market-order-location">${order.claimName ? `<span style="font-weight: 500;">${escapeHtml(order.claimName)}</span>${order.regionName ? `<span style="color: var(--text-muted);"> - ${escapeHtml(order.regionName)}</span>` : ''}` : 'N/A'}</div>
-                        </div>
-                    `).join('')}
-                ` : '<p style="color: var(--success); font-size: 0.75rem; margin-top: 1rem; font-weight: 500;">✓ You have the cheapest price!</p>'}
+class UndercutMonitor {
+    constructor() {
+        this.settings = { enabled: false, intervalMinutes: 10, notify: false, lastSeen: 0, ...this.read(UNDERCUT_SETTINGS_KEY, {}) };
+        this.alerts = this.read(UNDERCUT_ALERTS_KEY, []); // Newest first
+        this.status = this.read(UNDERCUT_STATUS_KEY, {}); // playerId:orderId -> { price, isCheapest }
+        this.timer = null;
+        this.checking = false;
+        this.lastChecked = null;
+        this.onChange = () => {};
+    }
+
+    read(key, fallback) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return value ?? fallback;
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    save() {
+        localStorage.setItem(UNDERCUT_SETTINGS_KEY, JSON.stringify(this.settings));
+        localStorage.setItem(UNDERCUT_ALERTS_KEY, JSON.stringify(this.alerts));
+        localStorage.setItem(UNDERCUT_STATUS_KEY, JSON.stringify(this.status));
+    }
+
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.save();
+        this.schedule();
+    }
+
+    get unreadCount() {
+        return this.alerts.filter(alert => alert.time > this.settings.lastSeen).length;
+    }
+
+    markSeen() {
+        this.settings.lastSeen = Date.now();
+        this.save();
+        this.onChange();
+    }
+
+    clearAlerts() {
+        this.alerts = [];
+        this.save();
+        this.onChange();
+    }
+
+    // (Re)start the interval timer from the current settings
+    schedule() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.settings.enabled) {
+            this.timer = setInterval(() => {
+                this.check().catch(error => console.error('Undercut check failed:', error));
+            }, this.settings.intervalMinutes * 60 * 1000);
+        }
+    }
+
+    // Check every tracked player's sell orders; returns the alerts raised by this check
+    async check() {
+        if (this.checking) return [];
+        this.checking = true;
+
+        const raised = [];
+        const seen = new Set();
+
+        try {
+            for (const [playerId, player] of viewer.players) {
+                let orders;
+                try {
+                    ({ sellOrders: orders } = await playerMarketViewer.fetchPlayerOrders(playerId));
+                } catch (error) {
+                    console.error(`Undercut check failed for ${player.username}:`, error);
+                    // Keep the previous status for this player rather than forgetting it
+                    Object.keys(this.status).filter(key => key.startsWith(`${playerId}:`)).forEach(key => seen.add(key));
+                    continue;
+                }
+
+                const itemIds = Array.from(new Set(orders.map(order => order.itemId)));
+                const books = new Map();
+                await Promise.all(itemIds.map(async (itemId) => {
+                    const order = orders.find(o => o.itemId === itemId);
+                    try {
+                        books.set(itemId, await marketViewer.fetchOrderBook(itemId, order.itemType));
+                    } catch (error) {
+                        console.error(`Undercut check failed for item ${itemId}:`, error);
+                    }
+                }));
+
+                for (const order of orders) {
+                    const key = `${playerId}:${order.entityId}`;
+                    const book = books.get(order.itemId);
+                    if (!book) {
+                        if (this.status[key]) seen.add(key);
+                        continue;
+                    }
+                    seen.add(key);
+
+                    // Cheapest competing order (ties with our price still count as cheapest)
+                    const competitor = book.sellOrders.find(o => o.ownerEntityId !== String(playerId));
+                    const isCheapest = !competitor || order.price <= competitor.price;
+                    const previous = this.status[key];
+
+                    if (previous?.isCheapest && !isCheapest) {
+                        raised.push({
+                            id: `${key}:${Date.now()}`,
+                            time: Date.now(),
+                            playerId,
+                            playerName: player.username,
+                            itemId: order.itemId,
+                            itemType: order.itemType,
+                            itemName: order.itemName,
+                            price: order.price,
+                            cheapestPrice: competitor.price,
+                            undercutBy: order.price - competitor.price,
+                            seller: competitor.seller || 'Unknown',
+                            regionName: competitor.regionName || ''
+                        });
+                    }
+
+                    this.status[key] = { price: order.price, isCheapest };
+                }
+            }
+
+            // Forget orders that were filled or cancelled
+            for (const key of Object.keys(this.status)) {
+                if (!seen.has(key)) delete this.status[key];
+            }
+
+            if (raised.length > 0) {
+                this.alerts = [...raised, ...this.alerts].slice(0, UNDERCUT_MAX_ALERTS);
+                this.notify(raised);
+            }
+            this.lastChecked = Date.now();
+            this.save();
+        } finally {
+            this.checking = false;
+            this.onChange();
+        }
+
+        return raised;
+    }
+
+    notify(alerts) {
+        if (!this.settings.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+
+        new Notification(`Bitcraft: ${alerts.length} order${alerts.length === 1 ? '' : 's'} undercut`, {
+            body: alerts.map(alert => `${alert.itemName} (${alert.playerName}): ${alert.seller} at ${alert.cheapestPrice.toLocaleString()}, ${alert.undercutBy.toLocaleString()} below ${alert.price.toLocaleString()}`).join('\n'),
+            tag: 'bitcraft-undercut'
+        });
+    }
+}
+
+const undercutMonitor = new UndercutMonitor();
+
+// Market Watchlist
+// Items the user keeps an eye on, each with optional price targets. Prices are refreshed on a
+// schedule and an alert is raised when the best sell drops below its target or the best buy
+// rises above it.
+const WATCHLIST_KEY = 'marketWatchlist';
+const WATCHLIST_SETTINGS_KEY = 'watchlistSettings';
+
+class Watchlist {
+    constructor() {
+        this.entries = this.read(WATCHLIST_KEY, []); // [{ itemId, itemType, name, sellBelow, buyAbove, hits: { sell, buy } }]
+        this.settings = { intervalMinutes: 5, notify: false, ...this.read(WATCHLIST_SETTINGS_KEY, {}) };
+        this.prices = new Map(); // itemType:itemId -> latest fetchItemPrice result
+        this.timer = null;
+        this.refreshing = false;
+        this.refreshAgain = false;
+        this.lastRefreshed = null;
+        this.onChange = () => {};
+    }
+
+    read(key, fallback) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return value ?? fallback;
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    save() {
+        localStorage.setItem(WATCHLIST_KEY, JSON.stringify(this.entries));
+        localStorage.setItem(WATCHLIST_SETTINGS_KEY, JSON.stringify(this.settings));
+    }
+
+    key(itemId, itemType) {
+        return `${itemType}:${itemId}`;
+    }
+
+    find(itemId, itemType) {
+        return this.entries.find(entry => entry.itemId === String(itemId) && entry.itemType === itemType);
+    }
+
+    add(itemId, itemType, name) {
+        if (this.find(itemId, itemType)) return;
+        this.entries.push({ itemId: String(itemId), itemType, name, sellBelow: null, buyAbove: null, hits: { sell: false, buy: false } });
+        this.save();
+        this.schedule();
+        this.onChange();
+    }
+
+    remove(itemId, itemType) {
+        this.entries = this.entries.filter(entry => entry !== this.find(itemId, itemType));
+        this.prices.delete(this.key(itemId, itemType));
+        this.save();
+        this.schedule();
+        this.onChange();
+    }
+
+    // field: 'sellBelow' or 'buyAbove'; an empty or non-positive value clears the target
+    setTarget(itemId, itemType, field, value) {
+        const entry = this.find(itemId, itemType);
+        if (!entry) return;
+        const target = parseFloat(value);
+        entry[field] = target > 0 ? target : null;
+
+        // Re-evaluate against the prices we already have, without notifying for the change
+        const price = this.prices.get(this.key(itemId, itemType));
+        if (price) entry.hits = this.getHits(entry, price);
+        this.save();
+        this.onChange();
+    }
+
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.save();
+        this.schedule();
+    }
+
+    getHits(entry, price) {
+        return {
+            sell: entry.sellBelow != null && price.price != null && price.price < entry.sellBelow,
+            buy: entry.buyAbove != null && price.bestBid != null && price.bestBid > entry.buyAbove
+        };
+    }
+
+    get hitCount() {
+        return this.entries.filter(entry => entry.hits.sell || entry.hits.buy).length;
+    }
+
+    // (Re)start the refresh timer; nothing runs while the watchlist is empty
+    schedule() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.entries.length > 0) {
+            this.timer = setInterval(() => this.refresh(), this.settings.intervalMinutes * 60 * 1000);
+        }
+    }
+
+    // Refresh every watched item; returns the targets newly hit by this refresh
+    async refresh() {
+        if (this.refreshing) {
+            // Items added mid-refresh are picked up by a follow-up run
+            this.refreshAgain = true;
+            return [];
+        }
+        this.refreshing = true;
+        this.refreshAgain = false;
+
+        const raised = [];
+        try {
+            await Promise.all(this.entries.map(async (entry) => {
+                // fetchItemPrice returns null on errors and empty books; keep the last known prices
+                const price = await marketViewer.fetchItemPrice(entry.itemId, entry.itemType);
+                if (!price) return;
+                this.prices.set(this.key(entry.itemId, entry.itemType), price);
+
+                // Only alert when a target becomes hit, not on every refresh while it stays hit
+                const hits = this.getHits(entry, price);
+                if (hits.sell && !entry.hits.sell) {
+                    raised.push({ name: entry.name, side: 'sell', price: price.price, target: entry.sellBelow });
+                }
+                if (hits.buy && !entry.hits.buy) {
+                    raised.push({ name: entry.name, side: 'buy', price: price.bestBid, target: entry.buyAbove });
+                }
+                entry.hits = hits;
+            }));
+
+            this.lastRefreshed = Date.now();
+            this.save();
+            if (raised.length > 0) this.notify(raised);
+        } finally {
+            this.refreshing = false;
+            this.onChange();
+        }
+
+        if (this.refreshAgain) this.refresh();
+        return raised;
+    }
+
+    notify(alerts) {
+        if (!this.settings.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+
+        new Notification(`Bitcraft: ${alerts.length} watchlist target${alerts.length === 1 ? '' : 's'} hit`, {
+            body: alerts.map(alert => alert.side === 'sell'
+                ? `${alert.name}: selling at ${alert.price.toLocaleString()} (below ${alert.target.toLocaleString()})`
+                : `${alert.name}: buy order at ${alert.price.toLocaleString()} (above ${alert.target.toLocaleString()})`).join('\n'),
+            tag: 'bitcraft-watchlist'
+        });
+    }
+}
+
+const watchlist = new Watchlist();
+
+// Price Suggestions
+// Suggests a sell price from the current ladder: beat the lowest competing order by a fixed
+// amount or match it, looking at every region or only the order's own region.
+const PRICE_SUGGESTION_KEY = 'priceSuggestionRules';
+
+class PriceSuggester {
+    constructor() {
+        this.rules = { strategy: 'beat', beatBy: 1, scope: 'all' };
+        try {
+            this.rules = { ...this.rules, ...JSON.parse(localStorage.getItem(PRICE_SUGGESTION_KEY)) };
+        } catch (error) {
+            console.error('Error reading price suggestion rules:', error);
+        }
+    }
+
+    setRules(changes) {
+        this.rules = { ...this.rules, ...changes };
+        localStorage.setItem(PRICE_SUGGESTION_KEY, JSON.stringify(this.rules));
+    }
+
+    describe() {
+        const scope = this.rules.scope === 'region' ? 'in the same region' : 'across all regions';
+        return this.rules.strategy === 'match'
+            ? `Match the lowest price ${scope}`
+            : `Beat the lowest price ${scope} by ${this.rules.beatBy}`;
+    }
+
+    // Suggest a price for a sell order (or a new listing when order.price is null)
+    // sellOrders: the item's parsed sell ladder, ownerId: orders from this owner aren't competition
+    // Returns { price, change, competitor, ahead, aheadAtSuggested }, where ahead is the number
+    // of competing units that sell before this order at its current price (same price counts as ahead)
+    suggest(sellOrders, order, ownerId = null) {
+        const competitors = sellOrders
+            .filter(o => !ownerId || o.ownerEntityId !== String(ownerId))
+            .filter(o => this.rules.scope !== 'region' || order.regionId == null || o.regionId === order.regionId)
+            .sort((a, b) => a.price - b.price);
+
+        const unitsAhead = (price) => price == null ? null : competitors
+            .filter(o => o.price <= price)
+            .reduce((sum, o) => sum + o.quantity, 0);
+
+        if (competitors.length === 0) {
+            return { price: order.price, change: 0, competitor: null, ahead: 0, aheadAtSuggested: 0 };
+        }
+
+        const competitor = competitors[0];
+        const price = this.rules.strategy === 'match'
+            ? competitor.price
+            : Math.max(1, competitor.price - this.rules.beatBy);
+
+        return {
+            price,
+            change: order.price != null ? price - order.price : null,
+            competitor,
+            ahead: unitsAhead(order.price),
+            aheadAtSuggested: unitsAhead(price)
+        };
+    }
+}
+
+const priceSuggester = new PriceSuggester();
+
+// View Navigation Setup
+function setupNavigation() {
+    const navLinks = document.querySelectorAll('.nav-link');
+
+    navLinks.forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const view = link.dataset.view;
+            switchView(view, true); // true = user clicked, clear params
+        });
+    });
+
+    // Load view from URL parameter
+    const urlParams = new URLSearchParams(window.location.search);
+    const viewParam = urlParams.get('view');
+    const validViews = ['inventory', 'market', 'player-market', 'profession-history', 'planner', 'profitability', 'shopping', 'watchlist'];
+    if (viewParam && validViews.includes(viewParam)) {
+        switchView(viewParam, false); // false = from URL, preserve params
+    }
+}
+
+// Layout for each view that replaces the inventory display:
+// showPlayers keeps the player list visible for views built from the tracked players' inventories,
+// keepMarketControls and keepProfessionCharts leave those in place for the view that owns them
+const VIEW_LAYOUTS = {
+    'market': { showPlayers: false, keepMarketControls: true, render: renderMarketView },
+    'player-market': { showPlayers: true, render: renderPlayerMarketView },
+    'profession-history': { showPlayers: false, keepProfessionCharts: true, render: renderProfessionHistoryView },
+    'planner': { showPlayers: true, render: renderPlannerView },
+    'profitability': { showPlayers: true, render: renderProfitabilityView },
+    'shopping': { showPlayers: false, render: renderShoppingListView },
+    'watchlist': { showPlayers: false, render: renderWatchlistView }
+};
+
+async function switchView(view, clearParams = false) {
+    currentView = view;
+
+    // Stop loading data for the view we're leaving
+    apiClient.cancelViewRequests();
+
+    // Update active link
+    document.querySelectorAll('.nav-link').forEach(link => {
+        link.classList.toggle('active', link.dataset.view === view);
+    });
+
+    // Update URL without reload
+    const url = new URL(window.location);
+    if (clearParams) {
+        // Clear all parameters when user clicks navigation
+        url.search = '';
+    }
+    url.searchParams.set('view', view);
+    window.history.pushState({}, '', url);
+
+    // Show/hide appropriate sections
+    const playerManagement = document.querySelector('.player-management');
+    const viewControlsSection = document.querySelector('.view-controls');
+    const marketControlsSection = document.querySelector('.market-controls');
+    const footer = document.querySelector('footer');
+
+    if (view === 'inventory') {
+        // Show inventory sections
+        if (playerManagement) playerManagement.style.display = '';
+
+        // Remove market controls if present
+        if (marketControlsSection) {
+            marketControlsSection.remove();
+        }
+
+        // Show inventory controls if they exist (they might have been hidden)
+        if (viewControlsSection) {
+            viewControlsSection.style.display = '';
+        }
+
+        footer.style.display = 'flex';
+
+        destroyProfessionCharts();
+
+        // Check if we need to restore inventory view from player-market, market, or profession-history
+        const inventoryDisplay = document.querySelector('.inventory-display');
+        const hasPlayerMarketContent = inventoryDisplay && inventoryDisplay.querySelector('#player-market-content');
+        const hasMarketContent = inventoryDisplay && inventoryDisplay.querySelector('#market-content');
+        const hasProfessionContent = inventoryDisplay && inventoryDisplay.querySelector('#profession-history-content');
+        const hasPlannerContent = inventoryDisplay && inventoryDisplay.querySelector('#planner-content');
+        const hasProfitContent = inventoryDisplay && inventoryDisplay.querySelector('#profit-content');
+        const hasShoppingContent = inventoryDisplay && inventoryDisplay.querySelector('#shopping-content');
+        const hasWatchlistContent = inventoryDisplay && inventoryDisplay.querySelector('#watchlist-content');
+
+        // Restore original inventory HTML if it was replaced by another view
+        if (originalInventoryHTML) {
+            if (inventoryDisplay && (hasMarketContent || hasProfessionContent || hasPlannerContent || hasProfitContent || hasShoppingContent || hasWatchlistContent)) {
+                // Replace market/profession display with inventory display
+                inventoryDisplay.outerHTML = originalInventoryHTML.inventoryDisplay;
+            }
+
+            // Restore view controls if we stored them
+            if (originalInventoryHTML.viewControls) {
+                const existingViewControls = document.querySelector('.view-controls');
+                if (!existingViewControls) {
+                    // Insert the view-controls section
+                    const inventoryDisplaySection = document.querySelector('.inventory-display');
+                    if (inventoryDisplaySection) {
+                        inventoryDisplaySection.insertAdjacentHTML('beforebegin', originalInventoryHTML.viewControls);
+                    }
+                }
+            }
+
+            // Clear the stored HTML so we can capture fresh state next time
+            originalInventoryHTML = null;
+
+            // Re-setup DOM elements and event listeners after HTML restoration
+            viewer.setupDomElements();
+            viewer.setupEventListeners();
+            setupCollapseHeaders();
+
+            // Re-render inventory
+            viewer.render();
+        } else if (hasPlayerMarketContent || hasProfessionContent) {
+            // Coming from player-market or profession-history view, just re-render inventory
+            viewer.setupDomElements();
+            viewer.render();
+        }
+    } else {
+        const layout = VIEW_LAYOUTS[view];
+        if (!layout) return;
+
+        if (playerManagement) playerManagement.style.display = layout.showPlayers ? '' : 'none';
+
+        // Hide inventory controls
+        if (viewControlsSection) {
+            viewControlsSection.style.display = 'none';
+        }
+
+        // Market controls are kept for the market view, which fills them in
+        if (marketControlsSection && !layout.keepMarketControls) {
+            marketControlsSection.remove();
+        }
+
+        if (!layout.keepProfessionCharts) {
+            destroyProfessionCharts();
+        }
+
+        footer.style.display = 'none';
+        await layout.render();
+    }
+}
+
+// Store original inventory HTML so we can restore it
+let originalInventoryHTML = null;
+
+// Store the original inventory sections before another view replaces them (only once)
+function storeOriginalInventory(inventoryDisplay) {
+    if (originalInventoryHTML || !inventoryDisplay) return;
+
+    const viewControls = document.querySelector('.view-controls');
+    originalInventoryHTML = {
+        inventoryDisplay: inventoryDisplay.outerHTML,
+        viewControls: viewControls ? viewControls.outerHTML : null
+    };
+}
+
+// Destroy profession charts if they exist, before their canvases are replaced
+function destroyProfessionCharts() {
+    if (professionViewer.chartInstance) {
+        professionViewer.chartInstance.destroy();
+        professionViewer.chartInstance = null;
+    }
+    if (professionViewer.summaryChartInstance) {
+        professionViewer.summaryChartInstance.destroy();
+        professionViewer.summaryChartInstance = null;
+    }
+    if (professionViewer.pieChartInstance) {
+        professionViewer.pieChartInstance.destroy();
+        professionViewer.pieChartInstance = null;
+    }
+}
+
+async function renderMarketView() {
+    const main = document.querySelector('main');
+
+    // Check if market view is already rendered
+    const existingMarketControls = document.querySelector('.market-controls');
+    const existingMarketContent = document.getElementById('market-content');
+
+    if (existingMarketControls && existingMarketContent) {
+        // Market view already exists, just ensure tags are populated and refresh the data
+        const tags = marketViewer.getAvailableTags();
+        const tagContainer = document.getElementById('tag-filter-container');
+
+        // Re-render tags if container is empty
+        if (tagContainer && tagContainer.children.length === 0) {
+            renderTagFilters(tags);
+            setupMarketEventListeners();
+        }
+
+        renderMarketTable();
+        document.getElementById('loading-overlay').classList.add('hidden');
+        return;
+    }
+
+    storeOriginalInventory(document.querySelector('.inventory-display'));
+
+    // Chart buttons appear once the price registry has loaded
+    if (!marketViewer.recordedPrices) {
+        marketViewer.loadRecordedPrices().then(() => renderMarketRows());
+    }
+
+    // Show loading
+    document.getElementById('loading-overlay').classList.remove('hidden');
+
+    try {
+        // Fetch market data if not already loaded
+        if (marketViewer.items.length === 0) {
+            await marketViewer.fetchMarketData();
+        }
+
+        const tags = marketViewer.getAvailableTags();
+
+        // Find and replace inventory display section
+        const inventoryDisplay = document.querySelector('.inventory-display');
+
+        if (inventoryDisplay && !document.querySelector('.market-controls')) {
+            inventoryDisplay.outerHTML = `
+                <section class="market-controls">
+                    <div class="controls-header" data-collapse-target="market-controls">
+                        <div style="display: flex; align-items: center;">
+                            <h2>Market Filters</h2>
+                        </div>
+                        <div class="stats-inline">
+                            <div class="stat-inline">
+                                <span class="stat-value" id="market-stat-total">0</span>
+                                <span class="stat-label">Total</span>
+                            </div>
+                            <div class="stat-inline">
+                                <span class="stat-value" id="market-stat-filtered">0</span>
+                                <span class="stat-label">Filtered</span>
+                            </div>
+                            <div class="stat-inline">
+                                <span class="stat-value" id="market-stat-available">0</span>
+                                <span class="stat-label">Available</span>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="tag-filter-section">
+                        <div class="tag-filter-header">
+                            <label>Item Types:</label>
+                            <div class="tag-filter-actions">
+                                <button type="button" id="select-all-tags" class="tag-action-btn">Select All</button>
+                                <button type="button" id="clear-all-tags" class="tag-action-btn">Clear All</button>
+                            </div>
+                        </div>
+                        <div id="tag-filter-container" class="tag-pill-container"></div>
+                    </div>
+                    <div class="controls-row">
+                        <div class="control-group">
+                            <label>Mode:</label>
+                            <select id="market-mode">
+                                <option value="listings">Listings</option>
+                                <option value="arbitrage">Arbitrage</option>
+                            </select>
+                        </div>
+                        <div class="control-group">
+                            <label>Rarity (or above):</label>
+                            <select id="market-rarity-filter">
+                                <option value="all">All Rarities</option>
+                                <option value="Common">Common+</option>
+                                <option value="Uncommon">Uncommon+</option>
+                                <option value="Rare">Rare+</option>
+                                <option value="Epic">Epic+</option>
+                                <option value="Legendary">Legendary+</option>
+                                <option value="Mythic">Mythic</option>
+                            </select>
+                        </div>
+                        <div class="control-group">
+                            <label>Sort By:</label>
+                            <select id="market-sort-by">
+                                <option value="name">Name</option>
+                                <option value="tier">Tier</option>
+                                <option value="rarity">Rarity</option>
+                                <option value="price">Best Ask</option>
+                                <option value="bid">Best Bid</option>
+                                <option value="spread">Spread</option>
+                                <option value="bidDepth">Bid Depth</option>
+                                <option value="quantity">Available</option>
+                                <option value="seller">Seller</option>
+                                <option value="region">Region</option>
+                            </select>
+                        </div>
+                        <div class="control-group">
+                            <label>Order:</label>
+                            <select id="market-sort-order">
+                                <option value="asc">Ascending</option>
+                                <option value="desc">Descending</option>
+                            </select>
+                        </div>
+                        <div class="control-group">
+                            <label>Search:</label>
+                            <input type="text" id="market-search" placeholder="Search items...">
+                        </div>
+                        <div class="control-group">
+                            <label>Region:</label>
+                            <input type="text" id="market-region-filter" placeholder="Filter by region...">
+                        </div>
+                        <div class="control-group">
+                            <label>Seller:</label>
+                            <input type="text" id="market-seller-filter" placeholder="Filter by seller...">
+                        </div>
+                        <div class="control-group checkbox-group">
+                            <label>
+                                <input type="checkbox" id="market-buy-only">
+                                Buy demand only
+                            </label>
+                        </div>
+                    </div>
+                </section>
+                <section class="inventory-display">
+                    <div id="market-content"></div>
+                </section>
+            `;
+        }
+
+        // Render tag filter checkboxes
+        renderTagFilters(tags);
+
+        // Setup event listeners
+        setupMarketEventListeners();
+
+        // Initial render
+        renderMarketTable();
+
+    } catch (error) {
+        const inventoryDisplay = document.querySelector('.inventory-display') || document.querySelector('.market-filters');
+        if (inventoryDisplay) {
+            inventoryDisplay.innerHTML = `<p class="error-message">Error loading market data: ${error.message}</p>`;
+        }
+    } finally {
+        document.getElementById('loading-overlay').classList.add('hidden');
+    }
+}
+
+// Player Market View Rendering
+async function renderPlayerMarketView() {
+    const inventoryDisplay = document.querySelector('.inventory-display');
+
+    if (!inventoryDisplay) {
+        console.error('Inventory display section not found');
+        return;
+    }
+
+    // Check if player-market content already exists
+    const existingMarketContent = document.getElementById('player-market-content');
+
+    // Only replace content if it doesn't exist or if there's no selected player
+    if (!existingMarketContent) {
+        // Replace content with player market view
+        inventoryDisplay.innerHTML = `
+            <div id="player-market-content" style="background: var(--bg-secondary); padding: 1rem; border-radius: 12px; border: 1px solid var(--border-subtle); box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);">
+                <p style="text-align: center; color: var(--text-muted); padding: 2rem;">
+                    Select a player from above to view their market orders.
+                </p>
+            </div>
+        `;
+    }
+
+    // Check URL for player parameter (from bookmark)
+    const urlParams = new URLSearchParams(window.location.search);
+    let urlPlayerIds = [];
+
+    // Check for 'player' (singular) parameter
+    const playerParam = urlParams.get('player');
+    if (playerParam) {
+        urlPlayerIds.push(playerParam);
+    }
+
+    // Also check for 'players' (plural) parameter used by inventory view
+    const playersParam = urlParams.get('players');
+    if (playersParam) {
+        urlPlayerIds = playersParam.split(',').map(id => id.trim()).filter(id => id);
+    }
+
+    // If URL has player IDs, load them
+    if (urlPlayerIds.length > 0) {
+        document.getElementById('loading-overlay').classList.remove('hidden');
+
+        // Load all players from URL in parallel
+        const failed = [];
+        await Promise.all(urlPlayerIds.filter(id => !viewer.players.has(id)).map(async (playerId) => {
+            try {
+                const data = await apiClient.getSvelteKit(`/players/${playerId}/__data.json?x-sveltekit-invalidated=01`);
+                const playerData = data?.player;
+
+                if (playerData) {
+                    const username = playerData.username || playerData.character?.name || 'Unknown Player';
+                    const items = await viewer.fetchPlayerInventory(playerId, username);
+                    viewer.players.set(playerId, { username, items });
+                } else {
+                    failed.push(playerId);
+                }
+            } catch (error) {
+                console.error('Error loading player from URL:', error);
+                failed.push(playerId);
+            }
+        }));
+
+        if (failed.length > 0) {
+            alert(`Could not load ${failed.length} player(s): ${failed.join(', ')}`);
+        }
+
+        viewer.renderPlayerList();
+
+        // Load market data for the first player
+        await loadPlayerMarketData(urlPlayerIds[0]);
+
+        document.getElementById('loading-overlay').classList.add('hidden');
+    } else if (viewer.players.size > 0 && !playerMarketViewer.selectedPlayer) {
+        // No URL parameter, but players are loaded - load the first one
+        const firstPlayerId = viewer.players.keys().next().value;
+        await loadPlayerMarketData(firstPlayerId);
+    } else if (viewer.players.size > 0 && playerMarketViewer.selectedPlayer) {
+        // If a player is already selected, re-render their data
+        await loadPlayerMarketData(playerMarketViewer.selectedPlayer.id);
+    }
+}
+
+async function loadPlayerMarketData(playerId) {
+    document.getElementById('loading-overlay').classList.remove('hidden');
+
+    try {
+        // Fetch player market data - this also sets playerMarketViewer.selectedPlayer
+        await playerMarketViewer.fetchPlayerMarketData(playerId);
+
+        // Update player list to show selected state
+        viewer.renderPlayerList();
+
+        // Render the market orders
+        renderPlayerMarketOrders();
+    } catch (error) {
+        console.error('Error loading player market data:', error);
+        const content = document.getElementById('player-market-content');
+        if (content) {
+            content.innerHTML = `<p class="error-message">Error loading market data: ${error.message}</p>`;
+        }
+    } finally {
+        document.getElementById('loading-overlay').classList.add('hidden');
+    }
+}
+
+function renderPlayerMarketOrders() {
+    const content = document.getElementById('player-market-content');
+    if (!content) return;
+
+    const player = playerMarketViewer.selectedPlayer;
+    const sellOrders = playerMarketViewer.getSortedSellOrders();
+    const buyOrders = playerMarketViewer.getSortedBuyOrders();
+
+    content.innerHTML = `
+        <div style="margin-bottom: 1.5rem;">
+            <h2 style="font-size: 1rem; font-weight: 600; color: var(--text-primary); margin-bottom: 1rem;">
+                Market Orders for ${escapeHtml(player.username)}
+            </h2>
+        </div>
+
+        <!-- Sell Orders Section -->
+        <div style="margin-bottom: 2rem;">
+            <div class="section-header" style="margin-bottom: 0.75rem;">
+                <h3 style="font-size: 0.875rem; font-weight: 600; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em; margin: 0;">
+                    Sell Orders (${playerMarketViewer.sellOrders.length})
+                </h3>
+                ${playerMarketViewer.sellOrders.length > 0 ? renderPriceSuggestionControls() : ''}
+            </div>
+            ${playerMarketViewer.sellOrders.length > 0 ? renderOrdersTable(sellOrders, 'sell') : '<p style="color: var(--text-muted); padding: 1rem; text-align: center;">No sell orders</p>'}
+        </div>
+
+        <!-- Buy Orders Section -->
+        <div>
+            <div class="section-header" style="margin-bottom: 0.75rem;">
+                <h3 style="font-size: 0.875rem; font-weight: 600; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em; margin: 0;">
+                    Buy Orders (${playerMarketViewer.buyOrders.length})
+                </h3>
+            </div>
+            ${playerMarketViewer.buyOrders.length > 0 ? renderOrdersTable(buyOrders, 'buy') : '<p style="color: var(--text-muted); padding: 1rem; text-align: center;">No buy orders</p>'}
+        </div>
+    `;
+
+    // Setup sort handlers after rendering
+    setupPlayerMarketSortHandlers();
+}
+
+function renderOrdersTable(orders, type) {
+    const sortState = type === 'sell' ? playerMarketViewer.sellOrdersSort : playerMarketViewer.buyOrdersSort;
+    const isSellOrders = type === 'sell';
+
+    const getSortIndicator = (column) => {
+        if (sortState.column === column) {
+            return sortState.direction === 'asc' ? ' ▲' : ' ▼';
+        }
+        return '';
+    };
+
+    return `
+        <table class="inventory-table">
+            <thead>
+                <tr>
+                    <th class="sortable-header" data-sort="itemName" data-type="${type}" style="cursor: pointer;">Item${getSortIndicator('itemName')}</th>
+                    <th class="sortable-header" data-sort="itemTier" data-type="${type}" style="cursor: pointer;">Tier${getSortIndicator('itemTier')}</th>
+                    <th class="sortable-header" data-sort="itemRarity" data-type="${type}" style="cursor: pointer;">Rarity${getSortIndicator('itemRarity')}</th>
+                    <th class="sortable-header" data-sort="quantity" data-type="${type}" style="cursor: pointer;">Quantity${getSortIndicator('quantity')}</th>
+                    <th class="sortable-header" data-sort="price" data-type="${type}" style="cursor: pointer;">Price${getSortIndicator('price')}</th>
+                    <th class="sortable-header" data-sort="totalValue" data-type="${type}" style="cursor: pointer;">Total Value${getSortIndicator('totalValue')}</th>
+                    ${isSellOrders ? '<th>Cheapest?</th>' : ''}
+                    ${isSellOrders ? `<th title="${escapeHtml(priceSuggester.describe())}">Suggested</th>` : ''}
+                    <th class="sortable-header" data-sort="claimName" data-type="${type}" style="cursor: pointer;">Location${getSortIndicator('claimName')}</th>
+                    <th>Market</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${orders.map(order => {
+                    const rarity = (order.itemRarity || 'common').toLowerCase();
+                    const cheapestIndicator = isSellOrders && order.isCheapest !== null
+                        ? (order.isCheapest ? '<span style="color: #22c55e; font-weight: 600;">✓</span>' : '<span style="color: var(--text-muted);">✗</span>')
+                        : (isSellOrders ? '<span style="color: var(--text-muted);">...</span>' : '');
+
+                    return `
+                        <tr class="rarity-row-${rarity} ${isSellOrders ? 'market-row-clickable' : ''}"
+                            ${isSellOrders ? `onclick="showMarketDetails('${order.itemId}')" style="cursor: pointer;"` : ''}>
+                            <td class="item-name">${escapeHtml(order.itemName)}</td>
+                            <td><span class="tier-badge">T${order.itemTier}</span></td>
+                            <td><span class="rarity-${rarity}">${order.itemRarity || 'Common'}</span></td>
+                            <td>${order.quantity.toLocaleString()}</td>
+                            <td>${order.price.toLocaleString()}</td>
+                            <td style="font-weight: 500;">${(order.quantity * order.price).toLocaleString()}</td>
+                            ${isSellOrders ? `<td style="text-align: center;">${cheapestIndicator}</td>` : ''}
+                            ${isSellOrders ? `<td>${renderPriceSuggestion(playerMarketViewer.getPriceSuggestion(order))}</td>` : ''}
+                            <td>${order.claimName ? `<span style="font-weight: 500;">${escapeHtml(order.claimName)}</span>${order.regionName ? `<span style="font-size: 0.75rem; color: var(--text-muted);"> - ${escapeHtml(order.regionName)}</span>` : ''}` : 'N/A'}</td>
+                            <td>${renderOrderBookButton(order.itemId, order.itemType, order.itemName)}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderPriceSuggestion(suggestion) {
+    if (!suggestion) {
+        return '<span style="color: var(--text-muted);">...</span>';
+    }
+
+    const change = suggestion.change === 0
+        ? '<span class="suggestion-keep">keep</span>'
+        : `<span class="${suggestion.change < 0 ? 'suggestion-lower' : 'suggestion-raise'}">${suggestion.change > 0 ? '+' : ''}${suggestion.change.toLocaleString()}</span>`;
+    const queue = suggestion.competitor
+        ? `${suggestion.ahead.toLocaleString()} ahead now, ${suggestion.aheadAtSuggested.toLocaleString()} at suggested`
+        : 'No competing orders';
+
+    return `
+        <span class="price-value">${suggestion.price.toLocaleString()}</span> ${change}
+        <div class="suggestion-queue" title="${suggestion.competitor ? `Lowest: ${escapeHtml(suggestion.competitor.seller || 'Unknown')} at ${suggestion.competitor.price.toLocaleString()}` : ''}">${queue}</div>
+    `;
+}
+
+function renderPriceSuggestionControls() {
+    const rules = priceSuggester.rules;
+    return `
+        <div class="price-suggestion-controls" onclick="event.stopPropagation()">
+            <select onchange="updatePriceSuggestionRules({ strategy: this.value })">
+                <option value="beat" ${rules.strategy === 'beat' ? 'selected' : ''}>Beat lowest by</option>
+                <option value="match" ${rules.strategy === 'match' ? 'selected' : ''}>Match lowest</option>
+            </select>
+            ${rules.strategy === 'beat' ? `<input type="number" min="1" value="${rules.beatBy}" onchange="updatePriceSuggestionRules({ beatBy: Math.max(1, parseInt(this.value) || 1) })">` : ''}
+            <select onchange="updatePriceSuggestionRules({ scope: this.value })">
+                <option value="all" ${rules.scope === 'all' ? 'selected' : ''}>All regions</option>
+                <option value="region" ${rules.scope === 'region' ? 'selected' : ''}>Same region</option>
+            </select>
+            <button type="button" class="tag-action-btn" onclick="playerMarketViewer.exportRepricingCSV()">Export Repricing CSV</button>
+        </div>
+    `;
+}
+
+function updatePriceSuggestionRules(changes) {
+    priceSuggester.setRules(changes);
+    renderPlayerMarketOrders();
+}
+
+function setupPlayerMarketSortHandlers() {
+    document.querySelectorAll('.sortable-header').forEach(header => {
+        header.addEventListener('click', () => {
+            const column = header.dataset.sort;
+            const type = header.dataset.type;
+            const sortState = type === 'sell' ? playerMarketViewer.sellOrdersSort : playerMarketViewer.buyOrdersSort;
+
+            // Toggle direction if same column, otherwise reset to ascending
+            if (sortState.column === column) {
+                sortState.direction = sortState.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                sortState.column = column;
+                sortState.direction = 'asc';
+            }
+
+            // Re-render the orders
+            renderPlayerMarketOrders();
+        });
+    });
+}
+
+// Market Details Modal
+async function showMarketDetails(itemId) {
+    // Show loading overlay
+    document.getElementById('loading-overlay').classList.remove('hidden');
+
+    try {
+        const playerOrder = playerMarketViewer.sellOrders.find(o => o.itemId === itemId);
+
+        if (!playerOrder) {
+            throw new Error('Player order not found');
+        }
+
+        const marketData = await playerMarketViewer.fetchMarketDetailsForItem(itemId, playerOrder.itemTag);
+
+        // Get all sell orders sorted by price
+        const allSellOrders = (marketData.sellOrders || []).map(order => ({
+            ...order,
+            price: parseInt(order.priceThreshold) || 0,
+            quantity: parseInt(order.quantity) || 0,
+            claimName: order.claimName || '',
+            regionName: order.regionName || '',
+            isPlayer: String(order.ownerEntityId) === String(playerMarketViewer.selectedPlayer?.id)
+        })).sort((a, b) => a.price - b.price);
+
+        const playerPrice = playerOrder.price;
+
+        // Separate into cheaper, same price, and more expensive
+        const cheaperOrders = allSellOrders
+            .filter(o => o.price < playerPrice)
+            .slice(-5); // Take last 5 (closest to player's price)
+
+        const samePriceOrders = allSellOrders
+            .filter(o => o.price === playerPrice && !o.isPlayer);
+
+        const moreExpensiveOrders = allSellOrders
+            .filter(o => o.price > playerPrice)
+            .slice(0, 5); // Take first 5 (closest to player's price)
+
+        // Render the modal
+        renderMarketDetailsModal(marketData.item, playerOrder, cheaperOrders, samePriceOrders, moreExpensiveOrders);
+    } catch (error) {
+        console.error('Error loading market details:', error);
+        alert(`Failed to load market details: ${error.message}`);
+    } finally {
+        document.getElementById('loading-overlay').classList.add('hidden');
+    }
+}
+
+function renderMarketDetailsModal(item, playerOrder, cheaperOrders, samePriceOrders, moreExpensiveOrders) {
+    // Create modal if it doesn't exist
+    let modal = document.getElementById('market-details-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'market-details-modal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    modal.innerHTML = `
+        <div class="modal-content" onclick="event.stopPropagation()">
+            <div class="modal-header">
+                <h3>${escapeHtml(playerOrder.itemName)} - Market Comparison</h3>
+                <button class="modal-close" onclick="closeMarketDetailsModal()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div class="market-section-label player-section">Your Order</div>
+                <div class="market-order player-order">
+                    <div class="market-order-seller">You</div>
+                    <div class="market-order-quantity">Qty: ${playerOrder.quantity.toLocaleString()}</div>
+                    <div class="market-order-price">${playerOrder.price.toLocaleString()}</div>
+                    <div class="market-order-location">${playerOrder.claimName ? `<span style="font-weight: 500;">${escapeHtml(playerOrder.claimName)}</span>${playerOrder.regionName ? `<span style="color: var(--text-muted);"> - ${escapeHtml(playerOrder.regionName)}</span>` : ''}` : 'N/A'}</div>
+                </div>
+
+                ${samePriceOrders.length > 0 ? `
+                    <div class="market-section-label" style="margin-top: 1rem; color: var(--warning);">Same Price (${samePriceOrders.length})</div>
+                    ${samePriceOrders.map(order => `
+                        <div class="market-order" style="border-left: 3px solid var(--warning);">
+                            <div class="market-order-seller">${escapeHtml(order.ownerUsername || 'Unknown')}</div>
+                            <div class="market-order-quantity">Qty: ${order.quantity.toLocaleString()}</div>
+                            <div class="market-order-price" style="color: var(--warning);">${order.price.toLocaleString()}</div>
+                            <div class="market-order-location">${order.claimName ? `<span style="font-weight: 500;">${escapeHtml(order.claimName)}</span>${order.regionName ? `<span style="color: var(--text-muted);"> - ${escapeHtml(order.regionName)}</span>` : ''}` : 'N/A'}</div>
+                        </div>
+                    `).join('')}
+                ` : ''}
+
+                ${cheaperOrders.length > 0 ? `
+                    <div class="market-section-label cheaper-section" style="margin-top: 1rem;">Cheaper Orders (${cheaperOrders.length})</div>
+                    ${cheaperOrders.map(order => `
+                        <div class="market-order cheaper">
+                            <div class="market-order-seller">${escapeHtml(order.ownerUsername || 'Unknown')}</div>
+                            <div class="market-order-quantity">Qty: ${order.quantity.toLocaleString()}</div>
+                            <div class="market-order-price">${order.price.toLocaleString()}</div>
+                            <div class="market-order-location">${order.claimName ? `<span style="font-weight: 500;">${escapeHtml(order.claimName)}</span>${order.regionName ? `<span style="color: var(--text-muted);"> - ${escapeHtml(order.regionName)}</span>` : ''}` : 'N/A'}</div>
+                        </div>
+                    `).join('')}
+                ` : '<p style="color: var(--success); font-size: 0.75rem; margin-top: 1rem; font-weight: 500;">✓ You have the cheapest price!</p>'}
 
                 ${moreExpensiveOrders.length > 0 ? `
                     <div class="market-section-label expensive-section" style="margin-top: 1rem;">More Expensive Orders (${moreExpensiveOrders.length})</div>
@@ -3195,333 +6391,2450 @@ function renderMarketDetailsModal(item, playerOrder, cheaperOrders, samePriceOrd
         </div>
     `;
 
-    // Show modal with active class for CSS transitions
-    modal.classList.add('active');
+    // Show modal with active class for CSS transitions
+    modal.classList.add('active');
+
+    // Add click outside to close
+    modal.onclick = closeMarketDetailsModal;
+}
+
+function closeMarketDetailsModal() {
+    const modal = document.getElementById('market-details-modal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.onclick = null;
+    }
+}
+
+// Book button for any item; clicks go through the delegated listener below
+function renderOrderBookButton(itemId, itemType, itemName, className = 'tag-action-btn') {
+    return `<button type="button" class="${className}" data-order-book data-item-id="${escapeAttr(itemId)}" data-item-type="${escapeAttr(itemType || 'item')}" data-item-name="${escapeAttr(itemName || '')}" title="Show market order book">Book</button>`;
+}
+
+// Captured at the document so Book buttons inside clickable rows don't also trigger the row
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-order-book]');
+    if (!button) return;
+    e.stopPropagation();
+    showOrderBook(button.dataset.itemId, button.dataset.itemType, button.dataset.itemName || null);
+}, true);
+
+// Order book modal for any market item or cargo: full ladders, depth, regions and sellers
+async function showOrderBook(itemId, itemType = 'item', itemName = null) {
+    let modal = document.getElementById('order-book-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'order-book-modal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    const title = itemName || `Item ${itemId}`;
+    modal.innerHTML = `
+        <div class="modal-content order-book-content" onclick="event.stopPropagation()">
+            <div class="modal-header">
+                <h3>${escapeHtml(title)} - Order Book</h3>
+                <button class="modal-close" onclick="closeOrderBookModal()">&times;</button>
+            </div>
+            <div class="modal-body" id="order-book-body">
+                <span class="loading-text">Loading...</span>
+            </div>
+        </div>
+    `;
+    modal.classList.add('active');
+    modal.onclick = closeOrderBookModal;
+
+    // A slower response for a previously opened item mustn't replace this one
+    const requestKey = `${marketViewer.normalizeItemType(itemType)}:${itemId}`;
+    modal.dataset.itemKey = requestKey;
+    const isCurrent = () => modal.dataset.itemKey === requestKey && modal.classList.contains('active');
+
+    try {
+        const book = await marketViewer.fetchOrderBook(itemId, marketViewer.normalizeItemType(itemType));
+        if (!isCurrent()) return;
+        renderOrderBookModal(book, itemName || book.item?.name || title);
+    } catch (error) {
+        if (!isCurrent()) return;
+        console.error('Error loading order book:', error);
+        const body = document.getElementById('order-book-body');
+        if (body) {
+            body.innerHTML = `<span style="color: var(--danger);">Error: ${escapeHtml(error.message)}</span>`;
+        }
+    }
+}
+
+function renderOrderBookModal(book, itemName) {
+    const modal = document.getElementById('order-book-modal');
+    const body = document.getElementById('order-book-body');
+    if (!modal || !body) return;
+
+    modal.querySelector('.modal-header h3').textContent = `${itemName} - Order Book`;
+
+    const sellLadder = marketViewer.buildDepthLadder(book.sellOrders);
+    const buyLadder = marketViewer.buildDepthLadder(book.buyOrders);
+    const regions = marketViewer.summarizeBookByRegion(book);
+    const sellers = marketViewer.summarizeSellers(book.sellOrders);
+    const maxDepth = Math.max(sellLadder[sellLadder.length - 1]?.cumulative || 0, buyLadder[buyLadder.length - 1]?.cumulative || 0, 1);
+
+    const bestAsk = sellLadder[0]?.price ?? null;
+    const bestBid = buyLadder[0]?.price ?? null;
+    // Price for a new listing under the current suggestion rules (region scope needs an existing order, so all regions)
+    const suggestedAsk = bestAsk != null ? priceSuggester.suggest(book.sellOrders, { price: null, regionId: null }).price : null;
+    const format = (value) => value != null ? value.toLocaleString() : '—';
+    const formatRegion = (region) => region.regionName
+        ? `${escapeHtml(region.regionName)}${region.regionId ? ' (' + region.regionId + ')' : ''}`
+        : '—';
+
+    const ladderTable = (levels, side) => levels.length > 0 ? `
+        <table class="inventory-table order-book-ladder">
+            <thead><tr><th>Price</th><th>Qty</th><th>Orders</th><th>Cumulative</th></tr></thead>
+            <tbody>
+                ${levels.map(level => `
+                    <tr>
+                        <td class="price-value">${level.price.toLocaleString()}</td>
+                        <td class="count-value">${level.quantity.toLocaleString()}</td>
+                        <td class="count-value">${level.orders}</td>
+                        <td class="order-book-depth">
+                            <span class="order-book-depth-bar depth-${side}" style="width: ${(level.cumulative / maxDepth * 100).toFixed(1)}%;"></span>
+                            <span class="order-book-depth-value">${level.cumulative.toLocaleString()}</span>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    ` : `<p class="editor-note">No ${side === 'sell' ? 'sell' : 'buy'} orders.</p>`;
+
+    body.innerHTML = `
+        <div class="order-book-summary">
+            <div><span class="stat-label">Best Ask</span> <span class="price-value">${format(bestAsk)}</span></div>
+            <div><span class="stat-label">Best Bid</span> <span class="price-value">${format(bestBid)}</span></div>
+            <div><span class="stat-label">Spread</span> <span class="price-value">${bestAsk != null && bestBid != null ? format(bestAsk - bestBid) : '—'}</span></div>
+            <div title="${escapeHtml(priceSuggester.describe())}"><span class="stat-label">Suggested Listing</span> <span class="price-value">${format(suggestedAsk)}</span></div>
+            <div><span class="stat-label">Units for Sale</span> <span class="count-value">${format(sellLadder[sellLadder.length - 1]?.cumulative || 0)}</span></div>
+            <div><span class="stat-label">Units Wanted</span> <span class="count-value">${format(buyLadder[buyLadder.length - 1]?.cumulative || 0)}</span></div>
+        </div>
+
+        <div class="order-book-ladders">
+            <div>
+                <h4>Sell Orders (${book.sellOrders.length})</h4>
+                ${ladderTable(sellLadder, 'sell')}
+            </div>
+            <div>
+                <h4>Buy Orders (${book.buyOrders.length})</h4>
+                ${ladderTable(buyLadder, 'buy')}
+            </div>
+        </div>
+
+        ${regions.length > 0 ? `
+            <h4>By Region</h4>
+            <table class="inventory-table">
+                <thead><tr><th>Region</th><th>Sell Orders</th><th>Units</th><th>Cheapest</th><th>Buy Orders</th><th>Units</th><th>Highest Bid</th></tr></thead>
+                <tbody>
+                    ${regions.map(region => `
+                        <tr>
+                            <td class="region-value">${formatRegion(region)}</td>
+                            <td class="count-value">${region.sellOrders}</td>
+                            <td class="count-value">${region.sellQuantity.toLocaleString()}</td>
+                            <td class="price-value">${format(region.cheapestSell)}</td>
+                            <td class="count-value">${region.buyOrders}</td>
+                            <td class="count-value">${region.buyQuantity.toLocaleString()}</td>
+                            <td class="price-value">${format(region.highestBuy)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+
+        ${sellers.length > 0 ? `
+            <h4>Sellers (${sellers.length})</h4>
+            <table class="inventory-table">
+                <thead><tr><th>Seller</th><th>Orders</th><th>Units</th><th>Cheapest</th><th>Regions</th></tr></thead>
+                <tbody>
+                    ${sellers.map(seller => `
+                        <tr>
+                            <td class="seller-value">${escapeHtml(seller.seller || 'Unknown')}</td>
+                            <td class="count-value">${seller.orders}</td>
+                            <td class="count-value">${seller.quantity.toLocaleString()}</td>
+                            <td class="price-value">${seller.cheapest.toLocaleString()}</td>
+                            <td class="region-value">${escapeHtml(Array.from(seller.regions).join(', ') || '—')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+    `;
+}
+
+function closeOrderBookModal() {
+    const modal = document.getElementById('order-book-modal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.onclick = null;
+    }
+}
+
+// Where an aggregated inventory item is stored, by player, claim and container
+function renderItemSourcesModal(item) {
+    let modal = document.getElementById('item-sources-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'item-sources-modal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    const sources = Array.from(item.sources.values())
+        .sort((a, b) => b.count - a.count || viewer.getLocationLabel(a).localeCompare(viewer.getLocationLabel(b)));
+    const showPlayer = new Set(sources.map(source => source.playerName)).size > 1;
+
+    modal.innerHTML = `
+        <div class="modal-content" onclick="event.stopPropagation()">
+            <div class="modal-header">
+                <h3>${escapeHtml(item.name)} - ${item.count.toLocaleString()} in ${sources.length} location${sources.length === 1 ? '' : 's'}</h3>
+                <button class="modal-close" onclick="closeItemSourcesModal()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <table class="inventory-table">
+                    <thead>
+                        <tr>
+                            ${showPlayer ? '<th>Player</th>' : ''}
+                            <th>Claim</th>
+                            <th>Container</th>
+                            <th>Quantity</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sources.map(source => `
+                            <tr>
+                                ${showPlayer ? `<td>${escapeHtml(source.playerName || '')}</td>` : ''}
+                                <td>${source.claimName ? escapeHtml(source.claimName) : '<span style="color: var(--text-muted);">—</span>'}</td>
+                                <td>${escapeHtml(source.location)}</td>
+                                <td class="count-value">${source.count.toLocaleString()}${source.fromPackage ? ` <span style="color: var(--text-muted);">(${source.fromPackage.toLocaleString()} packaged)</span>` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+
+    modal.classList.add('active');
+    modal.onclick = closeItemSourcesModal;
+}
+
+function closeItemSourcesModal() {
+    const modal = document.getElementById('item-sources-modal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.onclick = null;
+    }
+}
+
+// Stock rules editor
+function openStockRulesEditor() {
+    let modal = document.getElementById('stock-rules-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'stock-rules-modal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    renderStockRulesEditor();
+    modal.classList.add('active');
+    modal.onclick = closeStockRulesEditor;
+}
+
+function closeStockRulesEditor() {
+    const modal = document.getElementById('stock-rules-modal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.onclick = null;
+    }
+}
+
+function renderStockRulesEditor() {
+    const modal = document.getElementById('stock-rules-modal');
+    if (!modal) return;
+
+    const results = stockRules.evaluate(viewer.getPooledItems());
+    const tags = Array.from(new Set(viewer.getPooledItems().map(item => item.tag).filter(Boolean)))
+        .sort((a, b) => a.localeCompare(b));
+
+    modal.innerHTML = `
+        <div class="modal-content" onclick="event.stopPropagation()">
+            <div class="modal-header">
+                <h3>Stock Rules</h3>
+                <button class="modal-close" onclick="closeStockRulesEditor()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <h4>Add Rule</h4>
+                <form class="editor-form" onsubmit="event.preventDefault(); addStockRule();">
+                    <input type="text" id="stock-rule-name" placeholder="Item name (optional)" list="stock-rule-names">
+                    <select id="stock-rule-tier">
+                        <option value="">Any tier</option>
+                        ${[-1, 0, 1, 2, 3, 4, 5, 6, 7, 8].map(tier => `<option value="${tier}">Tier ${tier}</option>`).join('')}
+                    </select>
+                    <input type="text" id="stock-rule-tag" placeholder="Tag (optional)" list="stock-rule-tags">
+                    <input type="number" id="stock-rule-min" placeholder="Min" min="0">
+                    <input type="number" id="stock-rule-max" placeholder="Max" min="0">
+                    <button type="submit">Add</button>
+                    <datalist id="stock-rule-tags">${tags.map(tag => `<option value="${escapeHtml(tag)}">`).join('')}</datalist>
+                    <datalist id="stock-rule-names">${Array.from(new Set(viewer.getPooledItems().map(item => item.name))).sort().map(name => `<option value="${escapeHtml(name)}">`).join('')}</datalist>
+                </form>
+
+                <h4>Rules</h4>
+                ${results.length > 0 ? `
+                    <table class="inventory-table">
+                        <thead><tr><th>Rule</th><th>Have</th><th>Min</th><th>Max</th><th>Status</th><th></th></tr></thead>
+                        <tbody>
+                            ${results.map(result => `
+                                <tr>
+                                    <td class="item-name">${escapeHtml(result.label)}</td>
+                                    <td class="count-value">${result.current.toLocaleString()}</td>
+                                    <td class="count-value">${result.rule.min !== null ? result.rule.min.toLocaleString() : '—'}</td>
+                                    <td class="count-value">${result.rule.max !== null ? result.rule.max.toLocaleString() : '—'}</td>
+                                    <td>${result.status === 'ok' ? 'OK' : `<span class="stock-flag stock-${result.status === 'over' ? 'over' : 'low'}">${result.status === 'over' ? 'Over' : result.status === 'missing' ? 'Missing' : 'Low'}</span>`}</td>
+                                    <td><button type="button" class="tag-action-btn" onclick="removeStockRule('${result.rule.id}')">Remove</button></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="editor-note">No stock rules yet. A rule counts every item matching its name, tier and tag across all players.</p>'}
+
+                <div class="editor-actions">
+                    <label class="checkbox-group">
+                        <input type="checkbox" id="stock-notify" ${stockRules.notify ? 'checked' : ''} onchange="toggleStockNotifications(this.checked)">
+                        Notify me when a refresh drops something below its minimum
+                    </label>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function addStockRule() {
+    const readNumber = (id) => {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : parseInt(value);
+    };
+
+    try {
+        stockRules.addRule({
+            name: document.getElementById('stock-rule-name').value.trim() || null,
+            tier: readNumber('stock-rule-tier'),
+            tag: document.getElementById('stock-rule-tag').value.trim() || null,
+            min: readNumber('stock-rule-min'),
+            max: readNumber('stock-rule-max')
+        });
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    renderStockRulesEditor();
+    viewer.render();
+}
+
+function removeStockRule(id) {
+    stockRules.removeRule(id);
+    renderStockRulesEditor();
+    viewer.render();
+}
+
+async function toggleStockNotifications(enabled) {
+    if (enabled && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            alert('Notifications are blocked for this site.');
+            document.getElementById('stock-notify').checked = false;
+            return;
+        }
+    }
+    stockRules.setNotify(enabled);
+}
+
+// Undercut alerts
+function openUndercutMonitor() {
+    let modal = document.getElementById('undercut-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'undercut-modal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    renderUndercutMonitor();
+    modal.classList.add('active');
+    modal.onclick = closeUndercutMonitor;
+}
+
+function closeUndercutMonitor() {
+    const modal = document.getElementById('undercut-modal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.onclick = null;
+    }
+    // Alerts count as read once the feed has been open
+    undercutMonitor.markSeen();
+}
+
+function renderUndercutMonitor() {
+    const modal = document.getElementById('undercut-modal');
+    if (!modal) return;
+
+    const settings = undercutMonitor.settings;
+    const alerts = undercutMonitor.alerts;
+    const status = undercutMonitor.checking
+        ? '<span class="loading-text">Checking...</span>'
+        : (undercutMonitor.lastChecked ? `Last checked ${new Date(undercutMonitor.lastChecked).toLocaleTimeString()}` : 'Not checked yet this session');
+
+    modal.innerHTML = `
+        <div class="modal-content" onclick="event.stopPropagation()">
+            <div class="modal-header">
+                <h3>Undercut Alerts</h3>
+                <button class="modal-close" onclick="closeUndercutMonitor()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div class="editor-form">
+                    <label class="checkbox-group">
+                        <input type="checkbox" ${settings.enabled ? 'checked' : ''} onchange="undercutMonitor.updateSettings({ enabled: this.checked }); renderUndercutMonitor();">
+                        Check every
+                    </label>
+                    <select onchange="undercutMonitor.updateSettings({ intervalMinutes: parseInt(this.value) })">
+                        ${[5, 10, 15, 30, 60].map(minutes => `<option value="${minutes}" ${settings.intervalMinutes === minutes ? 'selected' : ''}>${minutes} minutes</option>`).join('')}
+                    </select>
+                    <button type="button" onclick="runUndercutCheck()" ${undercutMonitor.checking ? 'disabled' : ''}>Check Now</button>
+                </div>
+                <p class="editor-note">${status} &middot; Watching sell orders of ${viewer.players.size} tracked player${viewer.players.size === 1 ? '' : 's'}. Checks only run while this page is open.</p>
+
+                <h4>Alerts</h4>
+                ${alerts.length > 0 ? `
+                    <table class="inventory-table">
+                        <thead><tr><th>Time</th><th>Player</th><th>Item</th><th>Your Price</th><th>Undercut By</th><th>Seller</th><th>Region</th><th></th></tr></thead>
+                        <tbody>
+                            ${alerts.map(alert => `
+                                <tr class="${alert.time > settings.lastSeen ? 'undercut-unread' : ''}">
+                                    <td>${new Date(alert.time).toLocaleString()}</td>
+                                    <td>${escapeHtml(alert.playerName)}</td>
+                                    <td class="item-name">${escapeHtml(alert.itemName)}</td>
+                                    <td class="price-value">${alert.price.toLocaleString()}</td>
+                                    <td class="price-value">${alert.undercutBy.toLocaleString()} (now ${alert.cheapestPrice.toLocaleString()})</td>
+                                    <td class="seller-value">${escapeHtml(alert.seller)}</td>
+                                    <td class="region-value">${escapeHtml(alert.regionName || '—')}</td>
+                                    <td>${renderOrderBookButton(alert.itemId, alert.itemType, alert.itemName)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="editor-note">No undercuts recorded. An alert is added when one of your cheapest sell orders is beaten by another seller.</p>'}
+
+                <div class="editor-actions">
+                    <label class="checkbox-group">
+                        <input type="checkbox" id="undercut-notify" ${settings.notify ? 'checked' : ''} onchange="toggleUndercutNotifications(this.checked)">
+                        Desktop notification when an order is undercut
+                    </label>
+                    ${alerts.length > 0 ? '<button type="button" onclick="undercutMonitor.clearAlerts(); renderUndercutMonitor();">Clear Alerts</button>' : ''}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function runUndercutCheck() {
+    // The feed re-renders through onChange when the check finishes
+    undercutMonitor.check().catch(error => console.error('Undercut check failed:', error));
+    renderUndercutMonitor();
+}
+
+async function toggleUndercutNotifications(enabled) {
+    if (enabled && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            alert('Notifications are blocked for this site.');
+            document.getElementById('undercut-notify').checked = false;
+            return;
+        }
+    }
+    undercutMonitor.updateSettings({ notify: enabled });
+}
+
+function updateUndercutButton() {
+    const button = viewer.undercutBtn;
+    if (!button) return;
+    const unread = undercutMonitor.unreadCount;
+    button.textContent = unread > 0 ? `Undercut Alerts (${unread})` : 'Undercut Alerts';
+    button.classList.toggle('has-alerts', unread > 0);
+}
+
+// Package definitions editor
+function openPackageEditor(prefillName = '') {
+    let modal = document.getElementById('package-editor-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'package-editor-modal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    renderPackageEditor(prefillName);
+    modal.classList.add('active');
+    modal.onclick = closePackageEditor;
+}
+
+function closePackageEditor() {
+    const modal = document.getElementById('package-editor-modal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.onclick = null;
+    }
+}
+
+function renderPackageEditor(prefillName = '') {
+    const modal = document.getElementById('package-editor-modal');
+    if (!modal) return;
+
+    const unresolved = packageRegistry.getUnresolved(viewer.getAllItems(false));
+    const overrides = Array.from(packageRegistry.overrides.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+    const derived = Array.from(packageRegistry.derived.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+
+    const definitionRows = (entries, source) => entries.map(([name, def]) => `
+        <tr>
+            <td class="item-name">${escapeHtml(name)}</td>
+            <td>${escapeHtml(def.baseItemName)}</td>
+            <td class="count-value">${def.quantityPer.toLocaleString()}</td>
+            <td>${source}</td>
+            <td>${source === 'override'
+                ? `<button type="button" class="tag-action-btn" data-package-action="remove" data-package-name="${escapeAttr(name)}">Remove</button>`
+                : `<button type="button" class="tag-action-btn" data-package-action="edit" data-package-name="${escapeAttr(name)}">Override</button>`}</td>
+        </tr>
+    `).join('');
+
+    const prefill = prefillName ? packageRegistry.resolve(prefillName) : null;
+
+    modal.innerHTML = `
+        <div class="modal-content" onclick="event.stopPropagation()">
+            <div class="modal-header">
+                <h3>Package Definitions</h3>
+                <button class="modal-close" onclick="closePackageEditor()">&times;</button>
+            </div>
+            <div class="modal-body">
+                ${unresolved.length > 0 ? `
+                    <h4>Unresolved (${unresolved.length})</h4>
+                    <div class="package-unresolved-list">
+                        ${unresolved.map(name => `
+                            <button type="button" class="tag-action-btn" data-package-action="edit" data-package-name="${escapeAttr(name)}">${escapeHtml(name)}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                <h4>Add / Edit Override</h4>
+                <form class="editor-form" onsubmit="event.preventDefault(); savePackageOverride();">
+                    <input type="text" id="package-override-name" placeholder="Package name" value="${escapeAttr(prefillName)}">
+                    <input type="text" id="package-override-base" placeholder="Contains item" value="${escapeAttr(prefill?.baseItemName || (prefillName.endsWith(' Package') ? prefillName.slice(0, -8) : ''))}">
+                    <input type="number" id="package-override-qty" placeholder="Quantity" min="1" value="${prefill?.quantityPer || ''}">
+                    <button type="submit">Save</button>
+                </form>
+
+                <h4>Definitions</h4>
+                ${overrides.length + derived.length > 0 ? `
+                    <table class="inventory-table">
+                        <thead><tr><th>Package</th><th>Contains</th><th>Qty</th><th>Source</th><th></th></tr></thead>
+                        <tbody>
+                            ${definitionRows(overrides, 'override')}
+                            ${definitionRows(derived, 'derived')}
+                        </tbody>
+                    </table>
+                ` : '<p class="editor-note">No overrides or recipe-derived definitions yet.</p>'}
+                <p class="editor-note">Packages not listed above fall back to the built-in table (${Object.keys(PACKAGE_CONTENTS).length} package types).</p>
+
+                <div class="editor-actions">
+                    <button type="button" onclick="exportPackageOverrides()">Export JSON</button>
+                    <label class="editor-import-label">
+                        Import JSON
+                        <input type="file" accept="application/json,.json" onchange="importPackageOverrides(this.files[0])">
+                    </label>
+                </div>
+            </div>
+        </div>
+    `;
+
+    // Package names are free text, so buttons carry them in data attributes
+    modal.querySelector('.modal-content').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-package-action]');
+        if (!button) return;
+        if (button.dataset.packageAction === 'remove') {
+            removePackageOverride(button.dataset.packageName);
+        } else {
+            openPackageEditor(button.dataset.packageName);
+        }
+    });
+}
+
+function savePackageOverride() {
+    const name = document.getElementById('package-override-name').value.trim();
+    const baseItemName = document.getElementById('package-override-base').value.trim();
+    const quantityPer = parseInt(document.getElementById('package-override-qty').value);
+
+    if (!name || !baseItemName || !(quantityPer > 0)) {
+        alert('Enter a package name, the item it contains and a quantity above zero.');
+        return;
+    }
+
+    packageRegistry.setOverride(name, baseItemName, quantityPer);
+    renderPackageEditor();
+    viewer.render();
+}
+
+function removePackageOverride(name) {
+    packageRegistry.removeOverride(name);
+    renderPackageEditor();
+    viewer.render();
+}
+
+function exportPackageOverrides() {
+    downloadFile(packageRegistry.exportOverrides(), 'bitcraft-packages.json', 'application/json');
+}
+
+async function importPackageOverrides(file) {
+    if (!file) return;
+
+    try {
+        const count = packageRegistry.importOverrides(await file.text());
+        alert(`Imported ${count} package definition${count === 1 ? '' : 's'}.`);
+    } catch (error) {
+        console.error('Error importing package definitions:', error);
+        alert(`Could not import package definitions: ${error.message}`);
+    }
+
+    renderPackageEditor();
+    viewer.render();
+}
+
+function renderTagFilters(tags) {
+    const container = document.getElementById('tag-filter-container');
+    if (!container) {
+        console.error('Tag filter container not found');
+        return;
+    }
+    container.innerHTML = tags.map(tag => `
+        <button type="button" class="tag-pill ${marketViewer.selectedTags.has(tag) ? 'active' : ''}" data-tag="${tag}">
+            ${tag}
+        </button>
+    `).join('');
+}
+
+function setupMarketEventListeners() {
+    // Apply URL parameters to UI controls
+    document.getElementById('market-mode').value = marketViewer.mode;
+    document.getElementById('market-rarity-filter').value = marketViewer.selectedRarity;
+    document.getElementById('market-sort-by').value = marketViewer.sortBy;
+    document.getElementById('market-sort-order').value = marketViewer.sortOrder;
+    document.getElementById('market-search').value = marketViewer.searchTerm;
+    document.getElementById('market-region-filter').value = marketViewer.regionFilter;
+    document.getElementById('market-seller-filter').value = marketViewer.sellerFilter;
+    document.getElementById('market-buy-only').checked = marketViewer.buyOnly;
+
+    // Tag pill buttons
+    document.querySelectorAll('.tag-pill').forEach(pill => {
+        pill.addEventListener('click', (e) => {
+            const tag = e.currentTarget.dataset.tag;
+            if (marketViewer.selectedTags.has(tag)) {
+                marketViewer.selectedTags.delete(tag);
+                e.currentTarget.classList.remove('active');
+            } else {
+                marketViewer.selectedTags.add(tag);
+                e.currentTarget.classList.add('active');
+            }
+            marketViewer.updateUrl();
+            renderMarketTable();
+        });
+    });
+
+    // Select All button
+    const selectAllBtn = document.getElementById('select-all-tags');
+    if (selectAllBtn) {
+        selectAllBtn.addEventListener('click', () => {
+            const allTags = marketViewer.getAvailableTags();
+            allTags.forEach(tag => marketViewer.selectedTags.add(tag));
+            document.querySelectorAll('.tag-pill').forEach(pill => {
+                pill.classList.add('active');
+            });
+            marketViewer.updateUrl();
+            renderMarketTable();
+        });
+    }
+
+    // Clear All button
+    const clearAllBtn = document.getElementById('clear-all-tags');
+    if (clearAllBtn) {
+        clearAllBtn.addEventListener('click', () => {
+            marketViewer.selectedTags.clear();
+            document.querySelectorAll('.tag-pill').forEach(pill => {
+                pill.classList.remove('active');
+            });
+            marketViewer.updateUrl();
+            renderMarketTable();
+        });
+    }
+
+    document.getElementById('market-mode').addEventListener('change', (e) => {
+        marketViewer.mode = e.target.value;
+        marketViewer.updateUrl();
+        renderMarketTable();
+    });
+
+    // Rarity filter
+    document.getElementById('market-rarity-filter').addEventListener('change', (e) => {
+        marketViewer.selectedRarity = e.target.value;
+        marketViewer.updateUrl();
+        renderMarketTable();
+    });
+
+    // Sort controls
+    document.getElementById('market-sort-by').addEventListener('change', (e) => {
+        marketViewer.sortBy = e.target.value;
+        marketViewer.updateUrl();
+        renderMarketTable();
+    });
+
+    document.getElementById('market-sort-order').addEventListener('change', (e) => {
+        marketViewer.sortOrder = e.target.value;
+        marketViewer.updateUrl();
+        renderMarketTable();
+    });
+
+    // Text filters redraw once typing pauses rather than on every keystroke
+    document.getElementById('market-search').addEventListener('input', (e) => {
+        marketViewer.searchTerm = e.target.value;
+        marketViewer.updateUrl();
+        scheduleMarketTableRender();
+    });
+
+    document.getElementById('market-region-filter').addEventListener('input', (e) => {
+        marketViewer.regionFilter = e.target.value;
+        marketViewer.updateUrl();
+        scheduleMarketTableRender();
+    });
+
+    document.getElementById('market-seller-filter').addEventListener('input', (e) => {
+        marketViewer.sellerFilter = e.target.value;
+        marketViewer.updateUrl();
+        scheduleMarketTableRender();
+    });
+
+    document.getElementById('market-buy-only').addEventListener('change', (e) => {
+        marketViewer.buyOnly = e.target.checked;
+        marketViewer.updateUrl();
+        renderMarketTable();
+    });
+}
+
+// The listings table is virtualized: only the rows in (or near) the scroll window are in the DOM,
+// and prices are only fetched for rows the user stops on
+const MARKET_ROW_HEIGHT = 36;
+const MARKET_ROW_OVERSCAN = 8;
+const MARKET_PRICE_LOAD_DELAY = 150;
+
+let marketRenderTimer = null;
+function scheduleMarketTableRender() {
+    clearTimeout(marketRenderTimer);
+    marketRenderTimer = setTimeout(renderMarketTable, MARKET_PRICE_LOAD_DELAY);
+}
+
+// Filters, sort or mode changed: cancel price loads for the previous selection and redraw
+async function renderMarketTable() {
+    marketViewer.cancelPriceLoads();
+
+    if (marketViewer.mode === 'arbitrage') {
+        return renderArbitrageTable();
+    }
+
+    const content = document.getElementById('market-content');
+
+    // Helper function to get sort indicator
+    const getSortIndicator = (columnName) => {
+        if (marketViewer.sortBy === columnName) {
+            return marketViewer.sortOrder === 'asc' ? ' ▲' : ' ▼';
+        }
+        return '';
+    };
+
+    content.innerHTML = `
+        <div id="market-progress" class="market-progress"></div>
+        <div id="market-table-scroll" class="market-table-scroll">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th class="sortable-header" data-sort="name" style="cursor: pointer;">Item${getSortIndicator('name')}</th>
+                        <th class="sortable-header" data-sort="tier" style="cursor: pointer;">Tier${getSortIndicator('tier')}</th>
+                        <th class="sortable-header" data-sort="rarity" style="cursor: pointer;">Rarity${getSortIndicator('rarity')}</th>
+                        <th>Tag/Type</th>
+                        <th class="sortable-header" data-sort="price" style="cursor: pointer;">Best Ask${getSortIndicator('price')}</th>
+                        <th class="sortable-header" data-sort="quantity" style="cursor: pointer;">Available${getSortIndicator('quantity')}</th>
+                        <th class="sortable-header" data-sort="bid" style="cursor: pointer;">Best Bid${getSortIndicator('bid')}</th>
+                        <th class="sortable-header" data-sort="spread" style="cursor: pointer;">Spread${getSortIndicator('spread')}</th>
+                        <th class="sortable-header" data-sort="bidDepth" style="cursor: pointer;">Bid Depth${getSortIndicator('bidDepth')}</th>
+                        <th class="sortable-header" data-sort="seller" style="cursor: pointer;">Seller${getSortIndicator('seller')}</th>
+                        <th class="sortable-header" data-sort="region" style="cursor: pointer;">Region${getSortIndicator('region')}</th>
+                        <th>Details</th>
+                    </tr>
+                </thead>
+                <tbody id="market-table-body"></tbody>
+            </table>
+        </div>
+    `;
+
+    // Add click handlers to sortable headers
+    document.querySelectorAll('.sortable-header').forEach(header => {
+        header.addEventListener('click', () => {
+            const sortColumn = header.dataset.sort;
+            // Toggle order if clicking the same column, otherwise default to ascending
+            if (marketViewer.sortBy === sortColumn) {
+                marketViewer.sortOrder = marketViewer.sortOrder === 'asc' ? 'desc' : 'asc';
+            } else {
+                marketViewer.sortBy = sortColumn;
+                marketViewer.sortOrder = 'asc';
+            }
+            marketViewer.updateUrl();
+            // Update UI controls to match
+            document.getElementById('market-sort-by').value = marketViewer.sortBy;
+            document.getElementById('market-sort-order').value = marketViewer.sortOrder;
+            renderMarketTable();
+        });
+    });
+
+    let frame = null;
+    const scroll = document.getElementById('market-table-scroll');
+    scroll.addEventListener('scroll', () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            renderMarketRows();
+        });
+    });
+
+    // Rows are redrawn on every scroll, so their buttons are handled here once
+    scroll.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-market-action]');
+        if (!button) return;
+        const { marketAction, itemId, itemType, itemName } = button.dataset;
+        if (marketAction === 'chart') {
+            showPriceHistory(itemId, itemType);
+        } else if (marketAction === 'watch') {
+            toggleWatchlist(itemId, itemType, itemName, button);
+        }
+    });
+
+    updateMarketTable();
+}
+
+// Recompute the filtered rows (prices may have dropped or reordered some) and redraw the window
+// without cancelling the price loads in flight
+function updateMarketTable() {
+    const content = document.getElementById('market-content');
+    if (!content || marketViewer.mode === 'arbitrage') return;
+
+    const items = marketViewer.getFilteredItems();
+    marketViewer.tableItems = items;
+
+    // Update stats
+    document.getElementById('market-stat-total').textContent = marketViewer.items.length.toLocaleString();
+    document.getElementById('market-stat-filtered').textContent = items.length.toLocaleString();
+
+    // Calculate total available quantity across all filtered items
+    const totalAvailable = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+    document.getElementById('market-stat-available').textContent = totalAvailable.toLocaleString();
+
+    const scroll = document.getElementById('market-table-scroll');
+    if (items.length === 0) {
+        const message = marketViewer.selectedTags.size === 0
+            ? 'Please select at least one tag/type to view market items.'
+            : (marketViewer.buyOnly ? 'No buy-only items match your filters.' : 'No items match your filters.');
+        content.innerHTML = `<p class="empty-state">${message}</p>`;
+        return;
+    }
+    if (!scroll) {
+        // Coming back from the empty state
+        renderMarketTable();
+        return;
+    }
+
+    renderMarketRows();
+    renderMarketProgress();
+}
+
+// Draw the rows in the scroll window between two spacer rows, then fetch their prices
+function renderMarketRows() {
+    const scroll = document.getElementById('market-table-scroll');
+    const tbody = document.getElementById('market-table-body');
+    if (!scroll || !tbody) return;
+
+    const items = marketViewer.tableItems;
+    const visibleRows = Math.ceil((scroll.clientHeight || window.innerHeight) / MARKET_ROW_HEIGHT);
+    const start = Math.max(0, Math.floor(scroll.scrollTop / MARKET_ROW_HEIGHT) - MARKET_ROW_OVERSCAN);
+    const end = Math.min(items.length, start + visibleRows + MARKET_ROW_OVERSCAN * 2);
+    const visible = items.slice(start, end);
+
+    const loading = '<span class="loading-text">...</span>';
+    tbody.innerHTML = `
+        ${start > 0 ? `<tr class="market-spacer" style="height: ${start * MARKET_ROW_HEIGHT}px;"><td colspan="12"></td></tr>` : ''}
+        ${visible.map(item => `
+            <tr class="rarity-row-${item.rarity.toLowerCase()}" data-item-id="${item.id}">
+                <td class="item-name">
+                    <a href="https://bitjita.com/market/item/${item.id}" target="_blank" rel="noopener noreferrer" style="color: inherit; text-decoration: none;">
+                        ${escapeHtml(item.name)}
+                    </a>
+                </td>
+                <td><span class="tier-badge">T${item.tier}</span></td>
+                <td><span class="rarity-${item.rarity.toLowerCase()}">${item.rarity}</span></td>
+                <td>${escapeHtml(item.tag)}</td>
+                <td class="price-value">${item.priceLoaded ? (item.price != null ? item.price.toLocaleString() : '—') : loading}</td>
+                <td class="count-value">${item.priceLoaded ? (item.quantity != null ? item.quantity.toLocaleString() : '—') : loading}</td>
+                <td class="price-value">${item.priceLoaded ? (item.bestBid != null ? item.bestBid.toLocaleString() : '—') : loading}</td>
+                <td class="price-value">${item.priceLoaded ? (marketViewer.getSpread(item) != null ? marketViewer.getSpread(item).toLocaleString() : '—') : loading}</td>
+                <td class="count-value">${item.priceLoaded ? (item.bidDepth ? item.bidDepth.toLocaleString() : '—') : loading}</td>
+                <td class="seller-value">${item.priceLoaded ? (item.seller || '—') : loading}</td>
+                <td class="region-value">${item.priceLoaded ? (item.regionName ? `${escapeHtml(item.regionName)}${item.regionId ? ' (' + item.regionId + ')' : ''}` : '—') : loading}</td>
+                <td class="row-actions">
+                    ${renderOrderBookButton(item.id, marketViewer.normalizeItemType(item.itemType), item.name)}
+                    ${marketViewer.hasPriceHistory(item.id, item.itemType) ? `<button type="button" class="tag-action-btn" data-market-action="chart" data-item-id="${escapeAttr(item.id)}" data-item-type="${marketViewer.normalizeItemType(item.itemType)}">Chart</button>` : ''}
+                    <button type="button" class="tag-action-btn" data-market-action="watch" data-item-id="${escapeAttr(item.id)}" data-item-type="${marketViewer.normalizeItemType(item.itemType)}" data-item-name="${escapeAttr(item.name)}">${watchlist.find(item.id, marketViewer.normalizeItemType(item.itemType)) ? 'Watching' : 'Watch'}</button>
+                </td>
+            </tr>
+        `).join('')}
+        ${end < items.length ? `<tr class="market-spacer" style="height: ${(items.length - end) * MARKET_ROW_HEIGHT}px;"><td colspan="12"></td></tr>` : ''}
+    `;
+
+    // Wait for scrolling to settle so rows flicked past aren't fetched
+    clearTimeout(marketViewer.priceLoadTimer);
+    if (visible.some(item => !item.priceLoaded)) {
+        marketViewer.priceLoadTimer = setTimeout(() => loadMarketPrices(visible), MARKET_PRICE_LOAD_DELAY);
+    }
+}
+
+function loadMarketPrices(items) {
+    // Redraw at most once per frame while prices arrive
+    let frame = null;
+    const onItemLoaded = () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            updateMarketTable();
+        });
+    };
+
+    const load = marketViewer.loadPricesForVisibleItems(items, onItemLoaded);
+    renderMarketProgress();
+    return load
+        .then(() => renderMarketProgress())
+        .catch(error => {
+            if (!isAbortError(error)) console.error('Error loading market prices:', error);
+            renderMarketProgress();
+        });
+}
+
+// Fetch prices for every filtered item, e.g. so price sorts cover the whole selection
+function loadAllMarketPrices() {
+    loadMarketPrices(marketViewer.tableItems);
+}
+
+function renderMarketProgress() {
+    const progress = document.getElementById('market-progress');
+    if (!progress) return;
+
+    const items = marketViewer.tableItems;
+    const loaded = items.filter(item => item.priceLoaded).length;
+    const loading = marketViewer.pendingPriceItems.size;
+    const percent = items.length > 0 ? Math.round(loaded / items.length * 100) : 100;
+    const priceSort = ['price', 'quantity', 'bid', 'spread', 'bidDepth', 'seller', 'region'].includes(marketViewer.sortBy);
+
+    progress.innerHTML = `
+        <div class="market-progress-bar"><div style="width: ${percent}%;"></div></div>
+        <span>Prices loaded for ${loaded.toLocaleString()} of ${items.length.toLocaleString()} items${loading > 0 ? ` &middot; <span class="loading-text">loading ${loading.toLocaleString()}...</span>` : ''}</span>
+        ${loaded < items.length ? `
+            ${priceSort ? '<span class="editor-note">Sorting only covers items with loaded prices.</span>' : ''}
+            <button type="button" class="tag-action-btn" onclick="loadAllMarketPrices()">Load All Prices</button>
+        ` : ''}
+    `;
+}
+
+async function renderArbitrageTable() {
+    const items = marketViewer.getFilteredItems();
+    const content = document.getElementById('market-content');
+
+    document.getElementById('market-stat-total').textContent = marketViewer.items.length.toLocaleString();
+    document.getElementById('market-stat-filtered').textContent = items.length.toLocaleString();
+
+    if (items.length === 0) {
+        const message = marketViewer.selectedTags.size === 0
+            ? 'Please select at least one tag/type to find arbitrage opportunities.'
+            : 'No items match your filters.';
+        content.innerHTML = `<p class="empty-state">${message}</p>`;
+        document.getElementById('market-stat-available').textContent = '0';
+        return;
+    }
+
+    // Order books are fetched once per item; later filter changes only re-run the comparison
+    const missing = items.filter(item => !item.orderBook);
+    if (missing.length > 0) {
+        const loadId = ++marketViewer.arbitrageLoadId;
+        content.innerHTML = `<p class="empty-state"><span class="loading-text">Loading order books for ${missing.length.toLocaleString()} items...</span></p>`;
+        try {
+            await marketViewer.loadOrderBooks(missing);
+        } catch (error) {
+            if (!isAbortError(error)) console.error('Error loading order books:', error);
+            return;
+        }
+        // A newer render (filter change) has taken over
+        if (loadId !== marketViewer.arbitrageLoadId || marketViewer.mode !== 'arbitrage') return;
+    }
+
+    const opportunities = marketViewer.findArbitrageOpportunities(items);
+    const totalQuantity = opportunities.reduce((sum, o) => sum + o.quantity, 0);
+    document.getElementById('market-stat-available').textContent = totalQuantity.toLocaleString();
+
+    if (opportunities.length === 0) {
+        content.innerHTML = '<p class="empty-state">No cross-region opportunities: no buy order in one region pays more than the cheapest sell order in another.</p>';
+        return;
+    }
+
+    const formatRegion = (order) => order.regionName
+        ? `${escapeHtml(order.regionName)}${order.regionId ? ' (' + order.regionId + ')' : ''}`
+        : '—';
+
+    content.innerHTML = `
+        <table class="inventory-table">
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Tier</th>
+                    <th>Buy From</th>
+                    <th>Cheapest Sell</th>
+                    <th>Sell To</th>
+                    <th>Highest Buy</th>
+                    <th>Margin</th>
+                    <th>Quantity</th>
+                    <th>Est. Profit</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${opportunities.map(o => `
+                    <tr class="rarity-row-${o.item.rarity.toLowerCase()}">
+                        <td class="item-name">
+                            <a href="https://bitjita.com/market/item/${o.item.id}" target="_blank" rel="noopener noreferrer" style="color: inherit; text-decoration: none;">
+                                ${escapeHtml(o.item.name)}
+                            </a>
+                        </td>
+                        <td><span class="tier-badge">T${o.item.tier}</span></td>
+                        <td class="region-value">${formatRegion(o.buyFrom)}${o.buyFrom.seller ? `<br><small>${escapeHtml(o.buyFrom.seller)}</small>` : ''}</td>
+                        <td class="price-value">${o.buyFrom.price.toLocaleString()}</td>
+                        <td class="region-value">${formatRegion(o.sellTo)}${o.sellTo.seller ? `<br><small>${escapeHtml(o.sellTo.seller)}</small>` : ''}</td>
+                        <td class="price-value">${o.sellTo.price.toLocaleString()}</td>
+                        <td class="price-value">${o.margin.toLocaleString()}</td>
+                        <td class="count-value">${o.quantity.toLocaleString()}</td>
+                        <td class="price-value">${o.profit.toLocaleString()}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="editor-note">Quantity and profit match sell orders against buy orders level by level while the buy price stays above the sell price. Travel time and market fees are not included.</p>
+    `;
+}
+
+// Price history chart (prices are recorded by the poller Lambda for items in the price registry)
+let priceHistoryChart = null;
+
+async function showPriceHistory(itemId, itemType = 'item', hours = 168) {
+    let modal = document.getElementById('price-history-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'price-history-modal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    const item = marketViewer.items.find(i => i.id === String(itemId));
+    const itemName = item?.name || viewer.itemDatabase.get(String(itemId))?.name || `Item ${itemId}`;
+    const ranges = [[24, 'Last 24 Hours'], [168, 'Last 7 Days'], [720, 'Last 30 Days']];
+
+    modal.innerHTML = `
+        <div class="modal-content" onclick="event.stopPropagation()">
+            <div class="modal-header">
+                <h3>${escapeHtml(itemName)} - Price History</h3>
+                <button class="modal-close" onclick="closePriceHistoryModal()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div class="price-history-controls">
+                    <select id="price-history-range" onchange="showPriceHistory('${itemId}', '${itemType}', parseInt(this.value))">
+                        ${ranges.map(([value, label]) => `<option value="${value}" ${value === hours ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    ${marketViewer.hasPriceHistory(itemId, itemType) ? `<button type="button" class="tag-action-btn" onclick="stopRecordingPriceHistory('${itemId}', '${itemType}')">Stop Recording</button>` : ''}
+                </div>
+                <div id="price-history-message" class="price-history-message"><span class="loading-text">Loading...</span></div>
+                <div class="price-history-chart">
+                    <canvas id="price-history-canvas"></canvas>
+                </div>
+            </div>
+        </div>
+    `;
+
+    modal.classList.add('active');
+    modal.onclick = closePriceHistoryModal;
+
+    const endTime = Math.floor(Date.now() / 1000);
+    const startTime = endTime - (hours * 3600);
+    const interval = hours > 24 ? 'hourly' : 'raw';
+    const url = `${PRICE_HISTORY_API}?itemId=${itemId}&itemType=${itemType}&startTime=${startTime}&endTime=${endTime}&interval=${interval}`;
+
+    // Only render the latest request (another item or range may have been opened meanwhile)
+    const requestKey = `${itemType}:${itemId}:${hours}`;
+    modal.dataset.requestKey = requestKey;
+    const isCurrent = () => modal.dataset.requestKey === requestKey && modal.classList.contains('active');
+
+    try {
+        const data = await apiClient.getJson(url);
+        if (!isCurrent()) return;
+        renderPriceHistoryChart(data.data || [], hours);
+    } catch (error) {
+        if (!isCurrent()) return;
+        console.error('Error fetching price history:', error);
+        const message = document.getElementById('price-history-message');
+        if (message) {
+            message.innerHTML = `<span style="color: var(--danger);">Error: ${escapeHtml(error.message)}</span>`;
+        }
+    }
+}
+
+function renderPriceHistoryChart(points, hours) {
+    const canvas = document.getElementById('price-history-canvas');
+    const message = document.getElementById('price-history-message');
+    if (!canvas) return;
+
+    if (priceHistoryChart) {
+        priceHistoryChart.destroy();
+        priceHistoryChart = null;
+    }
+
+    if (points.length === 0) {
+        message.innerHTML = 'No price history recorded for this item yet. The poller records prices every cycle once an item is added from the watchlist.';
+        canvas.style.display = 'none';
+        return;
+    }
+
+    message.innerHTML = '';
+    canvas.style.display = 'block';
+
+    const formatLabel = (ts) => {
+        const d = new Date(ts * 1000);
+        const time = `${d.getHours().toString().padStart(2, '0')}:${d.getMinutes().toString().padStart(2, '0')}`;
+        const date = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return hours <= 24 ? time : `${date} ${time}`;
+    };
+
+    const dataset = (label, field, color) => ({
+        label,
+        data: points.map(point => point[field]),
+        borderColor: color,
+        backgroundColor: color + '20',
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: points.length > 50 ? 0 : 2,
+        pointHoverRadius: 5,
+        spanGaps: true
+    });
+
+    priceHistoryChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: points.map(point => formatLabel(point.timestamp)),
+            datasets: [
+                dataset('Cheapest Sell', 'cheapestSell', '#ef4444'),
+                dataset('Best Buy', 'bestBuy', '#22c55e')
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    type: 'category',
+                    grid: { color: '#374151' },
+                    ticks: { color: '#9ca3af', maxRotation: 45, autoSkip: true, maxTicksLimit: 12 }
+                },
+                y: {
+                    type: 'linear',
+                    title: { display: true, text: 'Price', color: '#9ca3af' },
+                    grid: { color: '#374151' },
+                    ticks: { color: '#9ca3af' }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: { color: '#9ca3af', usePointStyle: true, padding: 15 }
+                },
+                tooltip: {
+                    callbacks: {
+                        afterBody: (items) => {
+                            const point = points[items[0].dataIndex];
+                            const lines = [];
+                            if (point.sellQuantity != null) lines.push(`Sell qty at best: ${point.sellQuantity.toLocaleString()}`);
+                            if (point.buyQuantity != null) lines.push(`Buy qty at best: ${point.buyQuantity.toLocaleString()}`);
+                            return lines;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Remove an item from the price registry; its recorded history is kept
+async function stopRecordingPriceHistory(itemId, itemType) {
+    if (!confirm('Stop recording price history for this item? History already recorded is kept.')) return;
+
+    try {
+        await marketViewer.stopRecordingPrices(itemId, itemType);
+    } catch (error) {
+        console.error('Error removing recorded price item:', error);
+        alert(`Could not stop recording prices: ${error.message}`);
+        return;
+    }
+
+    closePriceHistoryModal();
+    renderMarketRows();
+    renderWatchlistTable();
+}
+
+function closePriceHistoryModal() {
+    const modal = document.getElementById('price-history-modal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.onclick = null;
+    }
+    if (priceHistoryChart) {
+        priceHistoryChart.destroy();
+        priceHistoryChart = null;
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// escapeHtml leaves quotes alone (fine for text), so attribute values need this instead
+function escapeAttr(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Trigger a browser download for generated content
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+async function renderProfessionHistoryView() {
+    const inventoryDisplay = document.querySelector('.inventory-display');
+    if (!inventoryDisplay) return;
+
+    storeOriginalInventory(inventoryDisplay);
+
+    // Tracked players come from the registry the poller reads
+    let registryError = null;
+    try {
+        await professionViewer.loadTrackedPlayers();
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Error loading tracked players:', error);
+        registryError = error;
+    }
+    const trackedPlayers = professionViewer.trackedPlayers;
+    if (professionViewer.mode === 'compare' && professionViewer.comparePlayers.size === 0) {
+        trackedPlayers.forEach(player => professionViewer.comparePlayers.add(player.playerId));
+    }
+
+    // Read URL parameters
+    const urlParams = new URLSearchParams(window.location.search);
+    const urlPlayer = urlParams.get('player');
+    const urlHours = urlParams.get('hours');
+
+    // Set initial values from URL or defaults (validate URL player is in tracked list)
+    const isValidPlayer = trackedPlayers.some(p => p.playerId === urlPlayer);
+    const initialPlayer = (urlPlayer && isValidPlayer) ? urlPlayer : trackedPlayers[0]?.playerId || null;
+    const initialHours = urlHours ? parseInt(urlHours) : 1;
+
+    // Create the profession history HTML
+    const professionHistoryHTML = `
+        <div id="profession-history-content">
+            <div class="profession-controls">
+                <div class="control-row">
+                    <div class="control-group">
+                        <label>Mode:</label>
+                        <select id="profession-mode">
+                            <option value="single" ${professionViewer.mode === 'single' ? 'selected' : ''}>Single Player</option>
+                            <option value="compare" ${professionViewer.mode === 'compare' ? 'selected' : ''}>Compare Players</option>
+                        </select>
+                    </div>
+                    <div class="control-group single-control">
+                        <label>Select Player:</label>
+                        <select id="player-select"></select>
+                    </div>
+                    <button type="button" id="untrack-player-btn" class="tag-action-btn single-control" onclick="untrackProfessionPlayer()">Stop Tracking</button>
+                    <div class="control-group single-control">
+                        <label>Target Level:</label>
+                        <input type="number" id="target-level" min="2" max="${MAX_SKILL_LEVEL}" placeholder="None" value="${professionViewer.targetLevel || ''}" style="width: 5rem;">
+                    </div>
+                    <div class="control-group compare-control">
+                        <label>Profession:</label>
+                        <select id="compare-profession">
+                            <option value="total">All Professions</option>
+                            ${PROFESSION_NAMES.map(prof => `<option value="${prof}" ${professionViewer.compareProfession === prof ? 'selected' : ''}>${professionViewer.getProfessionLabel(prof)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>Time Range:</label>
+                        <select id="time-range-select">
+                            <option value="1" ${initialHours === 1 ? 'selected' : ''}>Last Hour</option>
+                            <option value="3" ${initialHours === 3 ? 'selected' : ''}>Last 3 Hours</option>
+                            <option value="6" ${initialHours === 6 ? 'selected' : ''}>Last 6 Hours</option>
+                            <option value="24" ${initialHours === 24 ? 'selected' : ''}>Last 24 Hours</option>
+                            <option value="168" ${initialHours === 168 ? 'selected' : ''}>Last 7 Days</option>
+                            <option value="720" ${initialHours === 720 ? 'selected' : ''}>Last 30 Days</option>
+                        </select>
+                    </div>
+                    <div id="profession-message" style="margin-left: auto; display: flex; align-items: center;"></div>
+                </div>
+                <div class="control-row compare-control">
+                    <div class="control-group">
+                        <label>Compare:</label>
+                        <div id="compare-players" class="compare-players"></div>
+                    </div>
+                </div>
+                <div class="control-row">
+                    <div class="control-group">
+                        <label>Track a Player:</label>
+                        <input type="text" id="track-player-search" placeholder="Search player name...">
+                    </div>
+                    <button type="button" id="track-player-search-btn" class="tag-action-btn">Search</button>
+                </div>
+                <div id="track-player-results" class="track-player-results"></div>
+            </div>
+            <div class="chart-container" style="position: relative; height: 500px; margin-top: 1rem;">
+                <canvas id="profession-chart"></canvas>
+            </div>
+            <div style="display: flex; gap: 1rem; margin-top: 1rem;">
+                <div class="chart-container" style="position: relative; height: 400px; flex: 0 0 50%;">
+                    <canvas id="profession-summary-chart"></canvas>
+                </div>
+                <div class="chart-container single-panel" style="position: relative; height: 400px; flex: 0 0 25%;">
+                    <canvas id="profession-pie-chart"></canvas>
+                </div>
+                <div class="chart-container compare-panel" id="profession-compare-table" style="flex: 1; overflow-x: auto;"></div>
+                <div class="chart-container single-panel" style="position: relative; height: 400px; flex: 0 0 25%; display: flex; flex-direction: column; justify-content: center; align-items: center; padding: 1.5rem;">
+                    <div style="text-align: center;">
+                        <div style="font-size: 0.875rem; font-weight: 600; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 1.5rem;" id="stats-title">Total XP / XP Gained</div>
+                        <div id="total-xp-display" style="font-size: 2rem; font-weight: 700; color: var(--text-primary); margin-bottom: 0.5rem;">-</div>
+                        <div style="font-size: 0.75rem; color: var(--text-muted); margin-bottom: 1.5rem;">Current Total XP</div>
+                        <div id="xp-gained-display" style="font-size: 1.5rem; font-weight: 600; color: var(--accent); margin-bottom: 0.5rem;">-</div>
+                        <div style="font-size: 0.75rem; color: var(--text-muted);">XP Gained</div>
+                    </div>
+                </div>
+            </div>
+            <div class="chart-container single-panel" id="profession-levels" style="margin-top: 1rem; overflow-x: auto;"></div>
+            <div class="chart-container single-panel" id="profession-heatmap" style="margin-top: 1rem; overflow-x: auto;"></div>
+            <div class="chart-container single-panel" id="profession-sessions" style="margin-top: 1rem; overflow-x: auto;"></div>
+        </div>
+    `;
+
+    inventoryDisplay.innerHTML = professionHistoryHTML;
+
+    // Set initial timeRange from URL
+    professionViewer.timeRange = initialHours;
+
+    // Setup event listeners
+    const playerSelect = document.getElementById('player-select');
+    const timeRangeSelect = document.getElementById('time-range-select');
+
+    playerSelect.addEventListener('change', () => {
+        professionViewer.render(playerSelect.value);
+    });
+
+    timeRangeSelect.addEventListener('change', () => {
+        professionViewer.updateTimeRange(parseInt(timeRangeSelect.value));
+    });
+
+    document.getElementById('profession-mode').addEventListener('change', (e) => {
+        professionViewer.setMode(e.target.value);
+    });
+
+    document.getElementById('target-level').addEventListener('change', (e) => {
+        professionViewer.setTargetLevel(e.target.value);
+    });
+
+    document.getElementById('compare-profession').addEventListener('change', (e) => {
+        professionViewer.compareProfession = e.target.value;
+        professionViewer.render();
+    });
+
+    document.getElementById('track-player-search-btn').addEventListener('click', () => searchPlayersToTrack());
+    document.getElementById('track-player-search').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') searchPlayersToTrack();
+    });
+    document.getElementById('track-player-results').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-track-player]');
+        if (button) trackProfessionPlayer(button.dataset.trackPlayer, button.dataset.username);
+    });
+
+    renderTrackedPlayerOptions(initialPlayer);
+    updateProfessionModeControls();
+
+    if (registryError) {
+        professionViewer.renderError(`Could not load tracked players (${escapeHtml(registryError.message)})`);
+        return;
+    }
+    if (!initialPlayer) {
+        professionViewer.selectedPlayer = null;
+        professionViewer.renderEmptyState('No players tracked yet. Search for a player below to start recording their XP.');
+        return;
+    }
 
-    // Add click outside to close
-    modal.onclick = closeMarketDetailsModal;
+    // Render with initial player
+    await professionViewer.render(initialPlayer);
 }
 
-function closeMarketDetailsModal() {
-    const modal = document.getElementById('market-details-modal');
-    if (modal) {
-        modal.classList.remove('active');
-        modal.onclick = null;
+// Show the single-player or comparison controls and panels
+function updateProfessionModeControls() {
+    const compare = professionViewer.mode === 'compare';
+    document.querySelectorAll('.single-control, .single-panel').forEach(el => {
+        el.style.display = compare ? 'none' : '';
+    });
+    document.querySelectorAll('.compare-control, .compare-panel').forEach(el => {
+        el.style.display = compare ? '' : 'none';
+    });
+}
+
+// Player checkboxes for compare mode
+function renderComparePlayerOptions() {
+    const container = document.getElementById('compare-players');
+    if (!container) return;
+
+    const players = professionViewer.trackedPlayers;
+    container.innerHTML = players.length > 0
+        ? players.map(player => `
+            <label class="compare-player">
+                <input type="checkbox" value="${escapeHtml(player.playerId)}" ${professionViewer.comparePlayers.has(player.playerId) ? 'checked' : ''}
+                    onchange="toggleComparePlayer(this.value, this.checked)">
+                ${escapeHtml(player.username)}
+            </label>
+        `).join('')
+        : '<span class="editor-note">No tracked players</span>';
+}
+
+function toggleComparePlayer(playerId, checked) {
+    if (checked) {
+        professionViewer.comparePlayers.add(playerId);
+    } else {
+        professionViewer.comparePlayers.delete(playerId);
     }
+    professionViewer.render();
 }
 
-function renderTagFilters(tags) {
-    const container = document.getElementById('tag-filter-container');
-    if (!container) {
-        console.error('Tag filter container not found');
+// Rebuild the tracked player dropdown from the registry
+function renderTrackedPlayerOptions(selectedId) {
+    const select = document.getElementById('player-select');
+    if (!select) return;
+
+    const players = professionViewer.trackedPlayers;
+    select.innerHTML = players.length > 0
+        ? players.map(player => `<option value="${escapeHtml(player.playerId)}" ${player.playerId === selectedId ? 'selected' : ''}>${escapeHtml(player.username)}</option>`).join('')
+        : '<option value="">No tracked players</option>';
+    select.disabled = players.length === 0;
+    document.getElementById('untrack-player-btn').disabled = players.length === 0;
+    renderComparePlayerOptions();
+}
+
+// Search players by name (same search as the inventory view) and list them with Track buttons
+async function searchPlayersToTrack() {
+    const input = document.getElementById('track-player-search');
+    const results = document.getElementById('track-player-results');
+    const query = input.value.trim();
+    if (!query) return;
+
+    results.innerHTML = '<p class="loading-text">Searching...</p>';
+    try {
+        const players = await viewer.findPlayers(query);
+        if (players.length === 0) {
+            results.innerHTML = '<p class="error-message">No players found.</p>';
+            return;
+        }
+
+        results.innerHTML = players.map(player => {
+            const tracked = professionViewer.trackedPlayers.some(p => p.playerId === String(player.entityId));
+            return `
+                <div class="search-result-item">
+                    <span>${escapeHtml(player.username)}</span>
+                    ${tracked
+                        ? '<span class="editor-note">Tracked</span>'
+                        : `<button data-track-player="${escapeAttr(player.entityId)}" data-username="${escapeAttr(player.username)}">Track</button>`}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Search error:', error);
+        results.innerHTML = '<p class="error-message">Error searching for player. Try again.</p>';
+    }
+}
+
+async function trackProfessionPlayer(playerId, username) {
+    try {
+        await professionViewer.trackPlayer(String(playerId), username);
+    } catch (error) {
+        console.error('Error tracking player:', error);
+        alert(`Could not track ${username}: ${error.message}`);
         return;
     }
-    container.innerHTML = tags.map(tag => `
-        <button type="button" class="tag-pill ${marketViewer.selectedTags.has(tag) ? 'active' : ''}" data-tag="${tag}">
-            ${tag}
-        </button>
-    `).join('');
+
+    document.getElementById('track-player-results').innerHTML = '';
+    document.getElementById('track-player-search').value = '';
+    renderTrackedPlayerOptions(String(playerId));
+    await professionViewer.render(String(playerId));
+    const messageDiv = document.getElementById('profession-message');
+    if (messageDiv && !messageDiv.textContent.trim().startsWith('Error')) {
+        messageDiv.innerHTML = `<span style="color: var(--text-muted); font-size: 0.875rem;">Tracking ${escapeHtml(username)}. History starts with the next poll.</span>`;
+    }
 }
 
-function setupMarketEventListeners() {
-    // Apply URL parameters to UI controls
-    document.getElementById('market-rarity-filter').value = marketViewer.selectedRarity;
-    document.getElementById('market-sort-by').value = marketViewer.sortBy;
-    document.getElementById('market-sort-order').value = marketViewer.sortOrder;
-    document.getElementById('market-search').value = marketViewer.searchTerm;
-    document.getElementById('market-region-filter').value = marketViewer.regionFilter;
-    document.getElementById('market-seller-filter').value = marketViewer.sellerFilter;
+async function untrackProfessionPlayer() {
+    const playerId = professionViewer.selectedPlayer;
+    if (!playerId) return;
 
-    // Tag pill buttons
-    document.querySelectorAll('.tag-pill').forEach(pill => {
-        pill.addEventListener('click', (e) => {
-            const tag = e.currentTarget.dataset.tag;
-            if (marketViewer.selectedTags.has(tag)) {
-                marketViewer.selectedTags.delete(tag);
-                e.currentTarget.classList.remove('active');
-            } else {
-                marketViewer.selectedTags.add(tag);
-                e.currentTarget.classList.add('active');
-            }
-            marketViewer.updateUrl();
-            renderMarketTable();
-        });
-    });
+    const username = professionViewer.getPlayerName(playerId);
+    if (!confirm(`Stop tracking ${username}? XP already recorded is kept, but no new data will be collected.`)) return;
 
-    // Select All button
-    const selectAllBtn = document.getElementById('select-all-tags');
-    if (selectAllBtn) {
-        selectAllBtn.addEventListener('click', () => {
-            const allTags = marketViewer.getAvailableTags();
-            allTags.forEach(tag => marketViewer.selectedTags.add(tag));
-            document.querySelectorAll('.tag-pill').forEach(pill => {
-                pill.classList.add('active');
-            });
-            marketViewer.updateUrl();
-            renderMarketTable();
-        });
+    try {
+        await professionViewer.untrackPlayer(playerId);
+    } catch (error) {
+        console.error('Error removing tracked player:', error);
+        alert(`Could not stop tracking ${username}: ${error.message}`);
+        return;
     }
 
-    // Clear All button
-    const clearAllBtn = document.getElementById('clear-all-tags');
-    if (clearAllBtn) {
-        clearAllBtn.addEventListener('click', () => {
-            marketViewer.selectedTags.clear();
-            document.querySelectorAll('.tag-pill').forEach(pill => {
-                pill.classList.remove('active');
-            });
-            marketViewer.updateUrl();
-            renderMarketTable();
-        });
+    const next = professionViewer.trackedPlayers[0]?.playerId || null;
+    renderTrackedPlayerOptions(next);
+    if (next) {
+        await professionViewer.render(next);
+    } else {
+        professionViewer.selectedPlayer = null;
+        professionViewer.renderEmptyState('No players tracked yet. Search for a player below to start recording their XP.');
     }
+}
 
-    // Rarity filter
-    document.getElementById('market-rarity-filter').addEventListener('change', (e) => {
-        marketViewer.selectedRarity = e.target.value;
-        marketViewer.updateUrl();
-        renderMarketTable();
-    });
+// Crafting Planner View Rendering
+async function renderPlannerView() {
+    const inventoryDisplay = document.querySelector('.inventory-display');
+    if (!inventoryDisplay) return;
 
-    // Sort controls
-    document.getElementById('market-sort-by').addEventListener('change', (e) => {
-        marketViewer.sortBy = e.target.value;
-        marketViewer.updateUrl();
-        renderMarketTable();
-    });
+    storeOriginalInventory(inventoryDisplay);
 
-    document.getElementById('market-sort-order').addEventListener('change', (e) => {
-        marketViewer.sortOrder = e.target.value;
-        marketViewer.updateUrl();
-        renderMarketTable();
-    });
+    // Item names for the target picker come from the item database
+    const itemNames = Array.from(new Set(
+        Array.from(viewer.itemDatabase.values()).map(item => item.name).filter(Boolean)
+    )).sort((a, b) => a.localeCompare(b));
 
-    // Search
-    document.getElementById('market-search').addEventListener('input', (e) => {
-        marketViewer.searchTerm = e.target.value;
-        marketViewer.updateUrl();
-        renderMarketTable();
-    });
+    const urlParams = new URLSearchParams(window.location.search);
+    const initialItem = urlParams.get('plan_item') || '';
+    const initialQuantity = parseInt(urlParams.get('plan_qty')) || 1;
 
-    document.getElementById('market-region-filter').addEventListener('input', (e) => {
-        marketViewer.regionFilter = e.target.value;
-        marketViewer.updateUrl();
-        renderMarketTable();
+    inventoryDisplay.innerHTML = `
+        <div id="planner-content">
+            <div class="profession-controls">
+                <div class="control-row">
+                    <div class="control-group">
+                        <label>Target Item:</label>
+                        <input type="text" id="planner-item" list="planner-item-list" placeholder="Search items..." value="${escapeHtml(initialItem)}">
+                        <datalist id="planner-item-list">
+                            ${itemNames.map(name => `<option value="${escapeHtml(name)}"></option>`).join('')}
+                        </datalist>
+                    </div>
+                    <div class="control-group">
+                        <label>Quantity:</label>
+                        <input type="number" id="planner-quantity" min="1" value="${initialQuantity}">
+                    </div>
+                    <button id="planner-run-btn" class="tag-action-btn">Plan</button>
+                </div>
+            </div>
+            <div id="planner-results" style="margin-top: 1rem;">
+                <p class="empty-state">Pick a target item and quantity. Requirements are covered from the pooled inventory of the players above.</p>
+            </div>
+        </div>
+    `;
+
+    const runPlan = () => runCraftingPlan();
+    document.getElementById('planner-run-btn').addEventListener('click', runPlan);
+    document.getElementById('planner-item').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') runPlan();
     });
 
-    document.getElementById('market-seller-filter').addEventListener('input', (e) => {
-        marketViewer.sellerFilter = e.target.value;
-        marketViewer.updateUrl();
-        renderMarketTable();
+    if (initialItem) {
+        await runCraftingPlan();
+    }
+}
+
+async function runCraftingPlan() {
+    const itemName = document.getElementById('planner-item').value.trim();
+    const quantity = parseInt(document.getElementById('planner-quantity').value) || 1;
+    const results = document.getElementById('planner-results');
+    if (!itemName || !results) return;
+
+    const itemId = viewer.getItemIdByName(itemName);
+    if (!itemId) {
+        results.innerHTML = `<p class="error-message">Unknown item: ${escapeHtml(itemName)}</p>`;
+        return;
+    }
+
+    // Keep the plan bookmarkable
+    const url = new URL(window.location);
+    url.searchParams.set('plan_item', itemName);
+    url.searchParams.set('plan_qty', quantity);
+    window.history.replaceState({}, '', url);
+
+    document.getElementById('loading-overlay').classList.remove('hidden');
+
+    try {
+        const plan = await craftingPlanner.plan(itemId, quantity);
+        renderPlannerResults(plan);
+    } catch (error) {
+        console.error('Error planning craft:', error);
+        results.innerHTML = `<p class="error-message">Error planning craft: ${escapeHtml(error.message)}</p>`;
+    } finally {
+        document.getElementById('loading-overlay').classList.add('hidden');
+    }
+}
+
+function renderPlannerResults(plan) {
+    const results = document.getElementById('planner-results');
+    if (!results) return;
+
+    const shortfall = Array.from(plan.shortfall.entries()).sort((a, b) => b[1] - a[1]);
+    const crafts = Array.from(plan.crafts.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+    const allocations = Array.from(plan.allocations.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+
+    const renderNode = (node) => `
+        <li>
+            <span class="item-name">${escapeHtml(node.name)}</span>
+            <span class="count-value">&times; ${node.required.toLocaleString()}</span>
+            <span class="planner-node-detail">
+                ${node.fromInventory > 0 ? `<span class="delta-positive">have ${node.fromInventory.toLocaleString()}</span>` : ''}
+                ${node.crafts > 0 ? `<span>craft ${node.crafts.toLocaleString()}&times;</span>` : ''}
+                ${node.missing > 0 ? `<span class="delta-negative">missing ${node.missing.toLocaleString()}</span>` : ''}
+            </span>
+            ${node.children.length > 0 ? `<ul>${node.children.map(renderNode).join('')}</ul>` : ''}
+        </li>
+    `;
+
+    results.innerHTML = `
+        <div class="inventory-group">
+            <div class="group-header">
+                <div class="group-header-content">
+                    <span class="group-name">Shortfall</span>
+                </div>
+                <span class="group-count">${shortfall.length} items</span>
+            </div>
+            <div class="group-content">
+                ${shortfall.length > 0 ? `
+                    <table class="inventory-table">
+                        <thead><tr><th>Item</th><th>Missing</th></tr></thead>
+                        <tbody>
+                            ${shortfall.map(([name, missing]) => `
+                                <tr>
+                                    <td class="item-name">${escapeHtml(name)}</td>
+                                    <td class="count-value delta-negative">${missing.toLocaleString()}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : `<p class="empty-state">Everything needed for ${plan.target.quantity.toLocaleString()} &times; ${escapeHtml(plan.target.name)} is covered by the pooled inventory.</p>`}
+            </div>
+        </div>
+
+        <div class="inventory-group">
+            <div class="group-header">
+                <div class="group-header-content">
+                    <span class="group-name">Who Holds What</span>
+                </div>
+                <span class="group-count">${allocations.length} players</span>
+            </div>
+            <div class="group-content">
+                ${allocations.length > 0 ? `
+                    <table class="inventory-table">
+                        <thead><tr><th>Player</th><th>Item</th><th>Contribute</th></tr></thead>
+                        <tbody>
+                            ${allocations.map(([playerName, items]) => Array.from(items.entries()).map(([name, qty], index) => `
+                                <tr>
+                                    <td>${index === 0 ? `<span class="player-tag">${escapeHtml(playerName)}</span>` : ''}</td>
+                                    <td class="item-name">${escapeHtml(name)}</td>
+                                    <td class="count-value">${qty.toLocaleString()}</td>
+                                </tr>
+                            `).join('')).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="empty-state">Nothing can be taken from the pooled inventory.</p>'}
+            </div>
+        </div>
+
+        ${crafts.length > 0 ? `
+            <div class="inventory-group">
+                <div class="group-header">
+                    <div class="group-header-content">
+                        <span class="group-name">Crafting Steps</span>
+                    </div>
+                    <span class="group-count">${crafts.length} items</span>
+                </div>
+                <div class="group-content">
+                    <table class="inventory-table">
+                        <thead><tr><th>Item</th><th>Recipe</th><th>Crafts</th><th>Produced</th></tr></thead>
+                        <tbody>
+                            ${crafts.map(([name, craft]) => `
+                                <tr>
+                                    <td class="item-name">${escapeHtml(name)}</td>
+                                    <td>${escapeHtml(craft.recipe || '—')}</td>
+                                    <td class="count-value">${craft.crafts.toLocaleString()}</td>
+                                    <td class="count-value">${craft.produced.toLocaleString()}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        ` : ''}
+
+        <div class="inventory-group">
+            <div class="group-header">
+                <div class="group-header-content">
+                    <span class="group-name">Recipe Tree</span>
+                </div>
+            </div>
+            <div class="group-content">
+                <ul class="planner-tree">${renderNode(plan.tree)}</ul>
+            </div>
+        </div>
+    `;
+}
+
+// Profitability View Rendering
+async function renderProfitabilityView() {
+    const inventoryDisplay = document.querySelector('.inventory-display');
+    if (!inventoryDisplay) return;
+
+    storeOriginalInventory(inventoryDisplay);
+
+    document.getElementById('loading-overlay').classList.remove('hidden');
+    try {
+        if (marketViewer.items.length === 0) {
+            await marketViewer.fetchMarketData();
+        }
+    } catch (error) {
+        inventoryDisplay.innerHTML = `<p class="error-message">Error loading market catalog: ${escapeHtml(error.message)}</p>`;
+        return;
+    } finally {
+        document.getElementById('loading-overlay').classList.add('hidden');
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const selected = {
+        tag: params.get('profit_tag') || '',
+        tier: params.get('profit_tier') || '',
+        rarity: params.get('profit_rarity') || 'all',
+        search: params.get('profit_search') || '',
+        cost: params.get('profit_cost') || 'market',
+        basis: params.get('profit_basis') || 'zero',
+        sellAt: params.get('profit_sell') || 'bid',
+        rank: params.get('profit_rank') || 'margin'
+    };
+    const option = (value, label, current) => `<option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    const tiers = Array.from(new Set(marketViewer.items.map(item => item.tier))).sort((a, b) => a - b);
+
+    inventoryDisplay.innerHTML = `
+        <div id="profit-content">
+            <div class="profession-controls">
+                <div class="control-row">
+                    <div class="control-group">
+                        <label>Item Type:</label>
+                        <select id="profit-tag">
+                            ${option('', 'Select a type...', selected.tag)}
+                            ${marketViewer.getAvailableTags().map(tag => option(tag, tag, selected.tag)).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>Tier:</label>
+                        <select id="profit-tier">
+                            ${option('', 'All Tiers', selected.tier)}
+                            ${tiers.map(tier => option(String(tier), `Tier ${tier}`, selected.tier)).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>Rarity (or above):</label>
+                        <select id="profit-rarity">
+                            ${option('all', 'All Rarities', selected.rarity)}
+                            ${['Common', 'Uncommon', 'Rare', 'Epic', 'Legendary', 'Mythic'].map(rarity => option(rarity, `${rarity}+`, selected.rarity)).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>Search:</label>
+                        <input type="text" id="profit-search" placeholder="Search items..." value="${escapeHtml(selected.search)}">
+                    </div>
+                </div>
+                <div class="control-row">
+                    <div class="control-group">
+                        <label>Price Inputs From:</label>
+                        <select id="profit-cost">
+                            ${option('market', 'Market (cheapest sell)', selected.cost)}
+                            ${option('inventory', 'Our inventory, then market', selected.cost)}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>Inventory Cost Basis:</label>
+                        <select id="profit-basis">
+                            ${option('zero', 'Free (already owned)', selected.basis)}
+                            ${option('highestBuy', 'Highest buy (could sell instead)', selected.basis)}
+                            ${option('medianSell', 'Median sell', selected.basis)}
+                            ${option('cheapestSell', 'Cheapest sell', selected.basis)}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>Sell Output At:</label>
+                        <select id="profit-sell">
+                            ${option('bid', 'Best bid (sell now)', selected.sellAt)}
+                            ${option('ask', 'Best ask (list it)', selected.sellAt)}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>Rank By:</label>
+                        <select id="profit-rank">
+                            ${option('margin', 'Margin per craft', selected.rank)}
+                            ${option('perAction', 'Margin per action', selected.rank)}
+                        </select>
+                    </div>
+                    <button id="profit-run-btn" class="tag-action-btn">Calculate</button>
+                </div>
+            </div>
+            <div id="profit-results" style="margin-top: 1rem;">
+                <p class="empty-state">Pick an item type (and optionally a tier, rarity or search) and press Calculate. Recipes are priced from the live market.</p>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('profit-run-btn').addEventListener('click', () => runProfitability());
+    document.getElementById('profit-search').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') runProfitability();
+    });
+    // Ranking options only re-sort the last results
+    ['profit-sell', 'profit-rank'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            updateProfitabilityUrl();
+            renderProfitabilityResults();
+        });
     });
+
+    if (selected.tag || selected.search) {
+        await runProfitability();
+    }
+}
+
+function getProfitabilityOptions() {
+    const value = (id) => document.getElementById(id).value;
+    return {
+        tag: value('profit-tag'),
+        tier: value('profit-tier'),
+        rarity: value('profit-rarity'),
+        search: value('profit-search').trim(),
+        cost: value('profit-cost'),
+        basis: value('profit-basis'),
+        sellAt: value('profit-sell'),
+        rank: value('profit-rank')
+    };
+}
+
+function updateProfitabilityUrl() {
+    const options = getProfitabilityOptions();
+    const defaults = { tag: '', tier: '', rarity: 'all', search: '', cost: 'market', basis: 'zero', sellAt: 'bid', rank: 'margin' };
+    const names = { tag: 'profit_tag', tier: 'profit_tier', rarity: 'profit_rarity', search: 'profit_search', cost: 'profit_cost', basis: 'profit_basis', sellAt: 'profit_sell', rank: 'profit_rank' };
+
+    const url = new URL(window.location);
+    for (const [key, param] of Object.entries(names)) {
+        if (options[key] !== defaults[key]) url.searchParams.set(param, options[key]);
+        else url.searchParams.delete(param);
+    }
+    window.history.replaceState({}, '', url);
 }
 
-async function renderMarketTable() {
-    const items = marketViewer.getFilteredItems();
-    const content = document.getElementById('market-content');
+async function runProfitability() {
+    const results = document.getElementById('profit-results');
+    if (!results) return;
+
+    const options = getProfitabilityOptions();
+    updateProfitabilityUrl();
+
+    if (!options.tag && !options.search) {
+        results.innerHTML = '<p class="empty-state">Pick an item type or search for an item first.</p>';
+        return;
+    }
+
+    const items = marketViewer.filterCatalog(marketViewer.items, {
+        tags: new Set(options.tag ? [options.tag] : marketViewer.getAvailableTags()),
+        rarity: options.rarity,
+        tier: options.tier === '' ? null : parseInt(options.tier),
+        search: options.search
+    });
 
-    console.log('[renderMarketTable] Total filtered items:', items.length);
-    if (items.length > 0) {
-        console.log('[renderMarketTable] First item:', items[0]);
-        console.log('[renderMarketTable] First item sellOrders:', items[0].sellOrders, 'Type:', typeof items[0].sellOrders);
-        console.log('[renderMarketTable] First item priceLoaded:', items[0].priceLoaded);
+    if (items.length === 0) {
+        results.innerHTML = '<p class="empty-state">No market items match these filters.</p>';
+        return;
+    }
+    if (items.length > PROFIT_MAX_ITEMS) {
+        results.innerHTML = `<p class="empty-state">${items.length.toLocaleString()} items match. Narrow the filters to ${PROFIT_MAX_ITEMS} or fewer so the recipe and price lookups stay manageable.</p>`;
+        return;
     }
 
-    // Update stats
-    document.getElementById('market-stat-total').textContent = marketViewer.items.length.toLocaleString();
-    document.getElementById('market-stat-filtered').textContent = items.length.toLocaleString();
+    results.innerHTML = `<p class="empty-state"><span class="loading-text" id="profit-progress">Pricing recipes for 0 / ${items.length} items...</span></p>`;
 
-    // Calculate total available quantity across all filtered items
-    const totalAvailable = items.reduce((sum, item) => sum + item.sellOrders, 0);
-    document.getElementById('market-stat-available').textContent = totalAvailable.toLocaleString();
+    try {
+        await profitabilityCalculator.analyze(items, { costSource: options.cost, costBasis: options.basis }, (done, total) => {
+            const progress = document.getElementById('profit-progress');
+            if (progress) progress.textContent = `Pricing recipes for ${done} / ${total} items...`;
+        });
+        renderProfitabilityResults();
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Error calculating profitability:', error);
+        results.innerHTML = `<p class="error-message">Error calculating profitability: ${escapeHtml(error.message)}</p>`;
+    }
+}
 
-    if (items.length === 0) {
-        const message = marketViewer.selectedTags.size === 0
-            ? 'Please select at least one tag/type to view market items.'
-            : 'No items match your filters.';
-        content.innerHTML = `<p class="empty-state">${message}</p>`;
+function renderProfitabilityResults() {
+    const container = document.getElementById('profit-results');
+    // Nothing calculated yet
+    if (!container || profitabilityCalculator.lastResults === null) return;
+
+    const { sellAt, rank } = getProfitabilityOptions();
+    const ranked = profitabilityCalculator.rank(profitabilityCalculator.lastResults, sellAt, rank);
+    if (ranked.length === 0) {
+        container.innerHTML = '<p class="empty-state">None of these items have a crafting recipe.</p>';
         return;
     }
 
-    // Helper function to get sort indicator
-    const getSortIndicator = (columnName) => {
-        if (marketViewer.sortBy === columnName) {
-            return marketViewer.sortOrder === 'asc' ? ' ▲' : ' ▼';
-        }
-        return '';
-    };
+    const format = (value) => value != null ? Math.round(value).toLocaleString() : '—';
+    const marginCell = (value) => value == null
+        ? '<td class="price-value">—</td>'
+        : `<td class="price-value ${value >= 0 ? 'delta-positive' : 'delta-negative'}">${format(value)}</td>`;
 
-    // Render initial table with loading state for prices
-    content.innerHTML = `
+    container.innerHTML = `
         <table class="inventory-table">
             <thead>
                 <tr>
-                    <th class="sortable-header" data-sort="name" style="cursor: pointer;">Item${getSortIndicator('name')}</th>
-                    <th class="sortable-header" data-sort="tier" style="cursor: pointer;">Tier${getSortIndicator('tier')}</th>
-                    <th class="sortable-header" data-sort="rarity" style="cursor: pointer;">Rarity${getSortIndicator('rarity')}</th>
-                    <th>Tag/Type</th>
-                    <th class="sortable-header" data-sort="price" style="cursor: pointer;">Lowest Sell${getSortIndicator('price')}</th>
-                    <th class="sortable-header" data-sort="quantity" style="cursor: pointer;">Available${getSortIndicator('quantity')}</th>
-                    <th class="sortable-header" data-sort="seller" style="cursor: pointer;">Seller${getSortIndicator('seller')}</th>
-                    <th class="sortable-header" data-sort="region" style="cursor: pointer;">Region${getSortIndicator('region')}</th>
+                    <th>Item</th>
+                    <th>Tier</th>
+                    <th>Inputs</th>
+                    <th>Input Cost</th>
+                    <th>Makes</th>
+                    <th>Best Bid</th>
+                    <th>Best Ask</th>
+                    <th>Margin @ Bid</th>
+                    <th>Margin @ Ask</th>
+                    <th>Actions</th>
+                    <th>Margin / Action</th>
                 </tr>
             </thead>
-            <tbody id="market-table-body">
-                ${items.map(item => `
-                    <tr class="rarity-row-${item.rarity.toLowerCase()}" data-item-id="${item.id}">
-                        <td class="item-name">
-                            <a href="https://bitjita.com/market/item/${item.id}" target="_blank" rel="noopener noreferrer" style="color: inherit; text-decoration: none;">
-                                ${escapeHtml(item.name)}
-                            </a>
-                        </td>
-                        <td><span class="tier-badge">T${item.tier}</span></td>
-                        <td><span class="rarity-${item.rarity.toLowerCase()}">${item.rarity}</span></td>
-                        <td>${escapeHtml(item.tag)}</td>
-                        <td class="price-value">${item.priceLoaded ? (item.price != null ? item.price.toLocaleString() : '—') : '<span class="loading-text">...</span>'}</td>
-                        <td class="count-value">${item.priceLoaded ? (item.quantity != null ? item.quantity.toLocaleString() : '—') : '<span class="loading-text">...</span>'}</td>
-                        <td class="seller-value">${item.priceLoaded ? (item.seller || '—') : '<span class="loading-text">...</span>'}</td>
-                        <td class="region-value">${item.priceLoaded ? (item.regionName ? `${escapeHtml(item.regionName)}${item.regionId ? ' (' + item.regionId + ')' : ''}` : '—') : '<span class="loading-text">...</span>'}</td>
-                    </tr>
-                `).join('')}
+            <tbody>
+                ${ranked.map(result => {
+                    const margin = sellAt === 'bid' ? result.marginBid : result.marginAsk;
+                    return `
+                        <tr class="rarity-row-${result.item.rarity.toLowerCase()}">
+                            <td class="item-name">${escapeHtml(result.item.name)}${result.recipe.name ? `<div class="profit-detail">${escapeHtml(result.recipe.name)}</div>` : ''}</td>
+                            <td><span class="tier-badge">T${result.item.tier}</span></td>
+                            <td class="profit-inputs">${result.inputs.map(input => `
+                                <div${input.unitCost == null ? ' class="delta-negative"' : ''}>
+                                    ${input.quantity.toLocaleString()} &times; ${escapeHtml(input.name)}
+                                    <span class="profit-detail">@ ${format(input.unitCost)}${input.fromInventory ? ' (owned)' : ''}</span>
+                                </div>
+                            `).join('')}</td>
+                            <td class="price-value" ${result.missingPrices.length > 0 ? `title="No sell orders for: ${escapeHtml(result.missingPrices.join(', '))}"` : ''}>${format(result.inputCost)}</td>
+                            <td class="count-value">${result.outputQuantity.toLocaleString()}</td>
+                            <td class="price-value">${format(result.bestBid)}</td>
+                            <td class="price-value">${format(result.bestAsk)}</td>
+                            ${marginCell(result.marginBid)}
+                            ${marginCell(result.marginAsk)}
+                            <td class="count-value">${result.actions.toLocaleString()}</td>
+                            ${marginCell(margin != null ? margin / result.actions : null)}
+                        </tr>
+                    `;
+                }).join('')}
             </tbody>
         </table>
+        <p class="editor-note">Margins are per craft: output quantity &times; price minus the cost of the inputs. Inputs with no sell orders leave the margin blank.${profitabilityCalculator.lastOptions?.costSource === 'inventory' ? ' Each recipe is costed against your whole inventory, so owned inputs count as owned for every recipe that uses them.' : ''}</p>
     `;
+}
 
-    // Add click handlers to sortable headers
-    document.querySelectorAll('.sortable-header').forEach(header => {
-        header.addEventListener('click', () => {
-            const sortColumn = header.dataset.sort;
-            // Toggle order if clicking the same column, otherwise default to ascending
-            if (marketViewer.sortBy === sortColumn) {
-                marketViewer.sortOrder = marketViewer.sortOrder === 'asc' ? 'desc' : 'asc';
-            } else {
-                marketViewer.sortBy = sortColumn;
-                marketViewer.sortOrder = 'asc';
-            }
-            marketViewer.updateUrl();
-            // Update UI controls to match
-            document.getElementById('market-sort-by').value = marketViewer.sortBy;
-            document.getElementById('market-sort-order').value = marketViewer.sortOrder;
-            renderMarketTable();
+// Shopping List View Rendering
+async function renderShoppingListView() {
+    const inventoryDisplay = document.querySelector('.inventory-display');
+    if (!inventoryDisplay) return;
+
+    storeOriginalInventory(inventoryDisplay);
+
+    document.getElementById('loading-overlay').classList.remove('hidden');
+    try {
+        if (marketViewer.items.length === 0) {
+            await marketViewer.fetchMarketData();
+        }
+    } catch (error) {
+        inventoryDisplay.innerHTML = `<p class="error-message">Error loading market catalog: ${escapeHtml(error.message)}</p>`;
+        return;
+    } finally {
+        document.getElementById('loading-overlay').classList.add('hidden');
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const itemNames = marketViewer.items.filter(item => item.hasSell).map(item => item.name).sort((a, b) => a.localeCompare(b));
+
+    inventoryDisplay.innerHTML = `
+        <div id="shopping-content">
+            <div class="profession-controls">
+                <div class="control-row">
+                    <div class="control-group shopping-list-input">
+                        <label>Items to Buy (one per line, e.g. "200 Rough Plank"):</label>
+                        <textarea id="shopping-list" rows="6" placeholder="200 Rough Plank&#10;50 x Simple Rope&#10;Basic Ore, 120">${escapeHtml(shoppingListOptimizer.toText())}</textarea>
+                    </div>
+                </div>
+                <div class="control-row">
+                    <div class="control-group">
+                        <label>Add Item:</label>
+                        <input type="text" id="shopping-add-item" list="shopping-item-list" placeholder="Search market items...">
+                        <datalist id="shopping-item-list">
+                            ${itemNames.map(name => `<option value="${escapeHtml(name)}"></option>`).join('')}
+                        </datalist>
+                    </div>
+                    <div class="control-group">
+                        <label>Region:</label>
+                        <select id="shopping-region"></select>
+                    </div>
+                    <div class="control-group checkbox-group">
+                        <label>
+                            <input type="checkbox" id="shopping-min-claims" ${params.get('shop_claims') === '1' ? 'checked' : ''}>
+                            Minimise claims visited
+                        </label>
+                    </div>
+                    <button id="shopping-run-btn" class="tag-action-btn">Optimise</button>
+                </div>
+            </div>
+            <div id="shopping-results" style="margin-top: 1rem;">
+                <p class="empty-state">List what you need and press Optimise to find the cheapest sellers.</p>
+            </div>
+        </div>
+    `;
+
+    updateShoppingRegions(params.get('shop_region') || 'any');
+
+    document.getElementById('shopping-run-btn').addEventListener('click', () => runShoppingList());
+    document.getElementById('shopping-add-item').addEventListener('change', (e) => {
+        const name = e.target.value.trim();
+        if (!name) return;
+        const textarea = document.getElementById('shopping-list');
+        textarea.value = `${textarea.value.trim()}\n1 ${name}`.trim();
+        e.target.value = '';
+    });
+    // Region and claim options re-run the optimisation on the orders already loaded
+    ['shopping-region', 'shopping-min-claims'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            updateShoppingUrl();
+            renderShoppingResults();
         });
     });
 
-    // Lazy-load prices for this filtered set, then re-render once to drop no-order rows
-    const hadUnloaded = items.some(item => !item.priceLoaded);
-    if (hadUnloaded) {
-        marketViewer.loadPricesForVisibleItems(items).then(() => renderMarketTable());
+    if (shoppingListOptimizer.lines.length > 0 && shoppingListOptimizer.needs) {
+        renderShoppingResults();
     }
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+// Region choices come from the orders of the last loaded list
+function updateShoppingRegions(selected) {
+    const select = document.getElementById('shopping-region');
+    if (!select) return;
+
+    const regions = shoppingListOptimizer.getRegions();
+    select.innerHTML = `
+        <option value="any">Any region</option>
+        <option value="auto">Best single region</option>
+        ${regions.map(([key, name]) => `<option value="${escapeHtml(key)}">${escapeHtml(name)}</option>`).join('')}
+    `;
+    select.value = selected;
+    if (select.value !== selected) {
+        // Keep a region from the URL selectable until its orders are loaded
+        select.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(selected)}">Region ${escapeHtml(selected)}</option>`);
+        select.value = selected;
+    }
 }
 
-async function renderProfessionHistoryView() {
-    const inventoryDisplay = document.querySelector('.inventory-display');
-    if (!inventoryDisplay) return;
+function updateShoppingUrl() {
+    const url = new URL(window.location);
+    const region = document.getElementById('shopping-region').value;
+    if (region !== 'any') url.searchParams.set('shop_region', region);
+    else url.searchParams.delete('shop_region');
+    if (document.getElementById('shopping-min-claims').checked) url.searchParams.set('shop_claims', '1');
+    else url.searchParams.delete('shop_claims');
+    window.history.replaceState({}, '', url);
+}
 
-    // Store the original inventory sections before replacing them (only once)
-    if (!originalInventoryHTML) {
-        const viewControls = document.querySelector('.view-controls');
+async function runShoppingList() {
+    const results = document.getElementById('shopping-results');
+    if (!results) return;
 
-        if (inventoryDisplay) {
-            originalInventoryHTML = {
-                inventoryDisplay: inventoryDisplay.outerHTML,
-                viewControls: viewControls ? viewControls.outerHTML : null
-            };
-        }
+    const { lines, invalid } = shoppingListOptimizer.parse(document.getElementById('shopping-list').value);
+    if (invalid.length > 0) {
+        results.innerHTML = `<p class="error-message">Could not read: ${invalid.map(line => escapeHtml(line)).join(', ')}. Use "quantity name" per line.</p>`;
+        return;
+    }
+    if (lines.length === 0) {
+        results.innerHTML = '<p class="empty-state">The shopping list is empty.</p>';
+        return;
     }
 
-    // Static list of tracked players (matches Lambda configuration)
-    const trackedPlayers = [
-        { id: '1297036692700882015', name: 'sc00by' },
-        { id: '504403158281515721', name: 'sn0rtle' },
-        { id: '1008806316548767925', name: 'sh0nuff' }
-    ];
+    shoppingListOptimizer.setLines(lines);
+    updateShoppingUrl();
+    results.innerHTML = `<p class="empty-state"><span class="loading-text">Loading sell orders for ${lines.length} items...</span></p>`;
 
-    // Read URL parameters
-    const urlParams = new URLSearchParams(window.location.search);
-    const urlPlayer = urlParams.get('player');
-    const urlHours = urlParams.get('hours');
+    try {
+        await shoppingListOptimizer.loadOrders();
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Error loading sell orders:', error);
+        results.innerHTML = `<p class="error-message">Error loading sell orders: ${escapeHtml(error.message)}</p>`;
+        return;
+    }
 
-    // Set initial values from URL or defaults (validate URL player is in tracked list)
-    const isValidPlayer = trackedPlayers.some(p => p.id === urlPlayer);
-    const initialPlayer = (urlPlayer && isValidPlayer) ? urlPlayer : trackedPlayers[0].id;
-    const initialHours = urlHours ? parseInt(urlHours) : 1;
+    updateShoppingRegions(document.getElementById('shopping-region').value);
+    renderShoppingResults();
+}
 
-    // Create the profession history HTML
-    const professionHistoryHTML = `
-        <div id="profession-history-content">
+function renderShoppingResults() {
+    const container = document.getElementById('shopping-results');
+    if (!container || !shoppingListOptimizer.needs) return;
+
+    const minimizeClaims = document.getElementById('shopping-min-claims').checked;
+    const result = shoppingListOptimizer.optimize({
+        region: document.getElementById('shopping-region').value,
+        minimizeClaims
+    });
+    const regionName = shoppingListOptimizer.getRegions().find(([key]) => key === result.region)?.[1];
+
+    const formatCoords = (claim) => claim.x != null && claim.z != null
+        ? `X ${Math.round(claim.x).toLocaleString()} · Z ${Math.round(claim.z).toLocaleString()}`
+        : 'Location unknown';
+
+    container.innerHTML = `
+        <div class="shopping-summary">
+            <span><span class="stat-label">Total Cost</span> <span class="price-value">${Math.round(result.totalCost).toLocaleString()}</span></span>
+            <span><span class="stat-label">Claims</span> <span class="count-value">${result.claims.length}</span></span>
+            ${regionName ? `<span><span class="stat-label">Region</span> ${escapeHtml(regionName)}</span>` : ''}
+            ${minimizeClaims && result.totalCost > result.cheapestCost ? `<span><span class="stat-label">Cheapest Possible</span> <span class="price-value">${Math.round(result.cheapestCost).toLocaleString()}</span> (+${Math.round(result.totalCost - result.cheapestCost).toLocaleString()} to visit fewer claims)</span>` : ''}
+        </div>
+
+        ${result.unfilled.length > 0 ? `
+            <div class="package-warning">
+                <span>Can't fill: ${result.unfilled.map(entry => `${escapeHtml(entry.name)} (${entry.unknown ? 'not on the market' : `${entry.missing.toLocaleString()} short`})`).join(', ')}</span>
+            </div>
+        ` : ''}
+
+        ${result.claims.map(claim => `
+            <div class="inventory-group">
+                <div class="group-header">
+                    <div class="group-header-content">
+                        <span class="group-name">${escapeHtml(claim.claimName)}</span>
+                        <span class="profit-detail">${claim.regionName ? `${escapeHtml(claim.regionName)} &middot; ` : ''}${formatCoords(claim)}</span>
+                    </div>
+                    <span class="group-count">${claim.picks.length} order${claim.picks.length === 1 ? '' : 's'} &middot; ${Math.round(claim.subtotal).toLocaleString()}</span>
+                </div>
+                <div class="group-content">
+                    <table class="inventory-table">
+                        <thead><tr><th>Item</th><th>Buy</th><th>Price</th><th>Cost</th><th>Seller</th></tr></thead>
+                        <tbody>
+                            ${claim.picks.map(pick => `
+                                <tr>
+                                    <td class="item-name">${escapeHtml(pick.need.item.name)}</td>
+                                    <td class="count-value">${pick.quantity.toLocaleString()}</td>
+                                    <td class="price-value">${pick.order.price.toLocaleString()}</td>
+                                    <td class="price-value">${(pick.quantity * pick.order.price).toLocaleString()}</td>
+                                    <td class="seller-value">${escapeHtml(pick.order.seller || 'Unknown')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
+// Watchlist View Rendering
+async function renderWatchlistView() {
+    const inventoryDisplay = document.querySelector('.inventory-display');
+    if (!inventoryDisplay) return;
+
+    storeOriginalInventory(inventoryDisplay);
+
+    // The catalog is only needed to search for items to add, so the list still works without it
+    document.getElementById('loading-overlay').classList.remove('hidden');
+    try {
+        if (marketViewer.items.length === 0) {
+            await marketViewer.fetchMarketData();
+        }
+    } catch (error) {
+        console.error('Error loading market catalog:', error);
+    } finally {
+        document.getElementById('loading-overlay').classList.add('hidden');
+    }
+
+    const { settings } = watchlist;
+    inventoryDisplay.innerHTML = `
+        <div id="watchlist-content">
             <div class="profession-controls">
                 <div class="control-row">
                     <div class="control-group">
-                        <label>Select Player:</label>
-                        <select id="player-select">
-                            ${trackedPlayers.map((player) => `
-                                <option value="${player.id}" ${player.id === initialPlayer ? 'selected' : ''}>${player.name}</option>
-                            `).join('')}
-                        </select>
+                        <label>Add Item:</label>
+                        <input type="text" id="watchlist-add-item" list="watchlist-item-list" placeholder="Search market items...">
+                        <datalist id="watchlist-item-list">
+                            ${marketViewer.items.map(item => `<option value="${escapeHtml(item.name)}"></option>`).join('')}
+                        </datalist>
                     </div>
                     <div class="control-group">
-                        <label>Time Range:</label>
-                        <select id="time-range-select">
-                            <option value="1" ${initialHours === 1 ? 'selected' : ''}>Last Hour</option>
-                            <option value="3" ${initialHours === 3 ? 'selected' : ''}>Last 3 Hours</option>
-                            <option value="6" ${initialHours === 6 ? 'selected' : ''}>Last 6 Hours</option>
-                            <option value="24" ${initialHours === 24 ? 'selected' : ''}>Last 24 Hours</option>
-                            <option value="168" ${initialHours === 168 ? 'selected' : ''}>Last 7 Days</option>
-                            <option value="720" ${initialHours === 720 ? 'selected' : ''}>Last 30 Days</option>
+                        <label>Refresh Every:</label>
+                        <select id="watchlist-interval">
+                            ${[1, 5, 10, 30].map(minutes => `<option value="${minutes}" ${settings.intervalMinutes === minutes ? 'selected' : ''}>${minutes} min</option>`).join('')}
                         </select>
                     </div>
-                    <div id="profession-message" style="margin-left: auto; display: flex; align-items: center;"></div>
-                </div>
-            </div>
-            <div class="chart-container" style="position: relative; height: 500px; margin-top: 1rem;">
-                <canvas id="profession-chart"></canvas>
-            </div>
-            <div style="display: flex; gap: 1rem; margin-top: 1rem;">
-                <div class="chart-container" style="position: relative; height: 400px; flex: 0 0 50%;">
-                    <canvas id="profession-summary-chart"></canvas>
-                </div>
-                <div class="chart-container" style="position: relative; height: 400px; flex: 0 0 25%;">
-                    <canvas id="profession-pie-chart"></canvas>
-                </div>
-                <div class="chart-container" style="position: relative; height: 400px; flex: 0 0 25%; display: flex; flex-direction: column; justify-content: center; align-items: center; padding: 1.5rem;">
-                    <div style="text-align: center;">
-                        <div style="font-size: 0.875rem; font-weight: 600; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 1.5rem;" id="stats-title">Total XP / XP Gained</div>
-                        <div id="total-xp-display" style="font-size: 2rem; font-weight: 700; color: var(--text-primary); margin-bottom: 0.5rem;">-</div>
-                        <div style="font-size: 0.75rem; color: var(--text-muted); margin-bottom: 1.5rem;">Current Total XP</div>
-                        <div id="xp-gained-display" style="font-size: 1.5rem; font-weight: 600; color: var(--accent); margin-bottom: 0.5rem;">-</div>
-                        <div style="font-size: 0.75rem; color: var(--text-muted);">XP Gained</div>
+                    <div class="control-group checkbox-group">
+                        <label>
+                            <input type="checkbox" id="watchlist-notify" ${settings.notify ? 'checked' : ''}>
+                            Desktop notifications
+                        </label>
                     </div>
+                    <button id="watchlist-refresh-btn" class="tag-action-btn">Refresh Now</button>
                 </div>
             </div>
+            <div id="watchlist-results" style="margin-top: 1rem;"></div>
         </div>
     `;
 
-    inventoryDisplay.innerHTML = professionHistoryHTML;
+    document.getElementById('watchlist-add-item').addEventListener('change', (e) => {
+        const name = e.target.value.trim().toLowerCase();
+        const item = marketViewer.items.find(i => i.name.toLowerCase() === name);
+        if (!item) return;
+        watchlist.add(item.id, marketViewer.normalizeItemType(item.itemType), item.name);
+        e.target.value = '';
+        watchlist.refresh();
+    });
+    document.getElementById('watchlist-interval').addEventListener('change', (e) => {
+        watchlist.updateSettings({ intervalMinutes: parseInt(e.target.value) });
+    });
+    document.getElementById('watchlist-notify').addEventListener('change', (e) => toggleWatchlistNotifications(e.target.checked));
+    document.getElementById('watchlist-refresh-btn').addEventListener('click', () => watchlist.refresh());
+    document.getElementById('watchlist-results').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-record-prices]');
+        if (button) recordWatchlistPrices(button.dataset.itemId, button.dataset.itemType, button.dataset.itemName, button);
+    });
 
-    // Set initial timeRange from URL
-    professionViewer.timeRange = initialHours;
+    renderWatchlistTable();
+    if (!marketViewer.recordedPrices) {
+        // Chart buttons replace Record once the price registry has loaded
+        marketViewer.loadRecordedPrices().then(() => renderWatchlistTable());
+    }
+    if (watchlist.entries.length > 0) {
+        // The table re-renders through onChange when the refresh finishes
+        watchlist.refresh();
+    }
+}
 
-    // Setup event listeners
-    const playerSelect = document.getElementById('player-select');
-    const timeRangeSelect = document.getElementById('time-range-select');
+function renderWatchlistTable() {
+    const container = document.getElementById('watchlist-results');
+    if (!container) return;
 
-    playerSelect.addEventListener('change', () => {
-        professionViewer.render(playerSelect.value);
-    });
+    if (watchlist.entries.length === 0) {
+        container.innerHTML = '<p class="empty-state">Your watchlist is empty. Add items above or with the Watch button in the Market List.</p>';
+        return;
+    }
 
-    timeRangeSelect.addEventListener('change', () => {
-        professionViewer.updateTimeRange(parseInt(timeRangeSelect.value));
-    });
+    const formatPrice = (value) => value != null ? value.toLocaleString() : '—';
+    const status = watchlist.refreshing
+        ? '<span class="loading-text">Refreshing prices...</span>'
+        : watchlist.lastRefreshed ? `Last refreshed ${new Date(watchlist.lastRefreshed).toLocaleTimeString()}` : 'Not refreshed yet';
 
-    // Render with initial player
-    await professionViewer.render(initialPlayer);
+    container.innerHTML = `
+        <p class="editor-note">${status} &middot; ${watchlist.hitCount} of ${watchlist.entries.length} items at target</p>
+        <table class="inventory-table">
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Best Sell</th>
+                    <th>Alert When Sell Below</th>
+                    <th>Best Buy</th>
+                    <th>Alert When Buy Above</th>
+                    <th>Status</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${watchlist.entries.map(entry => {
+                    const price = watchlist.prices.get(watchlist.key(entry.itemId, entry.itemType));
+                    const args = `'${entry.itemId}', '${entry.itemType}'`;
+                    const hitLabels = [
+                        entry.hits.sell ? '<span class="delta-positive">Sell below target</span>' : '',
+                        entry.hits.buy ? '<span class="delta-positive">Buy above target</span>' : ''
+                    ].filter(Boolean);
+                    return `
+                        <tr class="${entry.hits.sell || entry.hits.buy ? 'watch-hit' : ''}">
+                            <td class="item-name">${escapeHtml(entry.name)}</td>
+                            <td class="price-value ${entry.hits.sell ? 'delta-positive' : ''}">${price ? formatPrice(price.price) : '<span class="loading-text">...</span>'}</td>
+                            <td><input type="number" class="watch-target" min="0" value="${entry.sellBelow ?? ''}" placeholder="—" onchange="watchlist.setTarget(${args}, 'sellBelow', this.value)"></td>
+                            <td class="price-value ${entry.hits.buy ? 'delta-positive' : ''}">${price ? formatPrice(price.bestBid) : '<span class="loading-text">...</span>'}</td>
+                            <td><input type="number" class="watch-target" min="0" value="${entry.buyAbove ?? ''}" placeholder="—" onchange="watchlist.setTarget(${args}, 'buyAbove', this.value)"></td>
+                            <td>${hitLabels.length > 0 ? hitLabels.join('<br>') : '—'}</td>
+                            <td class="row-actions">
+                                ${renderOrderBookButton(entry.itemId, entry.itemType, entry.name)}
+                                ${marketViewer.hasPriceHistory(entry.itemId, entry.itemType)
+                                    ? `<button type="button" class="tag-action-btn" onclick="showPriceHistory(${args})">Chart</button>`
+                                    : `<button type="button" class="tag-action-btn" data-record-prices data-item-id="${escapeAttr(entry.itemId)}" data-item-type="${escapeAttr(entry.itemType)}" data-item-name="${escapeAttr(entry.name)}" title="Record this item's price history from now on">Record</button>`}
+                                <button type="button" class="tag-action-btn" onclick="watchlist.remove(${args})">Remove</button>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Record button in the watchlist: add the item to the price registry so the poller charts it
+async function recordWatchlistPrices(itemId, itemType, itemName, button) {
+    button.disabled = true;
+    try {
+        await marketViewer.recordPrices(itemId, itemType, itemName);
+    } catch (error) {
+        console.error('Error recording price history:', error);
+        alert(`Could not record prices for ${itemName}: ${error.message}`);
+        button.disabled = false;
+        return;
+    }
+    renderWatchlistTable();
+}
+
+// Watch button in the market table
+function toggleWatchlist(itemId, itemType, itemName, button) {
+    if (watchlist.find(itemId, itemType)) {
+        watchlist.remove(itemId, itemType);
+    } else {
+        watchlist.add(itemId, itemType, itemName);
+    }
+    if (button) button.textContent = watchlist.find(itemId, itemType) ? 'Watching' : 'Watch';
+}
+
+async function toggleWatchlistNotifications(enabled) {
+    if (enabled && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            alert('Notifications are blocked for this site.');
+            document.getElementById('watchlist-notify').checked = false;
+            return;
+        }
+    }
+    watchlist.updateSettings({ notify: enabled });
+}
+
+function updateWatchlistNav() {
+    const link = document.querySelector('.nav-link[data-view="watchlist"]');
+    if (!link) return;
+    const hits = watchlist.hitCount;
+    link.textContent = hits > 0 ? `Watchlist (${hits})` : 'Watchlist';
+    link.classList.toggle('has-alerts', hits > 0);
+}
+
+// Offline mode: the service worker (sw.js) serves the last good API responses when the network
+// fails and marks them with X-Cached-At, which we surface as a "data as of" banner
+apiClient.onResponse = (url, response) => {
+    const cachedAt = response.headers.get('X-Cached-At');
+    if (cachedAt) {
+        offlineDataTimes.set(url, new Date(cachedAt));
+    } else {
+        offlineDataTimes.delete(url);
+    }
+    updateOfflineBanner();
+};
+
+function updateOfflineBanner() {
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+
+    if (offlineDataTimes.size === 0 && navigator.onLine) {
+        banner.classList.add('hidden');
+        return;
+    }
+
+    let message = navigator.onLine ? 'Server unreachable' : 'You are offline';
+    if (offlineDataTimes.size > 0) {
+        // Show the oldest data on screen
+        const oldest = new Date(Math.min(...offlineDataTimes.values()));
+        message += ` — showing cached data as of ${oldest.toLocaleString()}`;
+    } else {
+        message += ' — no cached data loaded yet';
+    }
+
+    banner.textContent = message;
+    banner.classList.remove('hidden');
+}
+
+window.addEventListener('online', updateOfflineBanner);
+window.addEventListener('offline', updateOfflineBanner);
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
 }
 
+// Undercut monitor runs in the background while the page is open
+undercutMonitor.onChange = () => {
+    updateUndercutButton();
+    const modal = document.getElementById('undercut-modal');
+    if (modal?.classList.contains('active')) renderUndercutMonitor();
+};
+undercutMonitor.schedule();
+updateUndercutButton();
+
+// Watchlist prices refresh on their own schedule too
+watchlist.onChange = () => {
+    updateWatchlistNav();
+    // Don't re-render under the user while they're editing a target
+    if (!document.activeElement?.classList.contains('watch-target')) renderWatchlistTable();
+};
+watchlist.schedule();
+updateWatchlistNav();
+
 // Initialize navigation
 setupNavigation();
 
@@ -3529,18 +8842,17 @@ setupNavigation();
 document.getElementById('version-display').textContent = VERSION;
 
 // Setup collapse functionality
-function setupCollapseHeaders() {
-    // Remove any existing listeners to prevent duplicates
-    const headers = document.querySelectorAll('[data-collapse-target]');
+// Headers that already have a click listener (a WeakSet rather than a data attribute, since
+// saved outerHTML copies of a bound header are re-inserted as new, unbound nodes)
+const boundCollapseHeaders = new WeakSet();
 
-    headers.forEach(header => {
-        // Clone and replace to remove old listeners
-        const newHeader = header.cloneNode(true);
-        header.parentNode.replaceChild(newHeader, header);
-    });
-
-    // Add click listeners to all collapsible headers
+function setupCollapseHeaders() {
+    // Re-running this only binds newly rendered headers; existing ones aren't replaced,
+    // so references to elements inside them stay valid
     document.querySelectorAll('[data-collapse-target]').forEach(header => {
+        if (boundCollapseHeaders.has(header)) return;
+        boundCollapseHeaders.add(header);
+
         header.addEventListener('click', () => {
             const targetClass = header.dataset.collapseTarget;
             const section = document.querySelector('.' + targetClass);
@@ -0,0 +1,245 @@
+// SvelteKit __data.json decoder
+// SvelteKit serializes load() data with devalue: each node's `data` is a flat array where
+// index 0 is the root value and every number inside arrays/objects is a reference to
+// another index. Negative references are sentinels for values JSON can't represent.
+
+const DEVALUE_UNDEFINED = -1;
+const DEVALUE_HOLE = -2;
+const DEVALUE_NAN = -3;
+const DEVALUE_POSITIVE_INFINITY = -4;
+const DEVALUE_NEGATIVE_INFINITY = -5;
+const DEVALUE_NEGATIVE_ZERO = -6;
+
+const DEVALUE_TYPED_ARRAYS = [
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+    'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+];
+
+// Decode a base64 string into an ArrayBuffer
+function decodeBase64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+// Rebuild a value from devalue's flattened array representation
+function unflattenDevalue(values) {
+    if (typeof values === 'number') {
+        return hydrateSentinel(values);
+    }
+    if (!Array.isArray(values) || values.length === 0) {
+        throw new Error('Invalid devalue input');
+    }
+
+    const hydrated = new Array(values.length);
+
+    const hydrate = (index) => {
+        if (index < 0) return hydrateSentinel(index);
+
+        // Already hydrated (also resolves shared and circular references)
+        if (index in hydrated) return hydrated[index];
+
+        if (!(index in values)) {
+            throw new Error(`Invalid devalue reference: ${index}`);
+        }
+
+        const value = values[index];
+
+        // Primitives are stored as-is
+        if (!value || typeof value !== 'object') {
+            hydrated[index] = value;
+            return value;
+        }
+
+        // Arrays are either plain arrays of references or typed values: ["Type", ...]
+        if (Array.isArray(value)) {
+            if (typeof value[0] === 'string') {
+                return hydrateTyped(index, value);
+            }
+
+            const array = new Array(value.length);
+            hydrated[index] = array; // Store early for circular refs
+            for (let i = 0; i < value.length; i++) {
+                if (value[i] === DEVALUE_HOLE) continue;
+                array[i] = hydrate(value[i]);
+            }
+            return array;
+        }
+
+        // Plain objects - every property value is a reference
+        const object = {};
+        hydrated[index] = object; // Store early for circular refs
+        for (const [key, ref] of Object.entries(value)) {
+            object[key] = hydrate(ref);
+        }
+        return object;
+    };
+
+    const hydrateTyped = (index, value) => {
+        const type = value[0];
+
+        switch (type) {
+            case 'Date':
+                hydrated[index] = new Date(value[1]);
+                return hydrated[index];
+
+            case 'BigInt':
+                hydrated[index] = BigInt(value[1]);
+                return hydrated[index];
+
+            case 'RegExp':
+                hydrated[index] = new RegExp(value[1], value[2] || '');
+                return hydrated[index];
+
+            case 'Object':
+                // Boxed primitive, e.g. new String('x')
+                hydrated[index] = Object(value[1]);
+                return hydrated[index];
+
+            case 'URL':
+                hydrated[index] = new URL(value[1]);
+                return hydrated[index];
+
+            case 'URLSearchParams':
+                hydrated[index] = new URLSearchParams(value[1]);
+                return hydrated[index];
+
+            case 'Set': {
+                const set = new Set();
+                hydrated[index] = set;
+                for (let i = 1; i < value.length; i++) {
+                    set.add(hydrate(value[i]));
+                }
+                return set;
+            }
+
+            case 'Map': {
+                const map = new Map();
+                hydrated[index] = map;
+                for (let i = 1; i < value.length; i += 2) {
+                    map.set(hydrate(value[i]), hydrate(value[i + 1]));
+                }
+                return map;
+            }
+
+            case 'null': {
+                // Object with a null prototype: ["null", key, ref, key, ref, ...]
+                const object = Object.create(null);
+                hydrated[index] = object;
+                for (let i = 1; i < value.length; i += 2) {
+                    object[value[i]] = hydrate(value[i + 1]);
+                }
+                return object;
+            }
+
+            case 'ArrayBuffer':
+                hydrated[index] = decodeBase64ToArrayBuffer(value[1]);
+                return hydrated[index];
+        }
+
+        if (DEVALUE_TYPED_ARRAYS.includes(type)) {
+            const TypedArray = globalThis[type];
+            // Older devalue inlines base64; newer versions reference an ArrayBuffer entry
+            const buffer = typeof value[1] === 'string'
+                ? decodeBase64ToArrayBuffer(value[1])
+                : hydrate(value[1]);
+            hydrated[index] = value.length > 2
+                ? new TypedArray(buffer, value[2], value[3])
+                : new TypedArray(buffer);
+            return hydrated[index];
+        }
+
+        throw new Error(`Unknown devalue type: ${type}`);
+    };
+
+    return hydrate(0);
+}
+
+function hydrateSentinel(index) {
+    if (index === DEVALUE_UNDEFINED) return undefined;
+    if (index === DEVALUE_NAN) return NaN;
+    if (index === DEVALUE_POSITIVE_INFINITY) return Infinity;
+    if (index === DEVALUE_NEGATIVE_INFINITY) return -Infinity;
+    if (index === DEVALUE_NEGATIVE_ZERO) return -0;
+    throw new Error(`Invalid devalue sentinel: ${index}`);
+}
+
+// Decode every node of a __data.json response
+// Returns one entry per node: { type: 'data', data }, { type: 'skip' } or { type: 'error', error, status }
+function decodeSvelteKitNodes(json) {
+    if (!json || typeof json !== 'object') {
+        throw new Error('Invalid SvelteKit data response');
+    }
+
+    if (json.type === 'redirect') {
+        throw new Error(`SvelteKit data redirected to ${json.location}`);
+    }
+    if (json.type === 'error') {
+        const message = json.error?.message || 'Unknown error';
+        throw new Error(`SvelteKit data error${json.status ? ` (${json.status})` : ''}: ${message}`);
+    }
+    if (!Array.isArray(json.nodes)) {
+        throw new Error('SvelteKit data response has no nodes');
+    }
+
+    return json.nodes.map((node) => {
+        // Nodes that weren't invalidated are sent as null or { type: 'skip' }
+        if (!node || node.type === 'skip') {
+            return { type: 'skip' };
+        }
+
+        if (node.type === 'error') {
+            return { type: 'error', error: node.error || { message: 'Unknown error' }, status: node.status };
+        }
+
+        if (node.type === 'data') {
+            return { type: 'data', data: node.data ? unflattenDevalue(node.data) : null };
+        }
+
+        throw new Error(`Unknown SvelteKit node type: ${node.type}`);
+    });
+}
+
+// Decode a __data.json response into a single data object
+// Layout and page nodes are merged in order (later nodes win), matching what the page sees.
+// Returns null if there is no data. Throws if the response is an error, if the page node (the
+// last one) is an error, or if no node has data; errors in layout nodes alone are only logged.
+function decodeSvelteKitData(json) {
+    if (!json) return null;
+
+    const nodes = decodeSvelteKitNodes(json);
+    const dataNodes = nodes.filter(node => node.type === 'data' && node.data != null);
+    const errorNodes = nodes.filter(node => node.type === 'error');
+    const pageNode = nodes[nodes.length - 1];
+
+    if (pageNode?.type === 'error' || (dataNodes.length === 0 && errorNodes.length > 0)) {
+        const { error, status } = pageNode?.type === 'error' ? pageNode : errorNodes[0];
+        throw new Error(`SvelteKit data error${status ? ` (${status})` : ''}: ${error.message || 'Unknown error'}`);
+    }
+    if (dataNodes.length === 0) {
+        return null;
+    }
+
+    for (const node of errorNodes) {
+        console.warn('SvelteKit data node error:', node.error);
+    }
+
+    if (dataNodes.length === 1) {
+        return dataNodes[0].data;
+    }
+
+    return dataNodes.reduce((merged, node) => {
+        if (typeof node.data === 'object') {
+            Object.assign(merged, node.data);
+        }
+        return merged;
+    }, {});
+}
+
+// Allow loading the decoder outside the browser (e.g. from Node scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { unflattenDevalue, decodeSvelteKitNodes, decodeSvelteKitData };
+}
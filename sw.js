@@ -0,0 +1,109 @@
+// Service worker for offline mode
+// Caches the app shell and the last good responses for the item database, market catalog and
+// player inventories. Everything is network-first so online users always get fresh data; when the
+// network fails the cached copy is served with an X-Cached-At header so the page can show its age.
+
+// Bump the shell version whenever index.html gains or renames elements app.js looks up, so the
+// old copy is dropped on activate instead of being paired with a newer app.js
+const SHELL_CACHE = 'bitcraft-shell-v2';
+const DATA_CACHE = 'bitcraft-data-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/devalue.js',
+    'js/api-client.js',
+    'js/app.js',
+    'favicon.svg'
+];
+
+// Third-party scripts are cached too, but a CDN hiccup shouldn't block installation
+const SHELL_CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js'
+];
+
+// API responses kept for offline use (matched against the request path)
+const CACHED_DATA_PATTERNS = [
+    /\/items\/__data\.json$/,
+    /\/api\/market\/catalog(\/flags)?$/,
+    /\/players\/[^/]+\/__data\.json$/,
+    /\/players\/[^/]+\/inventory\/__data\.json$/
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        await Promise.allSettled(SHELL_CDN_FILES.map(url => cache.add(url)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Drop caches from older versions of this worker
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (CACHED_DATA_PATTERNS.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(networkFirstData(request));
+    } else if (request.mode === 'navigate') {
+        // Navigations carry query params (?players=...), so fall back to the cached shell page
+        event.respondWith(networkFirstShell(request, 'index.html'));
+    } else if (url.origin === self.location.origin || SHELL_CDN_FILES.includes(request.url)) {
+        event.respondWith(networkFirstShell(request));
+    }
+});
+
+// With fallbackUrl (navigations), successful responses are stored under that URL so the
+// offline page stays as fresh as the last online visit
+async function networkFirstShell(request, fallbackUrl = null) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(fallbackUrl || request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(fallbackUrl || request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function networkFirstData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Stamp the copy with when it was fetched so the page can show "data as of"
+            const body = await response.clone().arrayBuffer();
+            const headers = new Headers(response.headers);
+            headers.set('X-Cached-At', new Date().toISOString());
+            await cache.put(request, new Response(body, {
+                status: response.status,
+                statusText: response.statusText,
+                headers
+            }));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
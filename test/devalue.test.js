@@ -0,0 +1,97 @@
+// Tests for the SvelteKit __data.json decoder (js/devalue.js)
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { unflattenDevalue, decodeSvelteKitNodes, decodeSvelteKitData } = require('../js/devalue.js');
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8'));
+}
+
+test('decodes a player profile with BigInt IDs and Date timestamps', () => {
+    const { player } = decodeSvelteKitData(loadFixture('player-profile'));
+
+    assert.equal(player.entityId, 144115188075855873n);
+    assert.equal(player.username, 'Alice');
+    assert.equal(player.signedIn, false);
+    assert.ok(player.createdAt instanceof Date);
+    assert.equal(player.createdAt.toISOString(), '2024-05-01T12:00:00.000Z');
+    assert.ok('lastLoginAt' in player);
+    assert.equal(player.lastLoginAt, undefined);
+    assert.deepEqual(player.experience, [{ skill_id: 2, quantity: 250000 }]);
+    assert.equal(player.skillMap[player.experience[0].skill_id].name, 'Mining');
+});
+
+test('decodes typed values, sentinels, holes and circular references', () => {
+    const data = decodeSvelteKitData(loadFixture('typed-values'));
+
+    assert.deepEqual(data.tags, new Set(['Plank']));
+    assert.deepEqual(data.prices, new Map([['Plank', 12], ['Rope', 12]]));
+    assert.ok(data.pattern instanceof RegExp);
+    assert.equal(data.pattern.source, '^T[0-9]+$');
+    assert.equal(data.pattern.flags, 'i');
+    assert.equal(Object.getPrototypeOf(data.meta), null);
+    assert.equal(data.meta.source, 'market');
+    assert.equal(data.meta.count, 3);
+    assert.equal(data.missing, undefined);
+    assert.ok(Number.isNaN(data.notANumber));
+    assert.equal(data.inf, Infinity);
+    assert.equal(data.negInf, -Infinity);
+    assert.ok(Object.is(data.negZero, -0));
+    assert.equal(data.sparse.length, 3);
+    assert.ok(!(1 in data.sparse));
+    assert.equal(data.sparse[2], 'Rope');
+    assert.equal(data.self, data);
+});
+
+test('merges layout and page data nodes, later nodes winning', () => {
+    const data = decodeSvelteKitData(loadFixture('multi-node'));
+
+    assert.equal(data.user, null);
+    assert.equal(data.title, 'Inventory');
+    assert.deepEqual(data.inventories, [{ inventoryName: 'Bank', pockets: [] }]);
+});
+
+test('returns every node with its type', () => {
+    const nodes = decodeSvelteKitNodes(loadFixture('partial-error'));
+
+    assert.deepEqual(nodes.map(node => node.type), ['error', 'skip', 'data']);
+    assert.equal(nodes[0].status, 500);
+    assert.equal(nodes[0].error.message, 'Claims unavailable');
+});
+
+test('keeps data when only some nodes failed', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const data = decodeSvelteKitData(loadFixture('partial-error'));
+
+    assert.deepEqual(data, { items: [{ id: 1, name: 'Rough Plank' }] });
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('throws when the page node is an error and no other node has data', () => {
+    assert.throws(() => decodeSvelteKitData(loadFixture('error-node')), /\(404\): Player not found/);
+});
+
+test('throws on redirect and error responses', () => {
+    assert.throws(() => decodeSvelteKitData(loadFixture('redirect')), /redirected to \/players/);
+    assert.throws(() => decodeSvelteKitData(loadFixture('error')), /\(500\): Internal Error/);
+});
+
+test('throws on unknown devalue types instead of returning mangled data', () => {
+    assert.throws(() => decodeSvelteKitData(loadFixture('unknown-type')), /Unknown devalue type: Temporal\.Instant/);
+});
+
+test('returns null for empty responses', () => {
+    assert.equal(decodeSvelteKitData(null), null);
+    assert.equal(decodeSvelteKitData({ type: 'data', nodes: [null, { type: 'skip' }] }), null);
+});
+
+test('rejects malformed input', () => {
+    assert.throws(() => decodeSvelteKitData({ type: 'data' }), /has no nodes/);
+    assert.throws(() => decodeSvelteKitNodes({ type: 'data', nodes: [{ type: 'bogus' }] }), /Unknown SvelteKit node type/);
+    assert.throws(() => unflattenDevalue([{ a: 5 }]), /Invalid devalue reference: 5/);
+    assert.throws(() => unflattenDevalue(-9), /Invalid devalue sentinel/);
+});